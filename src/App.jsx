@@ -1,23 +1,107 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useMemo } from "react";
+import AudioEditor from "./components/AudioEditor";
+import AudioExport from "./components/AudioExport";
 import AudioUploader from "./components/AudioUploader";
+import ChannelSelector from "./components/ChannelSelector";
+import ChordTrack from "./components/ChordTrack";
+import KeySelector from "./components/KeySelector";
 import Spectrogram from "./components/Spectrogram";
 import PitchDetector from "./components/PitchDetector";
-import SpectralPitchDetector from "./components/SpectralPitchDetector";
+import PianoResynthesizer from "./components/PianoResynthesizer";
 import MIDIGenerator from "./components/MIDIGenerator";
 import MIDIPlayer from "./components/MIDIPlayer";
 import MicrophoneInput from "./components/MicrophoneInput";
 import WaveformVisualizer from "./components/WaveformVisualizer";
+import NoteSegmenter from "./components/NoteSegmenter";
+import NoteSource from "./components/NoteSource";
+import OverlayControls from "./components/OverlayControls";
+import PianoRoll from "./components/PianoRoll";
+import Quantizer from "./components/Quantizer";
+import ScoreExport from "./components/ScoreExport";
+import SheetMusic from "./components/SheetMusic";
+import { availableInstruments } from "./constants/instruments";
+import {
+  DEFAULT_CHANNEL,
+  getChannelSamples,
+  getChannelSignals,
+  mergeChannelPitches,
+  resolveChannel,
+} from "./utils/audioChannels";
+import {
+  isAnalysisCancelled,
+  runAnalysis,
+  runAnalysisOnSignals,
+} from "./utils/backgroundAnalysis";
+import { recognizeChords } from "./utils/chordRecognition";
+import {
+  DEFAULT_SCALE_SNAP,
+  detectKey,
+  getSnapPitchClasses,
+} from "./utils/keyDetection";
+import { DEFAULT_TEMPO_SETTINGS, getTempoBeats } from "./utils/midiExport";
+import { DEFAULT_NOTATION_OPTIONS, layoutScore } from "./utils/notation";
+import {
+  DEFAULT_SEGMENTATION_OPTIONS,
+  segmentNotes,
+} from "./utils/noteSegmentation";
+import {
+  getDefaultDetectorSettings,
+  getDetectorOptions,
+} from "./utils/pitchDetectors";
+import {
+  DEFAULT_QUANTIZE_OPTIONS,
+  getGridStep,
+  quantizeNotes,
+} from "./utils/quantization";
+import { replacePitchesInRange } from "./utils/timeView";
 import "./App.css";
 
-// Helper function for pitch detection
-function hzToMidi(hz) {
-  return Math.round(69 + 12 * Math.log2(hz / 440));
-}
+const MAX_UNDO_STEPS = 100;
+const MAX_AUDIO_UNDO_STEPS = 10; // Each step keeps a copy of the audio
+
+// Run an analysis for an overlay layer once it is switched on, once per
+// recording and channel
+function useOverlayAnalysis(method, audioBuffer, channel, enabled) {
+  const [result, setResult] = useState(null); // { buffer, channel, data }
+  const [progress, setProgress] = useState(0);
+  const isReady =
+    Boolean(audioBuffer) &&
+    result?.buffer === audioBuffer &&
+    result.channel === channel;
+
+  useEffect(() => {
+    if (!enabled || !audioBuffer || isReady) return;
+
+    let cancelled = false;
+
+    const task = runAnalysis(
+      method,
+      getChannelSamples(audioBuffer, channel),
+      audioBuffer.sampleRate,
+      {},
+      { onProgress: setProgress },
+    );
+
+    task.promise
+      .then((data) => {
+        if (!cancelled) setResult({ buffer: audioBuffer, channel, data });
+      })
+      .catch((err) => {
+        if (!isAnalysisCancelled(err)) {
+          console.error(`Overlay analysis (${method}) error:`, err);
+        }
+      });
 
-function isHarmonic(freq, fundamental, tolerance = 0.1) {
-  const ratio = freq / fundamental;
-  const nearestInteger = Math.round(ratio);
-  return Math.abs(ratio - nearestInteger) < tolerance && nearestInteger > 1;
+    return () => {
+      cancelled = true;
+      task.cancel();
+    };
+  }, [method, audioBuffer, channel, enabled, isReady]);
+
+  return {
+    data: isReady ? result.data : null,
+    progress: isReady ? 100 : progress,
+  };
 }
 
 function App() {
@@ -26,10 +110,272 @@ function App() {
   const [audioSource, setAudioSource] = useState(null); // "microphone" or "file"
   const [activeTab, setActiveTab] = useState("microphone"); // Current active tab
   const [isDetecting, setIsDetecting] = useState(false);
+  const [detectionProgress, setDetectionProgress] = useState(0);
+  const [onsets, setOnsets] = useState([]);
+  const [selectedInstrument, setSelectedInstrument] = useState("voice_oohs");
+  const [importedMidi, setImportedMidi] = useState(null);
+  const [noteSource, setNoteSource] = useState("detected"); // "detected" or "imported"
+  const [noteEdits, setNoteEdits] = useState(null); // { base, history, index }
+  const [overlayLayers, setOverlayLayers] = useState({
+    notes: true,
+    f0: false,
+    peaks: false,
+    beats: true,
+  });
+  const [segmentationSettings, setSegmentationSettings] = useState(
+    DEFAULT_SEGMENTATION_OPTIONS,
+  );
+  const [scaleSnap, setScaleSnap] = useState(DEFAULT_SCALE_SNAP);
+  const [tempoSettings, setTempoSettings] = useState(DEFAULT_TEMPO_SETTINGS);
+  const [quantizeSettings, setQuantizeSettings] = useState(
+    DEFAULT_QUANTIZE_OPTIONS,
+  );
+  const [staffLayout, setStaffLayout] = useState(
+    DEFAULT_NOTATION_OPTIONS.layout,
+  );
+  const [timeline, setTimeline] = useState(null); // { buffer, view, selection }
+  const [audioEdits, setAudioEdits] = useState(null); // { original, originalPitches, steps }
+  const [analysisChannel, setAnalysisChannel] = useState(DEFAULT_CHANNEL);
+  const [detectorSettings, setDetectorSettings] = useState(
+    getDefaultDetectorSettings,
+  );
   const isAutoDetectingRef = useRef(false);
 
+  // Frame-level pitches merged into notes, and the key they are in
+  const unsnappedNotes = useMemo(
+    () => segmentNotes(pitchData, { ...segmentationSettings, onsets }),
+    [pitchData, segmentationSettings, onsets],
+  );
+  const detectedKey = useMemo(
+    () => detectKey(unsnappedNotes),
+    [unsnappedNotes],
+  );
+
+  // With snapping on, frames move to the nearest scale note before they
+  // are merged, so slightly flat pitches don't flip between semitones
+  const detectedNotes = useMemo(() => {
+    const scale = getSnapPitchClasses(scaleSnap, detectedKey);
+    return scale
+      ? segmentNotes(pitchData, { ...segmentationSettings, onsets, scale })
+      : unsnappedNotes;
+  }, [
+    pitchData,
+    segmentationSettings,
+    onsets,
+    scaleSnap,
+    detectedKey,
+    unsnappedNotes,
+  ]);
+
+  const sourceNotes =
+    noteSource === "imported" && importedMidi
+      ? importedMidi.notes
+      : detectedNotes;
+
+  // Piano roll edits apply to the notes they were made on; new detection,
+  // segmentation or snapping settings or another source start from scratch
+  const activeEdits = noteEdits?.base === sourceNotes ? noteEdits : null;
+
+  // The notes being worked on (edited in the piano roll)
+  const notes = activeEdits
+    ? activeEdits.history[activeEdits.index]
+    : sourceNotes;
+
+  // Chord symbols of the notes, shown under the spectrogram
+  const chords = useMemo(() => recognizeChords(notes), [notes]);
+
+  const handleNotesEdit = (editedNotes) => {
+    const history = activeEdits
+      ? activeEdits.history.slice(0, activeEdits.index + 1)
+      : [sourceNotes];
+    const nextHistory = [...history, editedNotes].slice(-MAX_UNDO_STEPS);
+
+    setNoteEdits({
+      base: sourceNotes,
+      history: nextHistory,
+      index: nextHistory.length - 1,
+    });
+  };
+
+  const moveInHistory = (step) => {
+    if (!activeEdits) return;
+
+    const index = activeEdits.index + step;
+    if (index >= 0 && index < activeEdits.history.length) {
+      setNoteEdits({ ...activeEdits, index });
+    }
+  };
+
+  // Channel(s) every analysis and view uses, for recordings that have it
+  const channel = resolveChannel(activeAudioBuffer, analysisChannel);
+
+  const f0Overlay = useOverlayAnalysis(
+    "autocorrelation",
+    activeAudioBuffer,
+    channel,
+    overlayLayers.f0,
+  );
+  const peaksOverlay = useOverlayAnalysis(
+    "peaks",
+    activeAudioBuffer,
+    channel,
+    overlayLayers.peaks,
+  );
+
+  // Tempo and beats of the active audio, for the beat grid and MIDI export
+  const beatTracking = useOverlayAnalysis(
+    "beats",
+    activeAudioBuffer,
+    channel,
+    true,
+  );
+
+  // Beats of the chosen tempo, reaching past the audio and the last note
+  const tempoBeats = useMemo(
+    () =>
+      getTempoBeats(
+        tempoSettings,
+        beatTracking.data,
+        notes.reduce(
+          (end, note) => Math.max(end, note.end),
+          activeAudioBuffer?.duration ?? 0,
+        ),
+      ),
+    [tempoSettings, beatTracking.data, notes, activeAudioBuffer],
+  );
+
+  // What playback and export use: the notes, or the notes on the beat grid
+  const quantizedNotes = useMemo(
+    () =>
+      quantizeSettings.enabled
+        ? quantizeNotes(notes, tempoBeats, quantizeSettings)
+        : notes,
+    [notes, tempoBeats, quantizeSettings],
+  );
+
+  // Key for the score: the chosen scale, or the key of the notes
+  const scoreKey = useMemo(
+    () =>
+      noteSource === "detected" && scaleSnap.mode === "custom"
+        ? { tonic: scaleSnap.tonic, scale: scaleSnap.scale }
+        : detectKey(notes),
+    [noteSource, scaleSnap, notes],
+  );
+
+  // The played notes as measures, on the quantization grid when there is one
+  const score = useMemo(
+    () =>
+      layoutScore(quantizedNotes, tempoBeats, {
+        layout: staffLayout,
+        key: scoreKey,
+        step: quantizeSettings.enabled
+          ? getGridStep(quantizeSettings)
+          : DEFAULT_NOTATION_OPTIONS.step,
+      }),
+    [quantizedNotes, tempoBeats, staffLayout, scoreKey, quantizeSettings],
+  );
+
+  // Layers drawn over the waveform and spectrogram
+  const overlays = {
+    notes: overlayLayers.notes
+      ? noteSource === "detected"
+        ? quantizedNotes
+        : detectedNotes
+      : null,
+    referenceNotes: overlayLayers.notes
+      ? noteSource === "imported"
+        ? quantizedNotes
+        : importedMidi?.notes
+      : null,
+    f0: overlayLayers.f0 ? f0Overlay.data : null,
+    peaks: overlayLayers.peaks ? peaksOverlay.data : null,
+    beats: overlayLayers.beats ? beatTracking.data : null,
+  };
+
+  // Zoom and selection shared by the waveform and spectrogram, for the
+  // recording they were made on
+  const activeTimeline =
+    timeline?.buffer === activeAudioBuffer ? timeline : null;
+  const timeView = activeTimeline?.view ?? {
+    start: 0,
+    end: activeAudioBuffer?.duration ?? 0,
+  };
+  const selection = activeTimeline?.selection ?? null;
+
+  const updateTimeline = (changes) => {
+    setTimeline((current) => ({
+      ...(current?.buffer === activeAudioBuffer
+        ? current
+        : { view: null, selection: null }),
+      buffer: activeAudioBuffer,
+      ...changes,
+    }));
+  };
+
+  const handleViewChange = (view) => updateTimeline({ view });
+  const handleSelectionChange = (range) => updateTimeline({ selection: range });
+
+  // Analysing another channel starts detection over where it runs on its own
+  const handleChannelChange = (value) => {
+    setAnalysisChannel(value);
+    if (audioSource === "file" || audioEdits) setPitchData([]);
+  };
+
+  const analysisControls = (
+    <ChannelSelector
+      audioBuffer={activeAudioBuffer}
+      channel={channel}
+      onChannelChange={handleChannelChange}
+    />
+  );
+
+  const overlayControls = (
+    <OverlayControls
+      layers={overlayLayers}
+      onLayersChange={setOverlayLayers}
+      progress={{
+        f0: f0Overlay.progress,
+        peaks: peaksOverlay.progress,
+        beats: beatTracking.progress,
+      }}
+    />
+  );
+
+  // Edits replace the audio everything analyses, keeping the original to
+  // go back to; the edited audio is detected again from scratch
+  const handleAudioEdit = (buffer, label) => {
+    setAudioEdits({
+      original: audioEdits?.original ?? activeAudioBuffer,
+      originalPitches: audioEdits?.originalPitches ?? pitchData,
+      steps: [...(audioEdits?.steps ?? []), { buffer, label }].slice(
+        -MAX_AUDIO_UNDO_STEPS,
+      ),
+    });
+    setActiveAudioBuffer(buffer);
+    setPitchData([]);
+  };
+
+  const handleAudioRevert = () => {
+    setActiveAudioBuffer(audioEdits.original);
+    setPitchData(audioEdits.originalPitches);
+    setAudioEdits(null);
+  };
+
+  const handleAudioUndo = () => {
+    const steps = audioEdits.steps.slice(0, -1);
+    if (steps.length === 0) {
+      handleAudioRevert();
+      return;
+    }
+
+    setAudioEdits({ ...audioEdits, steps });
+    setActiveAudioBuffer(steps[steps.length - 1].buffer);
+    setPitchData([]);
+  };
+
   const handleAudioLoaded = (buffer) => {
     setActiveAudioBuffer(buffer);
+    setAudioEdits(null);
     setAudioSource("file");
     setPitchData([]); // Reset pitch data when new audio is loaded
     setActiveTab("waveform"); // Navigate to waveform tab
@@ -38,9 +384,10 @@ function App() {
   // Auto-detect pitches when file is uploaded
   useEffect(() => {
     let cancelled = false;
+    let task = null;
 
     if (
-      audioSource === "file" &&
+      (audioSource === "file" || audioEdits) &&
       activeAudioBuffer &&
       pitchData.length === 0 &&
       !isAutoDetectingRef.current
@@ -49,181 +396,212 @@ function App() {
 
       const detectPitches = async () => {
         setIsDetecting(true);
-        const sampleRate = activeAudioBuffer.sampleRate;
-        const channelData = activeAudioBuffer.getChannelData(0);
-        const fftSize = 4096;
-        const hopSize = 512;
-        const sensitivity = 0.05;
-        const allPitches = [];
-
-        // Process audio in chunks
-        for (let i = 0; i < channelData.length - fftSize; i += hopSize) {
-          const slice = channelData.slice(i, i + fftSize);
-          const time = i / sampleRate;
-
-          // Perform FFT
-          const spectrum = performFFT(slice, fftSize);
-          const peaks = findSpectralPeaks(
-            spectrum,
-            sampleRate,
-            fftSize,
-            sensitivity,
-          );
-          const fundamentals = filterHarmonics(peaks);
-
-          if (fundamentals.length > 0) {
-            const notes = fundamentals.map((peak) => ({
-              time: time.toFixed(3),
-              hz: peak.frequency,
-              midi: hzToMidi(peak.frequency),
-              velocity: Math.min(127, Math.round(peak.amplitude * 127)),
-            }));
-
-            allPitches.push({
-              time: time.toFixed(3),
-              notes,
-            });
+        setDetectionProgress(0);
+
+        // Runs in the analysis worker; cancelled when a new file is loaded
+        task = runAnalysisOnSignals(
+          detectorSettings.method,
+          getChannelSignals(activeAudioBuffer, channel).map(
+            (signal) => signal.data,
+          ),
+          activeAudioBuffer.sampleRate,
+          getDetectorOptions(detectorSettings),
+          { onProgress: setDetectionProgress },
+        );
+
+        try {
+          const flatPitches = mergeChannelPitches(await task.promise);
+
+          if (cancelled) {
+            return;
           }
 
-          // Yield to prevent blocking
-          if (i % (hopSize * 50) === 0) {
-            await new Promise((resolve) => setTimeout(resolve, 0));
+          setPitchData(flatPitches);
+        } catch (err) {
+          if (cancelled || isAnalysisCancelled(err)) {
+            return;
           }
-        }
 
-        // Flatten results
-        const flatPitches = [];
-
-        allPitches.forEach((frame) => {
-          frame.notes.forEach((note) => {
-            flatPitches.push({
-              time: frame.time,
-              hz: note.hz,
-              midi: note.midi,
-              velocity: note.velocity,
-            });
-          });
-        });
-
-        if (cancelled) {
-          return;
+          console.error("Pitch detection error:", err);
         }
 
-        setPitchData(flatPitches);
         isAutoDetectingRef.current = false;
         setIsDetecting(false);
       };
 
-      const performFFT = (buffer, size) => {
-        const spectrum = new Float32Array(size / 2);
-
-        for (let k = 0; k < size / 2; k++) {
-          let real = 0,
-            imag = 0;
-
-          for (let n = 0; n < buffer.length; n++) {
-            const angle = (-2 * Math.PI * k * n) / size;
-            real += buffer[n] * Math.cos(angle);
-            imag += buffer[n] * Math.sin(angle);
-          }
-
-          spectrum[k] = Math.sqrt(real * real + imag * imag) / size;
-        }
-
-        return spectrum;
-      };
-
-      const findSpectralPeaks = (spectrum, sampleRate, fftSize, threshold) => {
-        const peaks = [];
-        const binWidth = sampleRate / fftSize;
-
-        for (let i = 10; i < spectrum.length - 10; i++) {
-          const value = spectrum[i];
-          if (value < threshold) continue;
-          let isMax = true;
-
-          for (let j = -5; j <= 5; j++) {
-            if (j !== 0 && spectrum[i + j] >= value) {
-              isMax = false;
-              break;
-            }
-          }
-
-          if (isMax) {
-            const frequency = i * binWidth;
-
-            if (frequency >= 50 && frequency <= 4000) {
-              peaks.push({
-                frequency,
-                amplitude: value,
-                bin: i,
-              });
-            }
-          }
-        }
-
-        peaks.sort((a, b) => b.amplitude - a.amplitude);
-        return peaks.slice(0, 10);
-      };
-
-      const filterHarmonics = (peaks) => {
-        if (peaks.length === 0) return [];
-        const fundamentals = [];
-        const used = new Set();
-        const sorted = [...peaks].sort((a, b) => a.frequency - b.frequency);
-
-        for (let i = 0; i < sorted.length; i++) {
-          if (used.has(i)) continue;
-          const candidate = sorted[i];
-          let isFundamental = true;
+      detectPitches();
+    }
 
-          for (let j = 0; j < i; j++) {
-            if (used.has(j)) continue;
+    return () => {
+      cancelled = true;
+      isAutoDetectingRef.current = false;
 
-            if (isHarmonic(candidate.frequency, sorted[j].frequency)) {
-              isFundamental = false;
-              break;
-            }
-          }
+      if (task) {
+        task.cancel();
+        setIsDetecting(false);
+      }
+    };
+  }, [
+    audioSource,
+    audioEdits,
+    activeAudioBuffer,
+    channel,
+    detectorSettings,
+    pitchData.length,
+  ]);
+
+  // Detect note onsets of the active audio for note segmentation
+  useEffect(() => {
+    if (!activeAudioBuffer) return;
 
-          if (isFundamental) {
-            fundamentals.push(candidate);
-            used.add(i);
+    let cancelled = false;
 
-            for (let j = i + 1; j < sorted.length; j++) {
-              if (isHarmonic(sorted[j].frequency, candidate.frequency)) {
-                used.add(j);
-              }
-            }
-          }
+    const task = runAnalysis(
+      "onsets",
+      getChannelSamples(activeAudioBuffer, channel),
+      activeAudioBuffer.sampleRate,
+    );
+
+    task.promise
+      .then((times) => {
+        if (!cancelled) setOnsets(times);
+      })
+      .catch((err) => {
+        if (!isAnalysisCancelled(err)) {
+          console.error("Onset detection error:", err);
         }
-
-        return fundamentals;
-      };
-
-      detectPitches();
-    }
+      });
 
     return () => {
       cancelled = true;
-      isAutoDetectingRef.current = false;
+      task.cancel();
     };
-  }, [audioSource, activeAudioBuffer, pitchData.length]);
+  }, [activeAudioBuffer, channel]);
 
-  const handlePitchDetected = (pitches) => {
-    setPitchData(pitches);
+  // Detection over a selection only replaces the pitches inside it
+  const handlePitchDetected = (pitches, range) => {
+    setPitchData((current) =>
+      range ? replacePitchesInRange(current, pitches, range) : pitches,
+    );
   };
 
   const handleMicrophonePitches = (pitches) => {
     setPitchData(pitches);
   };
 
+  const handleMidiLoaded = (midi) => {
+    setImportedMidi(midi);
+    setNoteSource("imported");
+
+    // Start with the file's own instrument when the player has it
+    const instrument = availableInstruments[midi.program];
+    if (instrument) {
+      setSelectedInstrument(instrument.value);
+    }
+  };
+
+  const handleClearMidi = () => {
+    setImportedMidi(null);
+    setNoteSource("detected");
+  };
+
   const handleRecordedAudio = (buffer) => {
     setActiveAudioBuffer(buffer);
+    setAudioEdits(null);
     setAudioSource("microphone");
     setPitchData([]); // Reset pitch data when new recording is made
   };
 
+  // One settings panel for every pitch detection: automatic, manual and live
+  const pitchDetector = (
+    <PitchDetector
+      audioBuffer={activeAudioBuffer}
+      selection={selection}
+      channel={channel}
+      settings={detectorSettings}
+      onSettingsChange={setDetectorSettings}
+      onPitchDetected={handlePitchDetected}
+    />
+  );
+
+  const playbackSection = (pitchData.length > 0 || importedMidi) && (
+    <>
+      <NoteSource
+        source={noteSource}
+        onSourceChange={setNoteSource}
+        importedMidi={importedMidi}
+        detectedCount={detectedNotes.length}
+        onClearImport={handleClearMidi}
+      />
+      {noteSource === "detected" && pitchData.length > 0 && (
+        <NoteSegmenter
+          settings={segmentationSettings}
+          onSettingsChange={setSegmentationSettings}
+          frameCount={pitchData.length}
+          noteCount={detectedNotes.length}
+          onsetCount={onsets.length}
+        />
+      )}
+      {noteSource === "detected" && pitchData.length > 0 && (
+        <KeySelector
+          detectedKey={detectedKey}
+          settings={scaleSnap}
+          onSettingsChange={setScaleSnap}
+        />
+      )}
+      <Quantizer
+        tempoSettings={tempoSettings}
+        onTempoSettingsChange={setTempoSettings}
+        beatTracking={beatTracking.data}
+        settings={quantizeSettings}
+        onSettingsChange={setQuantizeSettings}
+        noteCount={quantizedNotes.length}
+      />
+      <PianoRoll
+        notes={notes}
+        pitches={noteSource === "detected" ? pitchData : null}
+        onNotesChange={handleNotesEdit}
+        onUndo={() => moveInHistory(-1)}
+        onRedo={() => moveInHistory(1)}
+        canUndo={activeEdits?.index > 0}
+        canRedo={
+          activeEdits && activeEdits.index < activeEdits.history.length - 1
+        }
+        isEdited={activeEdits?.index > 0}
+        onRevert={() => setNoteEdits(null)}
+      />
+      <MIDIPlayer
+        notes={quantizedNotes}
+        audioBuffer={activeAudioBuffer}
+        selection={selection}
+        selectedInstrument={selectedInstrument}
+        onInstrumentChange={setSelectedInstrument}
+        downloadButton={
+          <MIDIGenerator
+            notes={quantizedNotes}
+            instrument={selectedInstrument}
+            beats={tempoBeats}
+          />
+        }
+      />
+      <ScoreExport
+        score={score}
+        musicalKey={scoreKey}
+        layout={staffLayout}
+        onLayoutChange={setStaffLayout}
+      />
+      <SheetMusic score={score} />
+    </>
+  );
+
+  const audioExport = (
+    <AudioExport
+      audioBuffer={activeAudioBuffer}
+      notes={quantizedNotes}
+      instrument={selectedInstrument}
+    />
+  );
+
   return (
     <div className="app-container">
       <h1 className="app-title">
@@ -274,9 +652,14 @@ function App() {
                 and visualization
               </p>
               <MicrophoneInput
+                detectorSettings={detectorSettings}
                 onPitchesRecorded={handleMicrophonePitches}
                 onAudioRecorded={handleRecordedAudio}
               />
+              <PitchDetector
+                settings={detectorSettings}
+                onSettingsChange={setDetectorSettings}
+              />
             </div>
           )}
           {activeTab === "upload" && (
@@ -284,9 +667,14 @@ function App() {
               <h2>Upload</h2>
               <p className="section-description">
                 Upload an audio file for spectrum analysis and pitch-to-MIDI
-                conversion
+                conversion, or a MIDI file to play and compare against it
               </p>
-              <AudioUploader onAudioLoaded={handleAudioLoaded} />
+              <AudioUploader
+                onAudioLoaded={handleAudioLoaded}
+                onMidiLoaded={handleMidiLoaded}
+              />
+              {importedMidi && playbackSection}
+              {importedMidi && audioExport}
             </div>
           )}
           {activeTab === "waveform" && activeAudioBuffer && (
@@ -296,7 +684,28 @@ function App() {
                 {audioSource &&
                   ` (${audioSource === "microphone" ? "Microphone Recording" : "Uploaded File"})`}
               </h2>
-              <WaveformVisualizer audioBuffer={activeAudioBuffer} />
+              {analysisControls}
+              {overlayControls}
+              <WaveformVisualizer
+                audioBuffer={activeAudioBuffer}
+                overlays={overlays}
+                view={timeView}
+                onViewChange={handleViewChange}
+                selection={selection}
+                onSelectionChange={handleSelectionChange}
+                channel={channel}
+              />
+              <AudioEditor
+                audioBuffer={activeAudioBuffer}
+                selection={selection}
+                edits={
+                  audioEdits ? audioEdits.steps.map((step) => step.label) : []
+                }
+                onEdit={handleAudioEdit}
+                onUndo={handleAudioUndo}
+                onRevert={handleAudioRevert}
+              />
+              {audioExport}
               {isDetecting && (
                 <div style={{ textAlign: "center", padding: "20px" }}>
                   <div
@@ -311,7 +720,7 @@ function App() {
                     }}
                   />
                   <p style={{ marginTop: "10px", color: "#666" }}>
-                    Detecting pitches...
+                    Detecting pitches... {detectionProgress}%
                   </p>
                   <style>
                     {`
@@ -323,17 +732,8 @@ function App() {
                   </style>
                 </div>
               )}
-              {pitchData.length > 0 && (
-                <MIDIPlayer
-                  pitchData={pitchData}
-                  downloadButton={
-                    <MIDIGenerator
-                      pitchData={pitchData}
-                      audioBuffer={activeAudioBuffer}
-                    />
-                  }
-                />
-              )}
+              {pitchDetector}
+              {playbackSection}
             </div>
           )}
           {activeTab === "spectrogram" && activeAudioBuffer && (
@@ -343,22 +743,31 @@ function App() {
                 {audioSource &&
                   ` (${audioSource === "microphone" ? "Microphone Recording" : "Uploaded File"})`}
               </h2>
-              <Spectrogram audioBuffer={activeAudioBuffer} />
-              <SpectralPitchDetector
+              {analysisControls}
+              {overlayControls}
+              <Spectrogram
                 audioBuffer={activeAudioBuffer}
+                overlays={overlays}
+                view={timeView}
+                onViewChange={handleViewChange}
+                selection={selection}
+                onSelectionChange={handleSelectionChange}
+                channel={channel}
+                chords={chords}
+              />
+              <ChordTrack
+                chords={chords}
+                instrument={selectedInstrument}
+                beats={tempoBeats}
+              />
+              {pitchDetector}
+              <PianoResynthesizer
+                audioBuffer={activeAudioBuffer}
+                selection={selection}
+                channel={channel}
                 onPitchDetected={handlePitchDetected}
               />
-              {pitchData.length > 0 && (
-                <MIDIPlayer
-                  pitchData={pitchData}
-                  downloadButton={
-                    <MIDIGenerator
-                      pitchData={pitchData}
-                      audioBuffer={activeAudioBuffer}
-                    />
-                  }
-                />
-              )}
+              {playbackSection}
             </div>
           )}
         </div>
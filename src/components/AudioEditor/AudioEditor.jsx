@@ -0,0 +1,266 @@
+import { useMemo, useState } from "react";
+import {
+  DEFAULT_LOUDNESS_TARGET,
+  DEFAULT_PEAK_TARGET,
+  DEFAULT_SILENCE_THRESHOLD,
+  applyFades,
+  applyGain,
+  cropAudio,
+  deleteRange,
+  findSoundRange,
+  gainToDb,
+  getLoudnessNormalizationGain,
+  getPeak,
+  getPeakNormalizationGain,
+  measureLoudness,
+} from "../../utils/audioEditing";
+import "./AudioEditor.css";
+
+const SILENCE_THRESHOLDS = [-30, -40, -50, -60];
+
+const formatDb = (db) => (isFinite(db) ? db.toFixed(1) : "-∞");
+
+export default function AudioEditor({
+  audioBuffer,
+  selection,
+  edits,
+  onEdit,
+  onUndo,
+  onRevert,
+}) {
+  const [silenceThreshold, setSilenceThreshold] = useState(
+    DEFAULT_SILENCE_THRESHOLD,
+  );
+  const [normalizeMode, setNormalizeMode] = useState("loudness");
+  const [peakTarget, setPeakTarget] = useState(DEFAULT_PEAK_TARGET);
+  const [loudnessTarget, setLoudnessTarget] = useState(DEFAULT_LOUDNESS_TARGET);
+  const [fadeIn, setFadeIn] = useState(0.05);
+  const [fadeOut, setFadeOut] = useState(0.05);
+  const [message, setMessage] = useState(null); // { buffer, text }
+
+  // Levels of what the detectors currently see
+  const levels = useMemo(
+    () => ({
+      peak: gainToDb(getPeak(audioBuffer)),
+      loudness: measureLoudness(audioBuffer),
+    }),
+    [audioBuffer],
+  );
+
+  const range = selection
+    ? `${selection.start.toFixed(2)}–${selection.end.toFixed(2)}s`
+    : null;
+
+  const cropToSelection = () =>
+    onEdit(
+      cropAudio(audioBuffer, selection.start, selection.end),
+      `Crop to ${range}`,
+    );
+
+  const deleteSelection = () =>
+    onEdit(
+      deleteRange(audioBuffer, selection.start, selection.end),
+      `Delete ${range}`,
+    );
+
+  const trimSilence = () => {
+    const sound = findSoundRange(audioBuffer, silenceThreshold);
+    if (!sound) {
+      setMessage({
+        buffer: audioBuffer,
+        text: `Nothing above ${silenceThreshold} dBFS to keep`,
+      });
+      return;
+    }
+    if (sound.start === 0 && sound.end === audioBuffer.duration) {
+      setMessage({ buffer: audioBuffer, text: "No silence to trim" });
+      return;
+    }
+
+    onEdit(
+      cropAudio(audioBuffer, sound.start, sound.end),
+      `Trim silence below ${silenceThreshold} dBFS`,
+    );
+  };
+
+  const normalize = () => {
+    if (normalizeMode === "peak") {
+      const gainDb = getPeakNormalizationGain(audioBuffer, peakTarget);
+      onEdit(
+        applyGain(audioBuffer, gainDb),
+        `Normalize peak to ${peakTarget} dBFS (${formatDb(gainDb)} dB)`,
+      );
+      return;
+    }
+
+    const { gainDb, isLimited } = getLoudnessNormalizationGain(
+      audioBuffer,
+      loudnessTarget,
+    );
+    onEdit(
+      applyGain(audioBuffer, gainDb),
+      `Normalize loudness to ${loudnessTarget} LUFS (${formatDb(gainDb)} dB${
+        isLimited ? `, held at ${DEFAULT_PEAK_TARGET} dBFS peak` : ""
+      })`,
+    );
+  };
+
+  const fade = () =>
+    onEdit(
+      applyFades(audioBuffer, fadeIn, fadeOut),
+      `Fade in ${fadeIn}s, out ${fadeOut}s`,
+    );
+
+  return (
+    <div className="audio-editor">
+      <h3>✂️ Edit Audio</h3>
+      <p className="audio-editor-levels">
+        {audioBuffer.duration.toFixed(2)}s · peak {formatDb(levels.peak)} dBFS ·
+        loudness {formatDb(levels.loudness)} LUFS
+        {levels.peak >= 0 && (
+          <span className="audio-editor-warning"> · clipped</span>
+        )}
+      </p>
+
+      <div className="audio-editor-row">
+        <button
+          onClick={cropToSelection}
+          disabled={!selection}
+          className="btn btn-primary"
+          title={selection ? "" : "Select a range on the waveform first"}
+        >
+          Crop to selection
+        </button>
+        <button
+          onClick={deleteSelection}
+          disabled={!selection}
+          className="btn btn-primary"
+        >
+          Delete selection
+        </button>
+        <span className="audio-editor-group">
+          <button onClick={trimSilence} className="btn btn-primary">
+            Auto-trim silence
+          </button>
+          <select
+            value={silenceThreshold}
+            onChange={(e) => setSilenceThreshold(parseInt(e.target.value))}
+            aria-label="Silence threshold"
+          >
+            {SILENCE_THRESHOLDS.map((db) => (
+              <option key={db} value={db}>
+                below {db} dBFS
+              </option>
+            ))}
+          </select>
+        </span>
+      </div>
+
+      <div className="audio-editor-row">
+        <span className="audio-editor-group">
+          <button
+            onClick={normalize}
+            disabled={
+              !isFinite(normalizeMode === "peak" ? peakTarget : loudnessTarget)
+            }
+            className="btn btn-primary"
+          >
+            Normalize
+          </button>
+          <select
+            value={normalizeMode}
+            onChange={(e) => setNormalizeMode(e.target.value)}
+            aria-label="Normalization"
+          >
+            <option value="loudness">Loudness</option>
+            <option value="peak">Peak</option>
+          </select>
+          {normalizeMode === "peak" ? (
+            <label>
+              to
+              <input
+                type="number"
+                min="-30"
+                max="0"
+                step="0.5"
+                value={peakTarget}
+                onChange={(e) => setPeakTarget(parseFloat(e.target.value))}
+              />
+              dBFS
+            </label>
+          ) : (
+            <label>
+              to
+              <input
+                type="number"
+                min="-40"
+                max="-5"
+                step="1"
+                value={loudnessTarget}
+                onChange={(e) => setLoudnessTarget(parseFloat(e.target.value))}
+              />
+              LUFS
+            </label>
+          )}
+        </span>
+        <span className="audio-editor-group">
+          <button
+            onClick={fade}
+            disabled={fadeIn <= 0 && fadeOut <= 0}
+            className="btn btn-primary"
+          >
+            Fade
+          </button>
+          <label>
+            in
+            <input
+              type="number"
+              min="0"
+              max="10"
+              step="0.05"
+              value={fadeIn}
+              onChange={(e) =>
+                setFadeIn(Math.max(0, parseFloat(e.target.value) || 0))
+              }
+            />
+            s
+          </label>
+          <label>
+            out
+            <input
+              type="number"
+              min="0"
+              max="10"
+              step="0.05"
+              value={fadeOut}
+              onChange={(e) =>
+                setFadeOut(Math.max(0, parseFloat(e.target.value) || 0))
+              }
+            />
+            s
+          </label>
+        </span>
+      </div>
+
+      {message?.buffer === audioBuffer && (
+        <p className="audio-editor-message">{message.text}</p>
+      )}
+
+      {edits.length > 0 && (
+        <div className="audio-editor-history">
+          <ol>
+            {edits.map((label, i) => (
+              <li key={i}>{label}</li>
+            ))}
+          </ol>
+          <button onClick={onUndo} className="btn btn-primary">
+            ↶ Undo last edit
+          </button>
+          <button onClick={onRevert} className="btn btn-primary">
+            Revert to original
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import { useState } from "react";
+import { downloadFile } from "../../utils/download";
+import { renderNotes } from "../../utils/offlineRender";
+import { crossfadeGains } from "../../utils/playbackScheduler";
+import { WAV_BIT_DEPTHS, encodeWav } from "../../utils/wavFile";
+import "./AudioExport.css";
+
+const SOURCES = [
+  { value: "recording", label: "Recording", fileName: "recording.wav" },
+  { value: "rendition", label: "Piano rendition", fileName: "rendition.wav" },
+  { value: "mix", label: "Mix of both", fileName: "mix.wav" },
+];
+
+export default function AudioExport({ audioBuffer, notes, instrument }) {
+  const hasNotes = notes && notes.length > 0;
+  const [source, setSource] = useState(audioBuffer ? "recording" : "rendition");
+  const [bitDepth, setBitDepth] = useState(16);
+  const [channels, setChannels] = useState(
+    audioBuffer?.numberOfChannels === 1 ? 1 : 2,
+  );
+  const [balance, setBalance] = useState(0.5); // 0 = recording only, 1 = notes only
+  const [isRendering, setIsRendering] = useState(false);
+
+  // Sources that make sense for what is loaded
+  const available = SOURCES.filter(
+    ({ value }) =>
+      (value !== "recording" || audioBuffer) &&
+      (value !== "rendition" || hasNotes) &&
+      (value !== "mix" || (audioBuffer && hasNotes)),
+  );
+  const selected =
+    available.find((option) => option.value === source) ?? available[0];
+
+  const exportWav = async () => {
+    setIsRendering(true);
+
+    try {
+      let buffer = audioBuffer;
+
+      // Notes are rendered offline through the player's soundfont
+      if (selected.value !== "recording") {
+        buffer = await renderNotes(notes, instrument, {
+          sampleRate: audioBuffer?.sampleRate,
+          channels,
+          audioBuffer,
+          mix:
+            selected.value === "mix"
+              ? crossfadeGains(balance)
+              : { notes: 1, audio: 0 },
+        });
+      }
+
+      downloadFile(
+        encodeWav(buffer, { bitDepth, channels }),
+        selected.fileName,
+        "audio/wav",
+      );
+    } catch (err) {
+      console.error("WAV export error:", err);
+
+      alert(`Failed to export WAV: ${err.message}`);
+    }
+
+    setIsRendering(false);
+  };
+
+  if (!selected) return null;
+
+  return (
+    <div className="audio-export">
+      <h3>💿 Export WAV</h3>
+      <div className="audio-export-options">
+        <label className="audio-export-option">
+          Source
+          <select
+            value={selected.value}
+            onChange={(e) => setSource(e.target.value)}
+          >
+            {available.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {selected.value === "mix" && (
+          <label className="audio-export-option">
+            Original
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.01"
+              value={balance}
+              onChange={(e) => setBalance(parseFloat(e.target.value))}
+            />
+            MIDI
+          </label>
+        )}
+        <label className="audio-export-option">
+          Bits
+          <select
+            value={bitDepth}
+            onChange={(e) => setBitDepth(parseInt(e.target.value))}
+          >
+            {WAV_BIT_DEPTHS.map((depth) => (
+              <option key={depth} value={depth}>
+                {depth}-bit
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="audio-export-option">
+          Channels
+          <select
+            value={channels}
+            onChange={(e) => setChannels(parseInt(e.target.value))}
+          >
+            <option value={1}>Mono</option>
+            <option value={2}>Stereo</option>
+          </select>
+        </label>
+        <button
+          onClick={exportWav}
+          disabled={isRendering}
+          className="btn btn-primary"
+        >
+          {isRendering ? "Rendering..." : `💾 Download ${selected.fileName}`}
+        </button>
+      </div>
+      {selected.value !== "recording" && (
+        <p className="audio-export-note">
+          Notes are rendered offline with the player&apos;s instrument (
+          {instrument})
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,14 @@
 import { useState } from "react";
+import { midiFileToNotes } from "../../utils/midiImport";
 import "./AudioUploader.css";
 
-export default function AudioUploader({ onAudioLoaded }) {
+const MIDI_TYPES = ["audio/midi", "audio/mid", "audio/x-midi"];
+
+function isMidiFile(file) {
+  return MIDI_TYPES.includes(file.type) || /\.midi?$/i.test(file.name);
+}
+
+export default function AudioUploader({ onAudioLoaded, onMidiLoaded }) {
   const [fileName, setFileName] = useState("");
   const [error, setError] = useState("");
 
@@ -12,6 +19,22 @@ export default function AudioUploader({ onAudioLoaded }) {
     setFileName(file.name);
     setError("");
 
+    if (isMidiFile(file)) {
+      try {
+        const midi = midiFileToNotes(await file.arrayBuffer());
+        if (midi.notes.length === 0) {
+          throw new Error("The file contains no notes");
+        }
+
+        onMidiLoaded({ ...midi, fileName: file.name });
+      } catch (err) {
+        console.error("MIDI import error:", err);
+        setError(`Failed to read MIDI file. Error: ${err.message}`);
+        setFileName("");
+      }
+      return;
+    }
+
     try {
       // Read file as ArrayBuffer
       const arrayBuffer = await file.arrayBuffer();
@@ -34,7 +57,11 @@ export default function AudioUploader({ onAudioLoaded }) {
 
   return (
     <div>
-      <input type="file" accept="audio/*" onChange={handleFileChange} />
+      <input
+        type="file"
+        accept={`audio/*,.mid,.midi,${MIDI_TYPES.join(",")}`}
+        onChange={handleFileChange}
+      />
       {fileName && (
         <span className="audio-uploader-success">Loaded: {fileName}</span>
       )}
@@ -0,0 +1,27 @@
+import { getChannelOptions } from "../../utils/audioChannels";
+import "./ChannelSelector.css";
+
+// Which channel(s) of a multi-channel recording are analysed and shown
+export default function ChannelSelector({
+  audioBuffer,
+  channel,
+  onChannelChange,
+}) {
+  const options = getChannelOptions(audioBuffer);
+  if (options.length === 0) return null;
+
+  return (
+    <label className="channel-selector">
+      <span className="channel-selector-title">
+        Channel ({audioBuffer.numberOfChannels})
+      </span>
+      <select value={channel} onChange={(e) => onChannelChange(e.target.value)}>
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,34 @@
+import "./ChordTimeline.css";
+
+// Chord symbols along the time axis of a view
+export default function ChordTimeline({ chords, view }) {
+  const length = view.end - view.start;
+  const visible = chords.filter(
+    (chord) => chord.end > view.start && chord.start < view.end,
+  );
+
+  return (
+    <div className="chord-timeline">
+      {visible.map((chord) => {
+        const start = Math.max(chord.start, view.start);
+        const end = Math.min(chord.end, view.end);
+        return (
+          <div
+            key={chord.start}
+            className="chord-timeline-chord"
+            style={{
+              left: `${((start - view.start) / length) * 100}%`,
+              width: `${((end - start) / length) * 100}%`,
+            }}
+            title={`${chord.name} (${chord.start.toFixed(2)}–${chord.end.toFixed(2)}s)`}
+          >
+            {chord.name}
+          </div>
+        );
+      })}
+      {visible.length === 0 && (
+        <span className="chord-timeline-empty">No chords recognised here</span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import { useMemo } from "react";
+import MIDIGenerator from "../MIDIGenerator";
+import { chordsToNotes, chordsToText } from "../../utils/chordRecognition";
+import { downloadFile } from "../../utils/download";
+import "./ChordTrack.css";
+
+export default function ChordTrack({ chords, instrument, beats = null }) {
+  const blockChords = useMemo(() => chordsToNotes(chords), [chords]);
+
+  const downloadText = () =>
+    downloadFile(chordsToText(chords), "chords.txt", "text/plain");
+
+  const downloadJSON = () =>
+    downloadFile(
+      JSON.stringify(
+        {
+          chords: chords.map(
+            ({ start, end, name, root, type, bass, inversion }) => ({
+              start,
+              end,
+              name,
+              root,
+              type,
+              bass,
+              inversion,
+            }),
+          ),
+        },
+        null,
+        2,
+      ),
+      "chords.json",
+      "application/json",
+    );
+
+  return (
+    <div className="chord-track">
+      <h3>🎸 Chords</h3>
+      {chords.length > 0 ? (
+        <>
+          <p className="chord-track-summary">
+            {chords.length} chords:{" "}
+            {chords
+              .slice(0, 16)
+              .map((chord) => chord.name)
+              .join(" · ")}
+            {chords.length > 16 && " …"}
+          </p>
+          <div className="chord-track-exports">
+            <button onClick={downloadText} className="btn btn-primary">
+              Download chords (text)
+            </button>
+            <button onClick={downloadJSON} className="btn btn-primary">
+              Download chords (JSON)
+            </button>
+          </div>
+          <div className="chord-track-midi">
+            <span>Block chords (MIDI)</span>
+            <MIDIGenerator
+              notes={blockChords}
+              instrument={instrument}
+              beats={beats}
+              fileName="chords.mid"
+            />
+          </div>
+        </>
+      ) : (
+        <p className="chord-track-summary">
+          No chords recognised in the current notes. Chords need at least two
+          notes sounding together, as found by the spectral detector.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import { NOTE_NAMES } from "../../utils/pitchDetection";
+import { SCALES, getKeyName } from "../../utils/keyDetection";
+import "./KeySelector.css";
+
+export default function KeySelector({
+  detectedKey,
+  settings,
+  onSettingsChange,
+}) {
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+
+  return (
+    <div className="key-selector">
+      <h3>🔑 Key</h3>
+      <p className="key-selector-detected">
+        {detectedKey ? (
+          <>
+            Detected key: <strong>{detectedKey.name}</strong> (
+            {Math.round(Math.max(0, detectedKey.confidence) * 100)}% match)
+          </>
+        ) : (
+          "No notes to detect a key from yet"
+        )}
+      </p>
+      <div className="key-selector-controls">
+        <label className="key-selector-control">
+          Snap notes to
+          <select
+            value={settings.mode}
+            onChange={(e) => update({ mode: e.target.value })}
+          >
+            <option value="off">Off (nearest semitone)</option>
+            <option value="detected" disabled={!detectedKey}>
+              {detectedKey
+                ? `Detected key (${detectedKey.name})`
+                : "Detected key"}
+            </option>
+            <option value="custom">Chosen scale</option>
+          </select>
+        </label>
+        {settings.mode === "custom" && (
+          <>
+            <select
+              value={settings.tonic}
+              onChange={(e) => update({ tonic: parseInt(e.target.value) })}
+              aria-label="Tonic"
+            >
+              {NOTE_NAMES.map((name, pc) => (
+                <option key={name} value={pc}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={settings.scale}
+              onChange={(e) => update({ scale: e.target.value })}
+              aria-label="Scale"
+            >
+              {SCALES.map((scale) => (
+                <option key={scale.value} value={scale.value}>
+                  {scale.label}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+      </div>
+      {settings.mode !== "off" && (
+        <p className="key-selector-summary">
+          Every detected pitch is moved to the nearest note of{" "}
+          {settings.mode === "custom"
+            ? getKeyName(settings.tonic, settings.scale)
+            : detectedKey?.name}{" "}
+          before notes are formed, for playback and export
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,166 +1,147 @@
 import { useState } from "react";
-import MidiWriter from "midi-writer-js";
-
-export default function MIDIGenerator({ pitchData }) {
+import {
+  DEFAULT_EXPORT_OPTIONS,
+  PPQ_OPTIONS,
+  TRACK_SPLITS,
+  notesToMidiFile,
+} from "../../utils/midiExport";
+import {
+  availableInstruments,
+  getInstrumentProgram,
+} from "../../constants/instruments";
+import { downloadFile } from "../../utils/download";
+import { midiToNoteName } from "../../utils/pitchDetection";
+import "./MIDIGenerator.css";
+
+// C2 to C6
+const SPLIT_POINTS = Array.from({ length: 49 }, (_, i) => 36 + i);
+
+export default function MIDIGenerator({
+  notes,
+  instrument,
+  beats = null,
+  fileName = "audio_pitch.mid",
+}) {
   const [isGenerating, setIsGenerating] = useState(false);
+  const [ppq, setPpq] = useState(DEFAULT_EXPORT_OPTIONS.ppq);
+  const [split, setSplit] = useState(DEFAULT_EXPORT_OPTIONS.split);
+  const [splitPoint, setSplitPoint] = useState(
+    DEFAULT_EXPORT_OPTIONS.splitPoint,
+  );
+  // Per-track instrument overrides; unset tracks use the player's instrument
+  const [trackInstruments, setTrackInstruments] = useState({});
+
+  const trackNames = TRACK_SPLITS.find(
+    (option) => option.value === split,
+  ).tracks;
+
+  const getTrackInstrument = (index) => trackInstruments[index] ?? instrument;
 
   const generateMIDI = () => {
-    if (!pitchData || pitchData.length === 0) return;
+    if (!notes || notes.length === 0) return;
 
     setIsGenerating(true);
 
     try {
-      const track = new MidiWriter.Track();
-      const BPM = 120;
-      track.setTempo(BPM);
-
-      const ticksPerBeat = 128;
-      const secondsPerBeat = 60 / BPM;
-      const ticksPerSecond = ticksPerBeat / secondsPerBeat;
-
-      // Hz to MIDI note conversion
-      const hzToMidi = (hz) => {
-        if (!hz || hz <= 0) return null;
-        const midiFloat = 69 + 12 * Math.log2(hz / 440);
-        return Math.max(0, Math.min(127, Math.round(midiFloat)));
-      };
-
-      // Group pitches into time windows (20ms)
-      const timeWindowSize = 0.02;
-      const pitchGroups = [];
-
-      let currentGroup = {
-        startTime: 0,
-        pitches: [],
-      };
-
-      for (const item of pitchData) {
-        const time = parseFloat(item.time);
-        const hz = item.hz;
-
-        if (time > currentGroup.startTime + timeWindowSize) {
-          if (currentGroup.pitches.length > 0) {
-            pitchGroups.push({
-              ...currentGroup,
-            });
-          }
-
-          currentGroup = {
-            startTime: time,
-            pitches: [hz],
-          };
-        } else {
-          currentGroup.pitches.push(hz);
-        }
-      }
-
-      if (currentGroup.pitches.length > 0) {
-        pitchGroups.push(currentGroup);
-      }
-
-      let currentTimeTicks = 0;
-
-      // Convert pitch groups to MIDI notes
-      for (let i = 0; i < pitchGroups.length; i++) {
-        const group = pitchGroups[i];
-        const time = group.startTime;
-
-        // Get unique MIDI notes from all pitches in this window
-        const uniquePitches = [...new Set(group.pitches)];
-        const midiNotes = uniquePitches
-          .map((hz) => hzToMidi(hz))
-          .filter((note) => note !== null)
-          .filter((note, idx, arr) => arr.indexOf(note) === idx)
-          .sort((a, b) => a - b);
-
-        if (midiNotes.length === 0) continue;
-
-        // Calculate timing
-        const targetTimeTicks = Math.round(time * ticksPerSecond);
-
-        // Add rest if needed
-        if (targetTimeTicks > currentTimeTicks) {
-          track.addEvent(
-            new MidiWriter.NoteEvent({
-              pitch: ["C4"],
-              duration: `T$ {
-                  waitTicks
-                }
-
-                `,
-              velocity: 0,
-            }),
-          );
-          currentTimeTicks = targetTimeTicks;
-        }
-
-        // Calculate duration
-        let durationTicks = 16;
-
-        if (i + 1 < pitchGroups.length) {
-          const nextTime = pitchGroups[i + 1].startTime;
-          const timeDiff = nextTime - time;
-          durationTicks = Math.max(
-            8,
-            Math.min(64, Math.round(timeDiff * ticksPerSecond)),
-          );
-        }
-
-        // Add note(s) as chord
-        track.addEvent(
-          new MidiWriter.NoteEvent({
-            pitch: midiNotes,
-            duration: `T$ {
-                durationTicks
-              }
-
-              `,
-            velocity: 80,
-          }),
-        );
-
-        currentTimeTicks += durationTicks;
-      }
-
-      // Create MIDI file
-      const write = new MidiWriter.Writer([track]);
-      const midiData = write.buildFile();
-
-      // Download
-      const blob = new Blob([midiData], {
-        type: "audio/midi",
+      // Notes keep their times in the audio; the tempo follows the beats
+      // (from the rhythm settings) so they also land in the right bars
+      const midiData = notesToMidiFile(notes, {
+        beats,
+        ppq,
+        split,
+        splitPoint,
+        programs: trackNames.map((_, index) =>
+          getInstrumentProgram(getTrackInstrument(index)),
+        ),
       });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = "audio_pitch.mid";
-      a.click();
-      URL.revokeObjectURL(url);
+
+      downloadFile(midiData, fileName, "audio/midi");
 
       setIsGenerating(false);
     } catch (err) {
       console.error("MIDI generation error:", err);
 
-      alert(`Failed to generate MIDI: $ {
-          err.message
-        }
-
-        `);
+      alert(`Failed to generate MIDI: ${err.message}`);
       setIsGenerating(false);
     }
   };
 
-  const hasPitchData = pitchData && pitchData.length > 0;
+  const hasNotes = notes && notes.length > 0;
 
   return (
-    <button
-      onClick={generateMIDI}
-      disabled={!hasPitchData || isGenerating}
-      className="midi-download-button"
-      title={isGenerating ? "Generating..." : "Download MIDI file"}
-    >
-      {" "}
-      💾{" "}
-    </button>
+    <div className="midi-export">
+      <label className="midi-export-option">
+        PPQ
+        <select value={ppq} onChange={(e) => setPpq(parseInt(e.target.value))}>
+          {PPQ_OPTIONS.map((value) => (
+            <option key={value} value={value}>
+              {value}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="midi-export-option">
+        Tracks
+        <select
+          value={split}
+          onChange={(e) => setSplit(e.target.value)}
+          className="midi-export-tracks"
+        >
+          {TRACK_SPLITS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {split !== "none" && (
+        <label
+          className="midi-export-option"
+          title="Notes below this go to the bass track"
+        >
+          Split
+          <select
+            value={splitPoint}
+            onChange={(e) => setSplitPoint(parseInt(e.target.value))}
+          >
+            {SPLIT_POINTS.map((midi) => (
+              <option key={midi} value={midi}>
+                {midiToNoteName(midi)}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {trackNames.map((name, index) => (
+        <label key={name} className="midi-export-option">
+          {name}
+          <select
+            value={getTrackInstrument(index)}
+            onChange={(e) =>
+              setTrackInstruments((current) => ({
+                ...current,
+                [index]: e.target.value,
+              }))
+            }
+            className="midi-export-instrument"
+          >
+            {availableInstruments.map((instr) => (
+              <option key={instr.value} value={instr.value}>
+                {instr.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+      <button
+        onClick={generateMIDI}
+        disabled={!hasNotes || isGenerating}
+        className="midi-download-button"
+        title={isGenerating ? "Generating..." : "Download MIDI file"}
+      >
+        {" "}
+        💾{" "}
+      </button>
+    </div>
   );
 }
@@ -1,134 +1,209 @@
-import { useState, useRef, useEffect } from "react";
+import { useState, useEffect, useMemo } from "react";
 import Soundfont from "soundfont-player";
 import { availableInstruments } from "../../constants/instruments";
-import { hzToMidi } from "../../utils/pitchDetection";
 import { getAudioContext, resumeAudioContext } from "../../utils/audioContext";
+import {
+  createPlaybackScheduler,
+  crossfadeGains,
+} from "../../utils/playbackScheduler";
+import { clearPlayheadSource, setPlayheadSource } from "../../utils/playhead";
 import "./MIDIPlayer.css";
 
-export default function MIDIPlayer({ pitchData, downloadButton }) {
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, "0")}`;
+}
+
+export default function MIDIPlayer({
+  notes,
+  audioBuffer,
+  selection = null,
+  selectedInstrument,
+  onInstrumentChange,
+  downloadButton,
+}) {
   const [isPlaying, setIsPlaying] = useState(false);
   const [instrument, setInstrument] = useState(null);
-  const [progress, setProgress] = useState(0);
-  const [selectedInstrument, setSelectedInstrument] = useState("voice_oohs");
-  const playbackRef = useRef(null);
+  const [position, setPosition] = useState(0);
+  const [loopStart, setLoopStart] = useState(null);
+  const [loopEnd, setLoopEnd] = useState(null);
+  const [isLooping, setIsLooping] = useState(false);
+  const [crossfade, setCrossfade] = useState(0.5);
+  const [muted, setMuted] = useState({ audio: false, notes: false });
+  const [solo, setSolo] = useState(null); // "audio", "notes" or null
+
+  // One scheduler on the shared context for the player's lifetime
+  const [scheduler] = useState(() => {
+    const playback = createPlaybackScheduler(getAudioContext(), {
+      onEnded: () => {
+        setIsPlaying(false);
+        setPosition(0);
+        clearPlayheadSource(playback.getPosition);
+      },
+    });
+    return playback;
+  });
+
+  const duration = useMemo(
+    () =>
+      (notes || []).reduce(
+        (max, note) => Math.max(max, note.end),
+        audioBuffer ? audioBuffer.duration : 0,
+      ),
+    [notes, audioBuffer],
+  );
+
+  // Silence everything when the player goes away
+  useEffect(
+    () => () => {
+      scheduler.stop();
+      clearPlayheadSource(scheduler.getPosition);
+    },
+    [scheduler],
+  );
 
   useEffect(() => {
+    let cancelled = false;
+
     // Load instrument when selection changes
     const loadInstrument = async () => {
+      setInstrument(null);
+
       const ac = await resumeAudioContext();
-      const instr = await Soundfont.instrument(ac, selectedInstrument);
+      const instr = await Soundfont.instrument(ac, selectedInstrument, {
+        destination: scheduler.output,
+      });
+      if (cancelled) return;
+
+      scheduler.setInstrument(instr);
       setInstrument(instr);
     };
 
     loadInstrument();
-  }, [selectedInstrument]);
 
-  const playMIDI = async () => {
-    if (!instrument || !pitchData || pitchData.length === 0) return;
+    return () => {
+      cancelled = true;
+    };
+  }, [scheduler, selectedInstrument]);
 
-    setIsPlaying(true);
-    setProgress(0);
-
-    // Convert Hz to MIDI note numbers
-    const notes = pitchData.map((pitch) => {
-      const hz = pitch.hz;
-      const midiNote = hzToMidi(hz);
-
-      return {
-        time: parseFloat(pitch.time),
-        midi: midiNote,
-        hz: hz,
-      };
-    });
+  useEffect(() => {
+    scheduler.setNotes(notes);
+  }, [scheduler, notes]);
 
-    // Group notes by time windows (20ms)
-    const timeWindowSize = 0.02;
-    const noteGroups = [];
-    let currentGroup = [];
-    let currentTime = 0;
-
-    for (let i = 0; i < notes.length; i++) {
-      const note = notes[i];
-
-      if (note.time - currentTime < timeWindowSize) {
-        currentGroup.push(note);
-      } else {
-        if (currentGroup.length > 0) {
-          noteGroups.push({
-            time: currentTime,
-            notes: currentGroup,
-          });
-        }
-
-        currentGroup = [note];
-        currentTime = note.time;
-      }
-    }
+  useEffect(() => {
+    scheduler.setAudioBuffer(audioBuffer || null);
+  }, [scheduler, audioBuffer]);
 
-    if (currentGroup.length > 0) {
-      noteGroups.push({
-        time: currentTime,
-        notes: currentGroup,
-      });
-    }
+  useEffect(() => {
+    const gains = audioBuffer
+      ? crossfadeGains(crossfade)
+      : { notes: 1, audio: 0 };
+    const level = (track) =>
+      muted[track] || (solo && solo !== track) ? 0 : gains[track];
 
-    // Play notes
-    const audioContext = getAudioContext();
-    const startTime = audioContext.currentTime;
-    const totalDuration = noteGroups[noteGroups.length - 1]?.time || 0;
+    scheduler.setMix({ audio: level("audio"), notes: level("notes") });
+  }, [scheduler, audioBuffer, crossfade, muted, solo]);
 
-    playbackRef.current = {
-      active: true,
-    };
+  useEffect(() => {
+    scheduler.setLoop(
+      isLooping && loopStart !== null && loopEnd !== null
+        ? { start: loopStart, end: loopEnd }
+        : null,
+    );
+  }, [scheduler, isLooping, loopStart, loopEnd]);
 
-    for (let i = 0; i < noteGroups.length; i++) {
-      if (!playbackRef.current?.active) break;
+  // Follow the playhead while playing
+  useEffect(() => {
+    if (!isPlaying) return;
 
-      const group = noteGroups[i];
-      const playTime = startTime + group.time;
+    let frame;
+    const update = () => {
+      setPosition(scheduler.getPosition());
+      frame = requestAnimationFrame(update);
+    };
+    frame = requestAnimationFrame(update);
 
-      // Play all notes in the group as a chord
-      group.notes.forEach((note) => {
-        instrument.play(note.midi, playTime, {
-          duration: 0.2,
-        });
-      });
+    return () => cancelAnimationFrame(frame);
+  }, [scheduler, isPlaying]);
 
-      // Update progress
-      setProgress(Math.round((group.time / totalDuration) * 100));
+  const playMIDI = async () => {
+    if (!instrument || !notes || notes.length === 0) return;
 
-      // Wait for next group
-      if (i < noteGroups.length - 1) {
-        const delay = (noteGroups[i + 1].time - group.time) * 1000;
-        await new Promise((resolve) => setTimeout(resolve, delay));
-      }
-    }
+    await resumeAudioContext();
+    scheduler.play();
+    setPlayheadSource(scheduler.getPosition);
+    setIsPlaying(true);
+  };
 
+  const pausePlayback = () => {
+    scheduler.pause();
     setIsPlaying(false);
-    setProgress(100);
+    setPosition(scheduler.getPosition());
   };
 
   const stopPlayback = () => {
-    if (playbackRef.current) {
-      playbackRef.current.active = false;
+    scheduler.stop();
+    clearPlayheadSource(scheduler.getPosition);
+    setIsPlaying(false);
+    setPosition(0);
+  };
+
+  const handleSeek = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const fraction = (e.clientX - rect.left) / rect.width;
+
+    scheduler.seek(Math.max(0, Math.min(1, fraction)) * duration);
+    setPosition(scheduler.getPosition());
+  };
+
+  const setMarker = (marker) => {
+    const time = scheduler.getPosition();
+
+    if (marker === "a") {
+      setLoopStart(time);
+      if (loopEnd !== null && loopEnd <= time) setLoopEnd(null);
+    } else {
+      setLoopEnd(time);
+      if (loopStart !== null && loopStart >= time) setLoopStart(null);
     }
+  };
 
-    setIsPlaying(false);
-    setProgress(0);
+  // Loop the range selected on the waveform or spectrogram
+  const loopSelection = () => {
+    setLoopStart(selection.start);
+    setLoopEnd(selection.end);
+    setIsLooping(true);
+    scheduler.seek(selection.start);
+    setPosition(selection.start);
   };
 
-  if (!pitchData || pitchData.length === 0) {
+  const clearLoop = () => {
+    setLoopStart(null);
+    setLoopEnd(null);
+    setIsLooping(false);
+  };
+
+  const toggleMute = (track) =>
+    setMuted((current) => ({ ...current, [track]: !current[track] }));
+
+  const toggleSolo = (track) =>
+    setSolo((current) => (current === track ? null : track));
+
+  if (!notes || notes.length === 0) {
     return null;
   }
 
+  const shownPosition = Math.min(position, duration);
+  const percent = (time) => (duration > 0 ? (time / duration) * 100 : 0);
+  const hasLoop = loopStart !== null && loopEnd !== null;
+
   return (
     <div className="midi-player-container">
       <h3>🎹 MIDI Player</h3>
       <div className="midi-player-controls">
         <select
           value={selectedInstrument}
-          onChange={(e) => setSelectedInstrument(e.target.value)}
-          disabled={isPlaying}
+          onChange={(e) => onInstrumentChange(e.target.value)}
           className="instrument-selector"
         >
           {availableInstruments.map((instr) => (
@@ -143,27 +218,114 @@ export default function MIDIPlayer({ pitchData, downloadButton }) {
             disabled={!instrument}
             className={`btn btn-large ${instrument ? "btn-primary" : "btn-disabled"}`}
           >
-            ▶️ Play MIDI
+            ▶️ {shownPosition > 0 ? "Resume" : "Play MIDI"}
           </button>
         ) : (
-          <button onClick={stopPlayback} className="btn btn-large btn-primary">
-            ⏹ Stop
+          <button onClick={pausePlayback} className="btn btn-large btn-primary">
+            ⏸ Pause
           </button>
         )}
+        <button
+          onClick={stopPlayback}
+          disabled={!isPlaying && position === 0}
+          className="btn btn-large btn-primary"
+        >
+          ⏹ Stop
+        </button>
         {downloadButton}
         {!instrument && (
           <span className="midi-player-loading">Loading soundfont...</span>
         )}
       </div>
-      {isPlaying && (
-        <div>
-          <div className="midi-player-progress-container">
-            <div
-              className="midi-player-progress-bar"
-              style={{ width: `${progress}%` }}
+      <div
+        className="midi-player-progress-container"
+        onClick={handleSeek}
+        title="Click to seek"
+      >
+        {hasLoop && (
+          <div
+            className={`midi-player-loop-region ${isLooping ? "active" : ""}`}
+            style={{
+              left: `${percent(loopStart)}%`,
+              width: `${percent(loopEnd - loopStart)}%`,
+            }}
+          />
+        )}
+        <div
+          className="midi-player-progress-bar"
+          style={{ width: `${percent(shownPosition)}%` }}
+        />
+      </div>
+      <div className="midi-player-transport">
+        <span className="midi-player-time">
+          {formatTime(shownPosition)} / {formatTime(duration)}
+        </span>
+        <div className="midi-player-loop-controls">
+          <button onClick={() => setMarker("a")} className="btn btn-primary">
+            A{loopStart !== null && ` ${formatTime(loopStart)}`}
+          </button>
+          <button onClick={() => setMarker("b")} className="btn btn-primary">
+            B{loopEnd !== null && ` ${formatTime(loopEnd)}`}
+          </button>
+          <label className="midi-player-loop-toggle">
+            <input
+              type="checkbox"
+              checked={isLooping}
+              onChange={(e) => setIsLooping(e.target.checked)}
+              disabled={!hasLoop}
+            />
+            Loop A–B
+          </label>
+          {selection && (
+            <button onClick={loopSelection} className="btn btn-primary">
+              Loop selection
+            </button>
+          )}
+          {(loopStart !== null || loopEnd !== null) && (
+            <button onClick={clearLoop} className="btn btn-primary">
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+      {audioBuffer && (
+        <div className="midi-player-mix">
+          {[
+            { track: "audio", label: "Original" },
+            { track: "notes", label: "MIDI" },
+          ].map(({ track, label }) => (
+            <span key={track} className="midi-player-track">
+              {label}
+              <button
+                onClick={() => toggleMute(track)}
+                className={`midi-player-track-button ${muted[track] ? "active" : ""}`}
+                title={`Mute ${label.toLowerCase()}`}
+              >
+                M
+              </button>
+              <button
+                onClick={() => toggleSolo(track)}
+                className={`midi-player-track-button ${solo === track ? "active" : ""}`}
+                title={`Solo ${label.toLowerCase()}`}
+              >
+                S
+              </button>
+            </span>
+          ))}
+          <label className="midi-player-crossfader">
+            Original
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.01"
+              value={crossfade}
+              onChange={(e) => setCrossfade(parseFloat(e.target.value))}
+              onDoubleClick={() => setCrossfade(0.5)}
+              title="Crossfade between the recording and the MIDI rendition (double-click to center)"
             />
-          </div>
-          <p className="midi-player-progress-text">Playing... {progress}%</p>
+            MIDI
+          </label>
         </div>
       )}
       <p className="midi-player-info">
@@ -171,7 +333,7 @@ export default function MIDIPlayer({ pitchData, downloadButton }) {
         {availableInstruments
           .find((i) => i.value === selectedInstrument)
           ?.label.toLowerCase()}
-        soundfont • {pitchData.length} pitch samples
+        soundfont • {notes.length} notes
       </p>
     </div>
   );
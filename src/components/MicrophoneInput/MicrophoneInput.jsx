@@ -1,11 +1,28 @@
 import { useState, useRef, useEffect } from "react";
 import Soundfont from "soundfont-player";
 import { availableInstruments } from "../../constants/instruments";
-import { autoCorrelate, hzToMidi } from "../../utils/pitchDetection";
+import { hzToMidi } from "../../utils/pitchDetection";
+import {
+  createLiveDetector,
+  getPitchDetector,
+} from "../../utils/pitchDetectors";
 import { getAudioContext, resumeAudioContext } from "../../utils/audioContext";
 import "./MicrophoneInput.css";
 
+// Live estimator for the chosen detector, expecting a new frame every
+// animation frame (about 60 per second), with the analyser one frame long
+function createAnalyserDetector(settings, audioContext, analyser) {
+  const detector = createLiveDetector(
+    settings,
+    audioContext.sampleRate,
+    Math.round(audioContext.sampleRate / 60),
+  );
+  analyser.fftSize = detector.frameSize;
+  return detector;
+}
+
 export default function MicrophoneInput({
+  detectorSettings,
   onPitchesRecorded,
   onAudioRecorded,
 }) {
@@ -31,6 +48,7 @@ export default function MicrophoneInput({
   const pitchesRef = useRef([]);
   const currentNoteRef = useRef(null);
   const statsIntervalRef = useRef(null);
+  const detectorRef = useRef(null);
 
   const [liveStats, setLiveStats] = useState({
     duration: 0,
@@ -71,10 +89,14 @@ export default function MicrophoneInput({
       )();
       audioContextRef.current = audioContext;
 
-      // Create analyser
+      // Create analyser for the pitch estimator
       const analyser = audioContext.createAnalyser();
-      analyser.fftSize = 2048;
       analyserRef.current = analyser;
+      detectorRef.current = createAnalyserDetector(
+        detectorSettings,
+        audioContext,
+        analyser,
+      );
 
       // Connect microphone to analyser
       const source = audioContext.createMediaStreamSource(stream);
@@ -125,6 +147,16 @@ export default function MicrophoneInput({
     }
   };
 
+  // Settings changed while recording apply from the next frame
+  useEffect(() => {
+    if (!isRecording) return;
+    detectorRef.current = createAnalyserDetector(
+      detectorSettings,
+      audioContextRef.current,
+      analyserRef.current,
+    );
+  }, [detectorSettings, isRecording]);
+
   const stopRecording = async () => {
     setIsRecording(false);
 
@@ -238,15 +270,19 @@ export default function MicrophoneInput({
     }
 
     // Detect pitch
-    const hz = autoCorrelate(timeDomainData, audioContext.sampleRate);
+    const { minHz, maxHz, estimate } = detectorRef.current;
+    const { hz, confidence } = estimate(timeDomainData);
 
-    if (hz > 50 && hz < 1000) {
+    if (hz > 0 && hz >= minHz && hz <= maxHz) {
       // eslint-disable-next-line react-hooks/purity
       const time = (performance.now() - startTimeRef.current) / 1000;
 
       const pitch = {
         time: time.toFixed(3),
         hz: Math.round(hz * 100) / 100,
+        ...(confidence !== null && {
+          confidence: Math.round(confidence * 100) / 100,
+        }),
       };
 
       setCurrentPitch(pitch);
@@ -313,6 +349,14 @@ export default function MicrophoneInput({
       ctx.font = "bold 24px monospace";
 
       ctx.fillText(`${currentPitch.hz} Hz`, 10, 30);
+      if (currentPitch.confidence !== undefined) {
+        ctx.font = "16px monospace";
+        ctx.fillText(
+          `${Math.round(currentPitch.confidence * 100)}% confidence`,
+          10,
+          54,
+        );
+      }
     }
   };
 
@@ -421,7 +465,10 @@ export default function MicrophoneInput({
           ) : (
             <div className="recording-results">
               <p className="result-title">Ready to record</p>
-              <p className="result-details">Press Start Recording to begin</p>
+              <p className="result-details">
+                Press Start Recording to begin (
+                {getPitchDetector(detectorSettings.method).label} detection)
+              </p>
             </div>
           )}
         </div>
@@ -0,0 +1,74 @@
+import "./NoteSegmenter.css";
+
+export default function NoteSegmenter({
+  settings,
+  onSettingsChange,
+  frameCount,
+  noteCount,
+  onsetCount,
+}) {
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+
+  return (
+    <div className="note-segmenter">
+      <h3>🎼 Note Segmentation</h3>
+      <div className="note-segmenter-controls">
+        <div className="note-segmenter-control">
+          <label htmlFor="min-note-length">
+            Min note length: {Math.round(settings.minNoteLength * 1000)} ms
+          </label>
+          <input
+            id="min-note-length"
+            type="range"
+            min="0"
+            max="0.3"
+            step="0.01"
+            value={settings.minNoteLength}
+            onChange={(e) =>
+              update({ minNoteLength: parseFloat(e.target.value) })
+            }
+            disabled={!settings.mergeFrames}
+          />
+        </div>
+        <div className="note-segmenter-control">
+          <label htmlFor="gap-tolerance">
+            Gap tolerance: {Math.round(settings.gapTolerance * 1000)} ms
+          </label>
+          <input
+            id="gap-tolerance"
+            type="range"
+            min="0"
+            max="0.2"
+            step="0.01"
+            value={settings.gapTolerance}
+            onChange={(e) =>
+              update({ gapTolerance: parseFloat(e.target.value) })
+            }
+            disabled={!settings.mergeFrames}
+          />
+        </div>
+        <label className="note-segmenter-toggle">
+          <input
+            type="checkbox"
+            checked={settings.splitOnOnsets}
+            onChange={(e) => update({ splitOnOnsets: e.target.checked })}
+            disabled={!settings.mergeFrames}
+          />
+          Split at onsets ({onsetCount})
+        </label>
+        <label className="note-segmenter-toggle">
+          <input
+            type="checkbox"
+            checked={settings.mergeFrames}
+            onChange={(e) => update({ mergeFrames: e.target.checked })}
+          />
+          Merge frames into notes
+        </label>
+      </div>
+      <p className="note-segmenter-summary">
+        {noteCount} notes from {frameCount} pitch frames
+        {!settings.mergeFrames && " • every frame is struck separately"}
+      </p>
+    </div>
+  );
+}
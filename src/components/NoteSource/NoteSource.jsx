@@ -0,0 +1,44 @@
+import "./NoteSource.css";
+
+export default function NoteSource({
+  source,
+  onSourceChange,
+  importedMidi,
+  detectedCount,
+  onClearImport,
+}) {
+  if (!importedMidi) return null;
+
+  return (
+    <div className="note-source">
+      <h3>🎼 Notes</h3>
+      <div className="note-source-options">
+        <label className="note-source-option">
+          <input
+            type="radio"
+            name="note-source"
+            value="imported"
+            checked={source === "imported"}
+            onChange={() => onSourceChange("imported")}
+          />
+          {importedMidi.fileName} ({importedMidi.notes.length} notes,{" "}
+          {Math.round(importedMidi.bpm)} BPM)
+        </label>
+        <label className="note-source-option">
+          <input
+            type="radio"
+            name="note-source"
+            value="detected"
+            checked={source === "detected"}
+            onChange={() => onSourceChange("detected")}
+            disabled={detectedCount === 0}
+          />
+          Detected from audio ({detectedCount} notes)
+        </label>
+        <button onClick={onClearImport} className="btn btn-primary">
+          Remove MIDI
+        </button>
+      </div>
+    </div>
+  );
+}
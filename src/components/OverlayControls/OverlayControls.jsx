@@ -0,0 +1,36 @@
+import "./OverlayControls.css";
+
+const LAYERS = [
+  { key: "notes", label: "Notes" },
+  { key: "f0", label: "f0 curve (autocorrelation)" },
+  { key: "peaks", label: "Spectral peaks" },
+  { key: "beats", label: "Beat grid" },
+];
+
+export default function OverlayControls({ layers, onLayersChange, progress }) {
+  return (
+    <div className="overlay-controls">
+      <span className="overlay-controls-title">Overlays</span>
+      {LAYERS.map(({ key, label }) => (
+        <label key={key} className="overlay-controls-option">
+          <input
+            type="checkbox"
+            checked={layers[key]}
+            onChange={(e) =>
+              onLayersChange({ ...layers, [key]: e.target.checked })
+            }
+          />
+          {label}
+          {layers[key] &&
+            progress[key] !== undefined &&
+            progress[key] < 100 && (
+              <span className="overlay-controls-progress">
+                {" "}
+                ({progress[key]}%)
+              </span>
+            )}
+        </label>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  isAnalysisCancelled,
+  runAnalysisOnSignals,
+} from "../../utils/backgroundAnalysis";
+import { mergeChannelPitches } from "../../utils/audioChannels";
+import { DEFAULT_RESYNTHESIS_OPTIONS } from "../../utils/pianoResynthesis";
+import { getSelectionAudio, shiftPitchTimes } from "../../utils/timeView";
+import "./PianoResynthesizer.css";
+
+export default function PianoResynthesizer({
+  audioBuffer,
+  selection = null,
+  channel,
+  onPitchDetected,
+}) {
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [frameRate, setFrameRate] = useState(
+    DEFAULT_RESYNTHESIS_OPTIONS.frameRate,
+  );
+  const [maxKeys, setMaxKeys] = useState(DEFAULT_RESYNTHESIS_OPTIONS.maxKeys);
+  const [dynamicRange, setDynamicRange] = useState(
+    DEFAULT_RESYNTHESIS_OPTIONS.dynamicRange,
+  );
+  const [summary, setSummary] = useState(null);
+
+  const taskRef = useRef(null);
+
+  // Cancel a running analysis when the audio changes or on unmount
+  useEffect(() => {
+    return () => {
+      if (taskRef.current) {
+        taskRef.current.cancel();
+        taskRef.current = null;
+      }
+    };
+  }, [audioBuffer]);
+
+  const resynthesize = async () => {
+    if (!audioBuffer) return;
+
+    setIsAnalyzing(true);
+    setProgress(0);
+    setSummary(null);
+
+    // Only the selected range and channel(s), if any
+    const { signals, offset } = getSelectionAudio(
+      audioBuffer,
+      selection,
+      channel,
+    );
+
+    const task = runAnalysisOnSignals(
+      "resynthesis",
+      signals,
+      audioBuffer.sampleRate,
+      { frameRate, maxKeys, dynamicRange },
+      { onProgress: setProgress },
+    );
+    taskRef.current = task;
+
+    try {
+      const pitches = shiftPitchTimes(
+        mergeChannelPitches(await task.promise),
+        offset,
+      );
+      const frameCount = new Set(pitches.map((p) => p.time)).size;
+
+      setSummary({
+        noteCount: pitches.length,
+        frameCount,
+        keysPerFrame: frameCount > 0 ? pitches.length / frameCount : 0,
+      });
+      setIsAnalyzing(false);
+
+      // Notify parent
+      if (onPitchDetected) {
+        onPitchDetected(pitches, selection);
+      }
+    } catch (err) {
+      if (!isAnalysisCancelled(err)) {
+        console.error("Piano resynthesis error:", err);
+      }
+
+      setIsAnalyzing(false);
+    } finally {
+      if (taskRef.current === task) {
+        taskRef.current = null;
+      }
+    }
+  };
+
+  return (
+    <div className="piano-resynthesizer">
+      <h2>🗣🎹 Talking Piano (Resynthesis)</h2>
+      <div className="resynthesis-controls">
+        <div className="resynthesis-control">
+          <label htmlFor="resynthesis-frame-rate">
+            Frame rate: {frameRate} strikes/s
+          </label>
+          <input
+            id="resynthesis-frame-rate"
+            type="range"
+            min="5"
+            max="40"
+            step="1"
+            value={frameRate}
+            onChange={(e) => setFrameRate(parseInt(e.target.value))}
+            disabled={isAnalyzing}
+          />
+        </div>
+        <div className="resynthesis-control">
+          <label htmlFor="resynthesis-max-keys">
+            Max simultaneous keys: {maxKeys}
+          </label>
+          <input
+            id="resynthesis-max-keys"
+            type="range"
+            min="1"
+            max="40"
+            step="1"
+            value={maxKeys}
+            onChange={(e) => setMaxKeys(parseInt(e.target.value))}
+            disabled={isAnalyzing}
+          />
+        </div>
+        <div className="resynthesis-control">
+          <label htmlFor="resynthesis-dynamic-range">
+            Dynamic range: {dynamicRange} dB
+          </label>
+          <input
+            id="resynthesis-dynamic-range"
+            type="range"
+            min="10"
+            max="80"
+            step="5"
+            value={dynamicRange}
+            onChange={(e) => setDynamicRange(parseInt(e.target.value))}
+            disabled={isAnalyzing}
+          />
+        </div>
+      </div>
+      <button
+        onClick={resynthesize}
+        disabled={!audioBuffer || isAnalyzing}
+        className="resynthesis-button"
+      >
+        {isAnalyzing
+          ? `Analyzing... ${progress}%`
+          : selection
+            ? "🗣 Make the Selection Talk"
+            : "🗣 Make the Piano Talk"}
+      </button>
+      {summary && (
+        <div className="resynthesis-summary">
+          <p>
+            <strong>{summary.noteCount}</strong> key strikes over{" "}
+            {summary.frameCount} frames (avg {summary.keysPerFrame.toFixed(1)}{" "}
+            keys per frame)
+          </p>
+        </div>
+      )}
+      <p className="resynthesis-note">
+        Maps each frame's full spectrum onto the 88 piano keys and keeps every
+        loud key band (harmonics included), so the piano reproduces the formants
+        of the recording instead of just its melody.
+      </p>
+    </div>
+  );
+}
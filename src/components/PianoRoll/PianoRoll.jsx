@@ -0,0 +1,506 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { midiToNoteName } from "../../utils/pitchDetection";
+import {
+  addNote,
+  deleteNotes,
+  moveNotes,
+  resizeNotes,
+  setNotesVelocity,
+} from "../../utils/noteEditing";
+import "./PianoRoll.css";
+
+const CANVAS_HEIGHT = 320;
+const KEY_WIDTH = 44;
+const EDGE_WIDTH = 6; // Pixels at a note's end that grab it for resizing
+const DRAG_THRESHOLD = 3; // Pixels before a press becomes a drag
+const MIN_KEY_RANGE = 24;
+const ZOOM_LEVELS = [25, 50, 100, 200, 400]; // Pixels per second
+const GRID_STEPS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 30, 60]; // Seconds
+const BLACK_KEYS = new Set([1, 3, 6, 8, 10]);
+const NO_SELECTION = new Set();
+
+// Keys shown: the notes' range plus some room, at least two octaves
+function getKeyRange(notes) {
+  if (notes.length === 0) return { low: 48, high: 72 };
+
+  let low = Math.min(...notes.map((note) => note.midi)) - 2;
+  let high = Math.max(...notes.map((note) => note.midi)) + 2;
+
+  if (high - low < MIN_KEY_RANGE) {
+    const extra = MIN_KEY_RANGE - (high - low);
+    low -= Math.floor(extra / 2);
+    high += Math.ceil(extra / 2);
+  }
+
+  return { low: Math.max(0, low), high: Math.min(127, high) };
+}
+
+export default function PianoRoll({
+  notes,
+  pitches,
+  onNotesChange,
+  onUndo,
+  onRedo,
+  canUndo,
+  canRedo,
+  isEdited,
+  onRevert,
+}) {
+  const canvasRef = useRef(null);
+  const keysRef = useRef(null);
+  const dragRef = useRef(null);
+  // Selected note indices, valid only for the notes they were made on
+  const [selectionState, setSelectionState] = useState({
+    notes: null,
+    indices: NO_SELECTION,
+  });
+  const [preview, setPreview] = useState(null); // Notes while dragging
+  const [marquee, setMarquee] = useState(null);
+  const [zoom, setZoom] = useState(100);
+  const [scroll, setScroll] = useState(0); // Seconds at the left edge
+  const [viewWidth, setViewWidth] = useState(800);
+
+  const selection =
+    selectionState.notes === notes ? selectionState.indices : NO_SELECTION;
+  const shownNotes = preview ?? notes;
+
+  const { low, high } = useMemo(() => getKeyRange(notes), [notes]);
+  const rowHeight = CANVAS_HEIGHT / (high - low + 1);
+
+  const duration = useMemo(
+    () => notes.reduce((max, note) => Math.max(max, note.end), 0),
+    [notes],
+  );
+  const maxScroll = Math.max(0, duration + 1 - viewWidth / zoom);
+  const shownScroll = Math.min(scroll, maxScroll);
+
+  const select = (indices) => setSelectionState({ notes, indices });
+
+  const commit = (editedNotes, indices) => {
+    setSelectionState({ notes: editedNotes, indices });
+    onNotesChange(editedNotes);
+  };
+
+  // Keep the canvas resolution equal to its displayed width
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      setViewWidth(Math.max(1, Math.floor(entry.contentRect.width)));
+    });
+    observer.observe(canvas);
+
+    return () => observer.disconnect();
+  }, []);
+
+  // Draw the keyboard
+  useEffect(() => {
+    const canvas = keysRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = "9px monospace";
+    ctx.textBaseline = "middle";
+
+    for (let midi = low; midi <= high; midi++) {
+      const y = (high - midi) * rowHeight;
+      const isBlack = BLACK_KEYS.has(midi % 12);
+
+      ctx.fillStyle = isBlack ? "#333" : "#f5f5f5";
+      ctx.fillRect(0, y, isBlack ? KEY_WIDTH * 0.65 : KEY_WIDTH, rowHeight);
+      ctx.strokeStyle = "#999";
+      ctx.strokeRect(0, y, KEY_WIDTH, rowHeight);
+
+      if (midi % 12 === 0) {
+        ctx.fillStyle = "#333";
+        ctx.fillText(midiToNoteName(midi), KEY_WIDTH - 24, y + rowHeight / 2);
+      }
+    }
+  }, [low, high, rowHeight]);
+
+  // Draw grid, detected pitch frames and notes
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    canvas.width = viewWidth;
+    canvas.height = CANVAS_HEIGHT;
+
+    const ctx = canvas.getContext("2d");
+    const width = canvas.width;
+    const toX = (time) => (time - shownScroll) * zoom;
+
+    ctx.fillStyle = "#1e1e1e";
+    ctx.fillRect(0, 0, width, CANVAS_HEIGHT);
+
+    for (let midi = low; midi <= high; midi++) {
+      const y = (high - midi) * rowHeight;
+
+      if (BLACK_KEYS.has(midi % 12)) {
+        ctx.fillStyle = "#171717";
+        ctx.fillRect(0, y, width, rowHeight);
+      }
+      if (midi % 12 === 0) {
+        ctx.fillStyle = "#3a3a3a";
+        ctx.fillRect(0, y + rowHeight - 1, width, 1);
+      }
+    }
+
+    // Time grid with lines at least 40px apart
+    const step =
+      GRID_STEPS.find((candidate) => candidate * zoom >= 40) ??
+      GRID_STEPS[GRID_STEPS.length - 1];
+    ctx.fillStyle = "#777";
+    ctx.font = "10px monospace";
+    ctx.textBaseline = "top";
+
+    for (
+      let time = Math.ceil(shownScroll / step) * step;
+      toX(time) < width;
+      time += step
+    ) {
+      const x = Math.round(toX(time));
+      ctx.fillRect(x, 0, 1, CANVAS_HEIGHT);
+      ctx.fillText(`${+time.toFixed(2)}s`, x + 3, 3);
+    }
+
+    // Raw pitch frames behind the notes, at their exact (unrounded) pitch
+    ctx.fillStyle = "rgba(255, 255, 255, 0.35)";
+    (pitches || []).forEach((pitch) => {
+      const x = toX(parseFloat(pitch.time));
+      if (x < 0 || x > width || !(pitch.hz > 0)) return;
+
+      const midi = 69 + 12 * Math.log2(pitch.hz / 440);
+      ctx.fillRect(x - 1, (high - midi + 0.5) * rowHeight - 1, 2, 2);
+    });
+
+    shownNotes.forEach((note, index) => {
+      const x = toX(note.start);
+      const noteWidth = Math.max(2, (note.end - note.start) * zoom);
+      if (x > width || x + noteWidth < 0) return;
+
+      const y = (high - note.midi) * rowHeight;
+      const isSelected = selection.has(index);
+
+      // Opacity shows velocity
+      ctx.fillStyle = `rgba(76, 175, 80, ${0.3 + 0.7 * (note.velocity / 127)})`;
+      ctx.fillRect(x, y + 1, noteWidth, rowHeight - 2);
+      ctx.lineWidth = isSelected ? 2 : 1;
+      ctx.strokeStyle = isSelected ? "#ff9800" : "#2e7d32";
+      ctx.strokeRect(x, y + 1, noteWidth, rowHeight - 2);
+    });
+
+    if (marquee) {
+      ctx.setLineDash([4, 3]);
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = "#fff";
+      ctx.strokeRect(
+        marquee.x0,
+        marquee.y0,
+        marquee.x1 - marquee.x0,
+        marquee.y1 - marquee.y0,
+      );
+      ctx.setLineDash([]);
+    }
+  }, [
+    shownNotes,
+    pitches,
+    selection,
+    marquee,
+    zoom,
+    shownScroll,
+    viewWidth,
+    low,
+    high,
+    rowHeight,
+  ]);
+
+  const getPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const toTime = (x) => shownScroll + x / zoom;
+  const toMidi = (y) => high - Math.floor(y / rowHeight);
+
+  const noteRect = (note) => ({
+    x: (note.start - shownScroll) * zoom,
+    y: (high - note.midi) * rowHeight,
+    width: Math.max(2, (note.end - note.start) * zoom),
+  });
+
+  // Topmost note under a point, and whether the point is on its end
+  const hitTest = ({ x, y }) => {
+    for (let index = notes.length - 1; index >= 0; index--) {
+      const rect = noteRect(notes[index]);
+      if (
+        x >= rect.x &&
+        x <= rect.x + rect.width &&
+        y >= rect.y &&
+        y <= rect.y + rowHeight
+      ) {
+        const edge =
+          rect.width > EDGE_WIDTH * 2 && x >= rect.x + rect.width - EDGE_WIDTH;
+        return { index, edge };
+      }
+    }
+    return null;
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+
+    const point = getPoint(e);
+    const hit = hitTest(point);
+    e.currentTarget.focus();
+    e.currentTarget.setPointerCapture(e.pointerId);
+
+    if (hit) {
+      if (e.shiftKey) {
+        const indices = new Set(selection);
+        if (indices.has(hit.index)) indices.delete(hit.index);
+        else indices.add(hit.index);
+        select(indices);
+        return;
+      }
+
+      const indices = selection.has(hit.index)
+        ? selection
+        : new Set([hit.index]);
+      select(indices);
+      dragRef.current = {
+        mode: hit.edge ? "resize" : "move",
+        start: point,
+        indices,
+        dragging: false,
+      };
+      return;
+    }
+
+    const base = e.shiftKey ? selection : NO_SELECTION;
+    select(base);
+    dragRef.current = { mode: "select", start: point, base, dragging: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const point = getPoint(e);
+    const drag = dragRef.current;
+
+    if (!drag) {
+      const hit = hitTest(point);
+      e.currentTarget.style.cursor = hit
+        ? hit.edge
+          ? "ew-resize"
+          : "move"
+        : "default";
+      return;
+    }
+
+    const dx = point.x - drag.start.x;
+    const dy = point.y - drag.start.y;
+
+    if (!drag.dragging && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+    drag.dragging = true;
+
+    if (drag.mode === "move") {
+      setPreview(
+        moveNotes(notes, drag.indices, dx / zoom, -Math.round(dy / rowHeight)),
+      );
+    } else if (drag.mode === "resize") {
+      setPreview(resizeNotes(notes, drag.indices, dx / zoom));
+    } else {
+      const box = {
+        x0: Math.min(drag.start.x, point.x),
+        y0: Math.min(drag.start.y, point.y),
+        x1: Math.max(drag.start.x, point.x),
+        y1: Math.max(drag.start.y, point.y),
+      };
+      setMarquee(box);
+
+      const indices = new Set(drag.base);
+      notes.forEach((note, index) => {
+        const rect = noteRect(note);
+        if (
+          rect.x <= box.x1 &&
+          rect.x + rect.width >= box.x0 &&
+          rect.y <= box.y1 &&
+          rect.y + rowHeight >= box.y0
+        ) {
+          indices.add(index);
+        }
+      });
+      select(indices);
+    }
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+
+    if (drag && preview) {
+      commit(preview, drag.indices);
+    }
+    setPreview(null);
+    setMarquee(null);
+  };
+
+  const handleDoubleClick = (e) => {
+    const point = getPoint(e);
+    if (hitTest(point)) return;
+
+    const edited = addNote(notes, toMidi(point.y), toTime(point.x));
+    commit(edited, new Set([edited.length - 1]));
+  };
+
+  const deleteSelection = () => {
+    if (selection.size === 0) return;
+    commit(deleteNotes(notes, selection), NO_SELECTION);
+  };
+
+  const handleKeyDown = (e) => {
+    const modifier = e.ctrlKey || e.metaKey;
+
+    if (e.key === "Delete" || e.key === "Backspace") {
+      e.preventDefault();
+      deleteSelection();
+    } else if (modifier && e.key.toLowerCase() === "z") {
+      e.preventDefault();
+      if (e.shiftKey) onRedo();
+      else onUndo();
+    } else if (modifier && e.key.toLowerCase() === "y") {
+      e.preventDefault();
+      onRedo();
+    } else if (modifier && e.key.toLowerCase() === "a") {
+      e.preventDefault();
+      select(new Set(notes.map((_, index) => index)));
+    } else if (e.key === "Escape") {
+      select(NO_SELECTION);
+    }
+  };
+
+  const handleWheel = (e) => {
+    const delta = e.shiftKey ? e.deltaY : e.deltaX;
+    if (delta === 0) return;
+
+    setScroll(Math.max(0, Math.min(maxScroll, shownScroll + delta / zoom)));
+  };
+
+  // Velocity slider edits preview live and become one undo step on release
+  const selectedVelocity =
+    selection.size > 0
+      ? Math.round(
+          [...selection].reduce(
+            (sum, index) => sum + shownNotes[index].velocity,
+            0,
+          ) / selection.size,
+        )
+      : 0;
+
+  const commitVelocity = () => {
+    if (preview) commit(preview, selection);
+    setPreview(null);
+  };
+
+  return (
+    <div className="piano-roll">
+      <h3>🎹 Piano Roll</h3>
+      <div className="piano-roll-toolbar">
+        <button
+          onClick={onUndo}
+          disabled={!canUndo}
+          className="btn btn-primary"
+        >
+          ↶ Undo
+        </button>
+        <button
+          onClick={onRedo}
+          disabled={!canRedo}
+          className="btn btn-primary"
+        >
+          ↷ Redo
+        </button>
+        <button
+          onClick={deleteSelection}
+          disabled={selection.size === 0}
+          className="btn btn-primary"
+        >
+          🗑 Delete
+        </button>
+        <label className="piano-roll-option">
+          Velocity: {selection.size > 0 ? selectedVelocity : "–"}
+          <input
+            type="range"
+            min="1"
+            max="127"
+            value={selectedVelocity || 1}
+            disabled={selection.size === 0}
+            onChange={(e) =>
+              setPreview(
+                setNotesVelocity(notes, selection, parseInt(e.target.value)),
+              )
+            }
+            onPointerUp={commitVelocity}
+            onKeyUp={commitVelocity}
+          />
+        </label>
+        <label className="piano-roll-option">
+          Zoom
+          <select
+            value={zoom}
+            onChange={(e) => setZoom(parseInt(e.target.value))}
+          >
+            {ZOOM_LEVELS.map((level) => (
+              <option key={level} value={level}>
+                {level} px/s
+              </option>
+            ))}
+          </select>
+        </label>
+        {isEdited && (
+          <button onClick={onRevert} className="btn btn-primary">
+            Revert edits
+          </button>
+        )}
+      </div>
+      <div className="piano-roll-view">
+        <canvas
+          ref={keysRef}
+          width={KEY_WIDTH}
+          height={CANVAS_HEIGHT}
+          className="piano-roll-keys"
+        />
+        <canvas
+          ref={canvasRef}
+          tabIndex={0}
+          className="piano-roll-canvas"
+          style={{ height: CANVAS_HEIGHT }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onDoubleClick={handleDoubleClick}
+          onKeyDown={handleKeyDown}
+          onWheel={handleWheel}
+        />
+      </div>
+      <input
+        type="range"
+        min="0"
+        max={maxScroll}
+        step="0.01"
+        value={shownScroll}
+        onChange={(e) => setScroll(parseFloat(e.target.value))}
+        disabled={maxScroll === 0}
+        className="piano-roll-scrollbar"
+        aria-label="Scroll"
+      />
+      <p className="piano-roll-hint">
+        {notes.length} notes • Double-click to add • Drag to move or select •
+        Drag a note's right edge to resize • Delete removes • Ctrl+Z / Ctrl+Y
+        undo and redo
+      </p>
+    </div>
+  );
+}
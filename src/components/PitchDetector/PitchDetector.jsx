@@ -1,65 +1,118 @@
-import { useState } from "react";
+import { useEffect, useRef, useState } from "react";
 
-import { autoCorrelate } from "../../utils/pitchDetection";
+import {
+  isAnalysisCancelled,
+  runAnalysisOnSignals,
+} from "../../utils/backgroundAnalysis";
+import { mergeChannelPitches } from "../../utils/audioChannels";
+import { downloadFile } from "../../utils/download";
+import {
+  getDetectorOptions,
+  getPitchDetector,
+  getPitchDetectors,
+} from "../../utils/pitchDetectors";
+import { getSelectionAudio, shiftPitchTimes } from "../../utils/timeView";
 import "./PitchDetector.css";
 
 export default function PitchDetector({
-  audioBuffer,
+  audioBuffer = null,
+  selection = null,
+  channel,
+  settings,
+  onSettingsChange,
   onPitchDetected,
-  detectionMethod,
-  onDetectionMethodChange,
 }) {
   const [pitchData, setPitchData] = useState([]);
   const [isDetecting, setIsDetecting] = useState(false);
   const [progress, setProgress] = useState(0);
 
-  const detectPitches = () => {
+  const taskRef = useRef(null);
+
+  const detector = getPitchDetector(settings.method);
+  const options = getDetectorOptions(settings);
+
+  // Cancel a running analysis when the audio changes or on unmount
+  useEffect(() => {
+    return () => {
+      if (taskRef.current) {
+        taskRef.current.cancel();
+        taskRef.current = null;
+      }
+    };
+  }, [audioBuffer]);
+
+  const updateOption = (key, value) =>
+    onSettingsChange({
+      ...settings,
+      options: {
+        ...settings.options,
+        [detector.id]: { ...settings.options[detector.id], [key]: value },
+      },
+    });
+
+  const detectPitches = async () => {
     if (!audioBuffer) return;
 
     setIsDetecting(true);
     setPitchData([]);
     setProgress(0);
 
-    const sampleRate = audioBuffer.sampleRate;
-    const channelData = audioBuffer.getChannelData(0); // Use first channel
-    const windowSize = 2048; // Size of analysis window
-    const hopSize = 512; // How much to advance between analyses
-    const pitches = [];
-
-    // Process audio in chunks
-    for (let i = 0; i < channelData.length - windowSize; i += hopSize) {
-      const buffer = channelData.slice(i, i + windowSize);
-      const hz = autoCorrelate(buffer, sampleRate);
-
-      const time = i / sampleRate;
-
-      // Filter to reasonable pitch range (50-1000 Hz)
-      if (hz > 50 && hz < 1000) {
-        pitches.push({
-          time: time.toFixed(3),
-          hz: Math.round(hz * 100) / 100,
-        });
-      }
+    // Only the selected range and channel(s), with times kept relative to
+    // the whole recording
+    const { signals, offset } = getSelectionAudio(
+      audioBuffer,
+      selection,
+      channel,
+    );
 
-      // Update progress
-      if (i % (hopSize * 100) === 0) {
-        setProgress(Math.round((i / channelData.length) * 100));
-      }
-    }
+    const task = runAnalysisOnSignals(
+      detector.id,
+      signals,
+      audioBuffer.sampleRate,
+      options,
+      {
+        onProgress: setProgress,
+        onPartial: (partial) =>
+          setPitchData((pitches) => [
+            ...pitches,
+            ...shiftPitchTimes(partial, offset),
+          ]),
+      },
+    );
+    taskRef.current = task;
+
+    try {
+      const pitches = shiftPitchTimes(
+        mergeChannelPitches(await task.promise),
+        offset,
+      );
 
-    setPitchData(pitches);
-    setIsDetecting(false);
-    setProgress(100);
+      setPitchData(pitches);
+      setIsDetecting(false);
+      setProgress(100);
+
+      // Notify parent component
+      if (onPitchDetected) {
+        onPitchDetected(pitches, selection);
+      }
+    } catch (err) {
+      if (!isAnalysisCancelled(err)) {
+        console.error("Pitch detection error:", err);
+      }
 
-    // Notify parent component
-    if (onPitchDetected) {
-      onPitchDetected(pitches);
+      setIsDetecting(false);
+    } finally {
+      if (taskRef.current === task) {
+        taskRef.current = null;
+      }
     }
   };
 
   const downloadJSON = () => {
     const json = JSON.stringify(
       {
+        method: detector.id,
+        options,
         pitches: pitchData,
       },
 
@@ -67,62 +120,91 @@ export default function PitchDetector({
       2,
     );
 
-    const blob = new Blob([json], {
-      type: "application/json",
-    });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "pitch_data.json";
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadFile(json, "pitch_data.json", "application/json");
   };
 
   return (
     <div className="pitch-detector-container">
-      <h2>🎼 Pitch Detection (Autocorrelation)</h2>
+      <h2>🎼 Pitch Detection</h2>
       <div className="detection-method-selector">
         <h3>Choose Pitch Detection Method:</h3>
         <div className="detection-methods">
-          <label className="detection-method-label">
-            <input
-              type="radio"
-              value="autocorrelation"
-              checked={detectionMethod === "autocorrelation"}
-              onChange={(e) => onDetectionMethodChange(e.target.value)}
-            />
-            <div>
-              <strong>Autocorrelation (Simple)</strong>
-              <p className="detection-method-info">
-                Fast, monophonic (single note at a time), good for melodies
-              </p>
-            </div>
-          </label>
-          <label className="detection-method-label">
-            <input
-              type="radio"
-              value="spectral"
-              checked={detectionMethod === "spectral"}
-              onChange={(e) => onDetectionMethodChange(e.target.value)}
-            />
-            <div>
-              <strong>Spectral (Advanced)</strong>
-              <p className="detection-method-info">
-                Polyphonic (chords), velocity-sensitive, harmonic filtering
-              </p>
-            </div>
-          </label>
+          {getPitchDetectors().map((candidate) => (
+            <label key={candidate.id} className="detection-method-label">
+              <input
+                type="radio"
+                value={candidate.id}
+                checked={detector.id === candidate.id}
+                onChange={(e) =>
+                  onSettingsChange({ ...settings, method: e.target.value })
+                }
+                disabled={isDetecting}
+              />
+              <div>
+                <strong>{candidate.label}</strong>
+                <p className="detection-method-info">{candidate.description}</p>
+              </div>
+            </label>
+          ))}
+        </div>
+        <div className="detection-params">
+          {detector.params.map((param) => (
+            <label key={param.key} className="detection-param">
+              {param.label}
+              {param.choices ? (
+                <select
+                  value={options[param.key]}
+                  onChange={(e) =>
+                    updateOption(
+                      param.key,
+                      param.choices.find(
+                        (choice) => String(choice.value) === e.target.value,
+                      ).value,
+                    )
+                  }
+                  disabled={isDetecting}
+                >
+                  {param.choices.map((choice) => (
+                    <option key={choice.value} value={choice.value}>
+                      {choice.label}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <>
+                  <input
+                    type="range"
+                    min={param.min}
+                    max={param.max}
+                    step={param.step}
+                    value={options[param.key]}
+                    onChange={(e) =>
+                      updateOption(param.key, parseFloat(e.target.value))
+                    }
+                    disabled={isDetecting}
+                  />
+                  <span className="detection-param-value">
+                    {options[param.key]}
+                  </span>
+                </>
+              )}
+            </label>
+          ))}
         </div>
       </div>
-      <button
-        onClick={detectPitches}
-        disabled={!audioBuffer || isDetecting}
-        className={`btn ${
-          audioBuffer && !isDetecting ? "btn-primary" : "btn-disabled"
-        }`}
-      >
-        {isDetecting ? `Detecting... ${progress}%` : "Detect Pitches"}
-      </button>
+      {audioBuffer && (
+        <button
+          onClick={detectPitches}
+          disabled={isDetecting}
+          className={`btn ${isDetecting ? "btn-disabled" : "btn-primary"}`}
+        >
+          {isDetecting
+            ? `Detecting... ${progress}%`
+            : selection
+              ? "Detect Pitches in Selection"
+              : "Detect Pitches"}
+        </button>
+      )}
       {pitchData.length > 0 && (
         <button onClick={downloadJSON} className="btn btn-primary">
           Download Pitch Data (JSON)
@@ -134,7 +216,11 @@ export default function PitchDetector({
           <div className="pitch-list">
             {pitchData.slice(0, 50).map((p, i) => (
               <div key={i}>
-                {p.time}s: {p.hz}Hz
+                {p.time}s: {p.hz.toFixed(1)}Hz
+                {p.midi !== undefined && ` (MIDI ${p.midi})`}
+                {p.velocity !== undefined && ` vel=${p.velocity}`}
+                {p.confidence !== undefined &&
+                  ` (${Math.round(p.confidence * 100)}%)`}
               </div>
             ))}
             {pitchData.length > 50 && (
@@ -142,14 +228,15 @@ export default function PitchDetector({
             )}
           </div>
           <p className="pitch-range-info">
-            Range: {Math.min(...pitchData.map((p) => p.hz))}Hz -{" "}
-            {Math.max(...pitchData.map((p) => p.hz))}Hz
+            Range: {Math.min(...pitchData.map((p) => p.hz)).toFixed(1)}Hz -{" "}
+            {Math.max(...pitchData.map((p) => p.hz)).toFixed(1)}Hz
           </p>
         </div>
       )}
       <p className="pitch-algorithm-note">
-        This extracts the dominant pitch (frequency) throughout the audio using
-        autocorrelation.
+        {audioBuffer
+          ? "The method and settings chosen here are used when audio is loaded or edited, when you detect again, and for live microphone input."
+          : "The method and settings chosen here are used for live detection while recording and when analysing audio."}
       </p>
     </div>
   );
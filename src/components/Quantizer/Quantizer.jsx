@@ -0,0 +1,167 @@
+import { useState } from "react";
+import { TEMPO_MODES, hasDetectedBeats } from "../../utils/midiExport";
+import { GRID_OPTIONS, MIN_LENGTH_OPTIONS } from "../../utils/quantization";
+import "./Quantizer.css";
+
+export default function Quantizer({
+  tempoSettings,
+  onTempoSettingsChange,
+  beatTracking,
+  settings,
+  onSettingsChange,
+  noteCount,
+}) {
+  // BPM as typed, until the field is left
+  const [bpmDraft, setBpmDraft] = useState(null);
+
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+
+  // Detected tempos need beats; without them the fixed BPM is used
+  const hasBeats = hasDetectedBeats(beatTracking);
+  const tempoMode = hasBeats ? tempoSettings.mode : "manual";
+  const gridLabel = GRID_OPTIONS.find(
+    (option) => option.value === settings.grid,
+  ).label;
+
+  const commitBpm = () => {
+    if (bpmDraft === null) return;
+
+    const bpm = parseFloat(bpmDraft) || tempoSettings.bpm;
+    onTempoSettingsChange({
+      ...tempoSettings,
+      bpm: Math.max(20, Math.min(300, bpm)),
+    });
+    setBpmDraft(null);
+  };
+
+  return (
+    <div className="quantizer">
+      <h3>🥁 Rhythm</h3>
+      <div className="quantizer-row">
+        <label className="quantizer-option">
+          Tempo
+          <select
+            value={tempoMode}
+            onChange={(e) =>
+              onTempoSettingsChange({ ...tempoSettings, mode: e.target.value })
+            }
+          >
+            {TEMPO_MODES.map((option) => (
+              <option
+                key={option.value}
+                value={option.value}
+                disabled={option.value !== "manual" && !hasBeats}
+              >
+                {option.value === "detected" && hasBeats
+                  ? `${option.label} (${beatTracking.bpm} BPM)`
+                  : option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {tempoMode === "manual" && (
+          <label className="quantizer-option">
+            BPM
+            <input
+              type="number"
+              min="20"
+              max="300"
+              value={bpmDraft ?? tempoSettings.bpm}
+              onChange={(e) => setBpmDraft(e.target.value)}
+              onBlur={commitBpm}
+              onKeyDown={(e) => e.key === "Enter" && commitBpm()}
+            />
+          </label>
+        )}
+        <label className="quantizer-option">
+          <input
+            type="radio"
+            name="quantize-preview"
+            checked={!settings.enabled}
+            onChange={() => update({ enabled: false })}
+          />
+          Raw timing
+        </label>
+        <label className="quantizer-option">
+          <input
+            type="radio"
+            name="quantize-preview"
+            checked={settings.enabled}
+            onChange={() => update({ enabled: true })}
+          />
+          Quantized
+        </label>
+      </div>
+      <div className="quantizer-row">
+        <label className="quantizer-option">
+          Grid
+          <select
+            value={settings.grid}
+            onChange={(e) => update({ grid: parseInt(e.target.value) })}
+          >
+            {GRID_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="quantizer-option">
+          <input
+            type="checkbox"
+            checked={settings.triplets}
+            onChange={(e) => update({ triplets: e.target.checked })}
+          />
+          Triplets
+        </label>
+        <div className="quantizer-control">
+          <label htmlFor="quantize-strength">
+            Strength: {settings.strength}%
+          </label>
+          <input
+            id="quantize-strength"
+            type="range"
+            min="0"
+            max="100"
+            step="5"
+            value={settings.strength}
+            onChange={(e) => update({ strength: parseInt(e.target.value) })}
+          />
+        </div>
+        <div className="quantizer-control">
+          <label htmlFor="quantize-swing">Swing: {settings.swing}%</label>
+          <input
+            id="quantize-swing"
+            type="range"
+            min="0"
+            max="100"
+            step="5"
+            value={settings.swing}
+            onChange={(e) => update({ swing: parseInt(e.target.value) })}
+            disabled={settings.triplets}
+          />
+        </div>
+        <label className="quantizer-option">
+          Min length
+          <select
+            value={settings.minLength}
+            onChange={(e) => update({ minLength: parseFloat(e.target.value) })}
+          >
+            {MIN_LENGTH_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <p className="quantizer-summary">
+        {settings.enabled
+          ? `${noteCount} notes on a ${gridLabel}${
+              settings.triplets ? " triplet" : ""
+            } grid are played and exported`
+          : "Notes are played and exported with their detected timing"}
+      </p>
+    </div>
+  );
+}
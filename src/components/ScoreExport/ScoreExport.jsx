@@ -0,0 +1,48 @@
+import { downloadFile } from "../../utils/download";
+import { getKeyName } from "../../utils/keyDetection";
+import { scoreToMusicXml } from "../../utils/musicXml";
+import { STAFF_LAYOUTS } from "../../utils/notation";
+import "./ScoreExport.css";
+
+export default function ScoreExport({
+  score,
+  musicalKey,
+  layout,
+  onLayoutChange,
+}) {
+  const downloadMusicXml = () =>
+    downloadFile(
+      scoreToMusicXml(score),
+      "transcription.musicxml",
+      "application/vnd.recordare.musicxml+xml",
+    );
+
+  return (
+    <div className="score-export">
+      <h3>🎼 Score</h3>
+      <div className="score-export-controls">
+        <label className="score-export-option">
+          Staff
+          <select
+            value={layout}
+            onChange={(e) => onLayoutChange(e.target.value)}
+          >
+            {STAFF_LAYOUTS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button onClick={downloadMusicXml} className="btn btn-primary">
+          Download MusicXML
+        </button>
+      </div>
+      <p className="score-export-summary">
+        {score.measures.length} measures of {score.beatsPerBar}/4
+        {musicalKey && ` in ${getKeyName(musicalKey.tonic, musicalKey.scale)}`},
+        on the tempo and grid of the rhythm settings
+      </p>
+    </div>
+  );
+}
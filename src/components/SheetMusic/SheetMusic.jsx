@@ -0,0 +1,483 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { getKeySignatureSteps, getStaffStep } from "../../utils/notation";
+import { followPlayhead } from "../../utils/playhead";
+import "./SheetMusic.css";
+
+const LINE = 8; // Pixels between staff lines
+const STAFF_HEIGHT = 4 * LINE;
+const STAFF_GAP = 70; // Least room between the staves of a grand staff
+const TOP = 50; // Least room above the first staff
+const BOTTOM = 50; // Least room below the last staff
+const LEDGER_MARGIN = 25; // Room beyond the outermost note
+const NOTE_SPACING = 28; // Pixels per note or rest column
+const MEASURE_PADDING = 14;
+const MIN_MEASURE_WIDTH = 110;
+const STEM_LENGTH = 3.5 * LINE;
+const FOLLOW_OFFSET = 1 / 3; // Where in the view the playhead is kept
+
+const FLAG_COUNTS = { eighth: 1, "16th": 2, "32nd": 3 };
+const ACCIDENTAL_GLYPHS = { sharp: "♯", flat: "♭", natural: "♮" };
+const CLEF_GLYPHS = { G: "𝄞", F: "𝄢" };
+
+// y of a staff step (0 = bottom line, every step is half a line apart)
+const stepY = (top, step) => top + STAFF_HEIGHT - (step * LINE) / 2;
+
+// Top of every staff and the total height, with room for the ledger lines
+// of the highest and lowest notes
+function layoutStaves(score) {
+  const ranges = score.clefs.map((clef, staff) => {
+    const steps = score.measures.flatMap((measure) =>
+      measure.staves[staff].flatMap((event) =>
+        event.pitches.map((pitch) => getStaffStep(pitch, clef)),
+      ),
+    );
+    const highest = Math.max(8, ...steps);
+    const lowest = Math.min(0, ...steps);
+    return {
+      above: ((highest - 8) * LINE) / 2 + LEDGER_MARGIN,
+      below: (-lowest * LINE) / 2 + LEDGER_MARGIN,
+    };
+  });
+
+  const tops = [];
+  let y = Math.max(TOP, ranges[0].above);
+  ranges.forEach((range, staff) => {
+    if (staff > 0) {
+      y += Math.max(STAFF_GAP, ranges[staff - 1].below + range.above);
+    }
+    tops.push(y);
+    y += STAFF_HEIGHT;
+  });
+
+  return {
+    tops,
+    height: y + Math.max(BOTTOM, ranges[ranges.length - 1].below),
+  };
+}
+
+// Measure and column positions: every distinct note or rest position in a
+// measure gets a column, so short notes never collide
+function layoutColumns(score) {
+  const measureLength = score.beatsPerBar * score.divisions;
+  const header = 50 + Math.abs(score.fifths) * 10 + 24;
+  const columns = []; // { time, x }, for following the playhead
+  let x = header;
+
+  const measures = score.measures.map((measure) => {
+    const positions = [
+      ...new Set(
+        measure.staves.flatMap((events) =>
+          events.map((event) => event.position),
+        ),
+      ),
+    ].sort((a, b) => a - b);
+    const width = Math.max(
+      MIN_MEASURE_WIDTH,
+      positions.length * NOTE_SPACING + 2 * MEASURE_PADDING,
+    );
+    const spacing = (width - 2 * MEASURE_PADDING) / positions.length;
+    const xOf = (position) =>
+      x + MEASURE_PADDING + spacing * (positions.indexOf(position) + 0.5);
+
+    positions.forEach((position) => {
+      const event = measure.staves
+        .flat()
+        .find((candidate) => candidate.position === position);
+      columns.push({ time: event.start, x: xOf(position) });
+    });
+
+    const laidOut = {
+      x,
+      width,
+      staves: measure.staves.map((events) =>
+        events.map((event) => {
+          const nextPosition = event.position + event.duration;
+          return {
+            ...event,
+            x: xOf(event.position),
+            nextX:
+              nextPosition >= measureLength ? x + width : xOf(nextPosition),
+          };
+        }),
+      ),
+    };
+    x += width;
+    return laidOut;
+  });
+
+  if (score.measures.length > 0) {
+    columns.push({
+      time: score.measures[score.measures.length - 1].end,
+      x,
+    });
+  }
+
+  return { header, width: x + 20, measures, columns };
+}
+
+// x of a time, between the columns around it
+function timeToColumnX(columns, time) {
+  if (columns.length === 0 || time < columns[0].time) return null;
+
+  for (let i = 0; i + 1 < columns.length; i++) {
+    const from = columns[i];
+    const to = columns[i + 1];
+    if (time < to.time) {
+      return (
+        from.x + ((time - from.time) / (to.time - from.time)) * (to.x - from.x)
+      );
+    }
+  }
+  return null;
+}
+
+function Rest({ event, top }) {
+  const { x } = event;
+  const middle = stepY(top, 4);
+
+  switch (event.type) {
+    case "whole":
+      return <rect x={x - 6} y={stepY(top, 6)} width={12} height={LINE / 2} />;
+    case "half":
+      return (
+        <rect x={x - 6} y={middle - LINE / 2} width={12} height={LINE / 2} />
+      );
+    case "quarter":
+      return (
+        <path
+          d={`M${x - 2} ${middle - 1.5 * LINE} l5 ${LINE} l-5 ${LINE / 2} l5 ${LINE} q-6 -2 -3 ${LINE / 2}`}
+          className="sheet-music-stroke"
+        />
+      );
+    default:
+      // Flagged rests: a slanted stem with one hook per flag
+      return (
+        <g className="sheet-music-stroke">
+          <line x1={x + 3} y1={middle - LINE} x2={x - 2} y2={middle + LINE} />
+          {Array.from({ length: FLAG_COUNTS[event.type] ?? 1 }, (_, i) => (
+            <circle
+              key={i}
+              cx={x - 1 + i * -1.5}
+              cy={middle - LINE + i * LINE * 0.7}
+              r={1.8}
+              className="sheet-music-fill"
+            />
+          ))}
+        </g>
+      );
+  }
+}
+
+function NoteHeads({ event, top, clef, className }) {
+  return event.pitches.map((pitch) => {
+    const y = stepY(top, getStaffStep(pitch, clef));
+    const isHollow = event.type === "whole" || event.type === "half";
+    return (
+      <ellipse
+        key={pitch.midi}
+        cx={event.x}
+        cy={y}
+        rx={LINE * 0.65}
+        ry={LINE * 0.45}
+        transform={`rotate(-20 ${event.x} ${y})`}
+        className={isHollow ? `${className} sheet-music-hollow` : className}
+      />
+    );
+  });
+}
+
+function Chord({ event, top, clef }) {
+  const steps = event.pitches.map((pitch) => getStaffStep(pitch, clef));
+  const lowest = Math.min(...steps);
+  const highest = Math.max(...steps);
+  const stemUp = (lowest + highest) / 2 < 4;
+  const { x } = event;
+  const flags = FLAG_COUNTS[event.type] ?? 0;
+
+  const stemX = stemUp ? x + LINE * 0.6 : x - LINE * 0.6;
+  const stemFrom = stepY(top, stemUp ? lowest : highest);
+  const stemTo =
+    stepY(top, stemUp ? highest : lowest) +
+    (stemUp ? -STEM_LENGTH : STEM_LENGTH);
+
+  // Ledger lines through and between notes outside the staff
+  const ledgers = [];
+  for (let step = -2; step >= lowest; step -= 2) ledgers.push(step);
+  for (let step = 10; step <= highest; step += 2) ledgers.push(step);
+
+  return (
+    <g>
+      {ledgers.map((step) => (
+        <line
+          key={step}
+          x1={x - LINE}
+          x2={x + LINE}
+          y1={stepY(top, step)}
+          y2={stepY(top, step)}
+          className="sheet-music-line"
+        />
+      ))}
+      <NoteHeads
+        event={event}
+        top={top}
+        clef={clef}
+        className="sheet-music-head"
+      />
+      {event.pitches.map((pitch, i) => {
+        const y = stepY(top, steps[i]);
+        return (
+          <g key={pitch.midi}>
+            {pitch.accidental && (
+              <text
+                x={x - LINE * 1.6}
+                y={y}
+                className="sheet-music-glyph sheet-music-accidental"
+              >
+                {ACCIDENTAL_GLYPHS[pitch.accidental]}
+              </text>
+            )}
+            {event.dots > 0 && (
+              <circle
+                cx={x + LINE * 1.3}
+                cy={steps[i] % 2 === 0 ? y - LINE / 2 : y}
+                r={1.5}
+                className="sheet-music-fill"
+              />
+            )}
+            {pitch.tieStart && (
+              <path
+                d={`M${x + 4} ${y + (stemUp ? 5 : -5)} Q${(x + event.nextX) / 2} ${y + (stemUp ? 12 : -12)} ${event.nextX - 4} ${y + (stemUp ? 5 : -5)}`}
+                className="sheet-music-tie"
+              />
+            )}
+          </g>
+        );
+      })}
+      {event.type !== "whole" && (
+        <line
+          x1={stemX}
+          x2={stemX}
+          y1={stemFrom}
+          y2={stemTo}
+          className="sheet-music-stroke"
+        />
+      )}
+      {Array.from({ length: flags }, (_, i) => {
+        const y = stemTo + (stemUp ? i * 6 : -i * 6);
+        return (
+          <path
+            key={i}
+            d={`M${stemX} ${y} q6 ${stemUp ? 6 : -6} 5 ${stemUp ? 14 : -14}`}
+            className="sheet-music-stroke"
+          />
+        );
+      })}
+      {event.triplet && (
+        <text
+          x={x}
+          y={stemUp ? stemTo - 4 : stemTo + 10}
+          className="sheet-music-triplet"
+        >
+          3
+        </text>
+      )}
+    </g>
+  );
+}
+
+export default function SheetMusic({ score }) {
+  const containerRef = useRef(null);
+  const playheadRef = useRef(null);
+  const activeKeyRef = useRef("");
+  const [activeKey, setActiveKey] = useState("");
+
+  const layout = useMemo(() => layoutColumns(score), [score]);
+  const { tops, height } = useMemo(() => layoutStaves(score), [score]);
+
+  // The staff never changes during playback, so it is built once per score
+  const staff = useMemo(
+    () => (
+      <g>
+        {score.clefs.map((clef, staffIndex) => (
+          <g key={staffIndex}>
+            {[0, 1, 2, 3, 4].map((line) => (
+              <line
+                key={line}
+                x1={10}
+                x2={layout.width - 20}
+                y1={tops[staffIndex] + line * LINE}
+                y2={tops[staffIndex] + line * LINE}
+                className="sheet-music-line"
+              />
+            ))}
+            <text
+              x={14}
+              y={
+                clef.sign === "G"
+                  ? stepY(tops[staffIndex], -1.5)
+                  : stepY(tops[staffIndex], 3)
+              }
+              className={`sheet-music-glyph sheet-music-clef-${clef.sign}`}
+            >
+              {CLEF_GLYPHS[clef.sign]}
+            </text>
+            {getKeySignatureSteps(score.fifths, clef).map((step, i) => (
+              <text
+                key={i}
+                x={50 + i * 10}
+                y={stepY(tops[staffIndex], step)}
+                className="sheet-music-glyph sheet-music-accidental"
+              >
+                {score.fifths > 0 ? "♯" : "♭"}
+              </text>
+            ))}
+            {[score.beatsPerBar, 4].map((value, i) => (
+              <text
+                key={i}
+                x={layout.header - 14}
+                y={tops[staffIndex] + (i + 0.5) * 2 * LINE}
+                className="sheet-music-time"
+              >
+                {value}
+              </text>
+            ))}
+          </g>
+        ))}
+        {score.clefs.length > 1 && (
+          <line
+            x1={10}
+            x2={10}
+            y1={tops[0]}
+            y2={tops[tops.length - 1] + STAFF_HEIGHT}
+            className="sheet-music-stroke"
+          />
+        )}
+        {layout.measures.map((measure, measureIndex) => (
+          <g key={measureIndex}>
+            <line
+              x1={measure.x + measure.width}
+              x2={measure.x + measure.width}
+              y1={tops[0]}
+              y2={tops[tops.length - 1] + STAFF_HEIGHT}
+              className="sheet-music-stroke"
+            />
+            <text
+              x={measure.x + 2}
+              y={tops[0] - 26}
+              className="sheet-music-measure-number"
+            >
+              {measureIndex + 1}
+            </text>
+            {measure.staves.map((events, staffIndex) =>
+              events.map((event, i) =>
+                event.pitches.length === 0 ? (
+                  <Rest
+                    key={`${staffIndex}-${i}`}
+                    event={event}
+                    top={tops[staffIndex]}
+                  />
+                ) : (
+                  <Chord
+                    key={`${staffIndex}-${i}`}
+                    event={event}
+                    top={tops[staffIndex]}
+                    clef={score.clefs[staffIndex]}
+                  />
+                ),
+              ),
+            )}
+          </g>
+        ))}
+      </g>
+    ),
+    [score, layout, tops],
+  );
+
+  // Move the playhead every frame and keep it in view; the sounding notes
+  // only change at note boundaries
+  useEffect(() => {
+    return followPlayhead((position) => {
+      const line = playheadRef.current;
+      const container = containerRef.current;
+      if (!line || !container) return;
+
+      const x =
+        position === null ? null : timeToColumnX(layout.columns, position);
+      line.style.display = x === null ? "none" : "";
+
+      let key = "";
+      if (x !== null) {
+        line.setAttribute("x1", x);
+        line.setAttribute("x2", x);
+        container.scrollLeft = x - container.clientWidth * FOLLOW_OFFSET;
+
+        key = layout.measures
+          .flatMap((measure, measureIndex) =>
+            measure.staves.flatMap((events, staffIndex) =>
+              events
+                .map((event, i) => ({
+                  event,
+                  id: `${measureIndex}:${staffIndex}:${i}`,
+                }))
+                .filter(
+                  ({ event }) =>
+                    event.pitches.length > 0 &&
+                    event.start <= position &&
+                    event.end > position,
+                )
+                .map(({ id }) => id),
+            ),
+          )
+          .join(",");
+      }
+
+      if (key !== activeKeyRef.current) {
+        activeKeyRef.current = key;
+        setActiveKey(key);
+      }
+    });
+  }, [layout]);
+
+  // The sounding notes, drawn again on top in the highlight colour
+  const highlighted = activeKey
+    ? activeKey.split(",").map((id) => {
+        const [measureIndex, staffIndex, i] = id.split(":").map(Number);
+        return {
+          id,
+          staff: staffIndex,
+          event: layout.measures[measureIndex]?.staves[staffIndex]?.[i],
+        };
+      })
+    : [];
+
+  return (
+    <div className="sheet-music" ref={containerRef}>
+      <svg
+        width={layout.width}
+        height={height}
+        className="sheet-music-svg"
+        role="img"
+        aria-label="Staff notation of the notes"
+      >
+        {staff}
+        {highlighted
+          .filter(({ event }) => event)
+          .map(({ id, event, staff: staffIndex }) => (
+            <NoteHeads
+              key={id}
+              event={event}
+              top={tops[staffIndex]}
+              clef={score.clefs[staffIndex]}
+              className="sheet-music-head sheet-music-active"
+            />
+          ))}
+        <line
+          ref={playheadRef}
+          y1={tops[0] - 20}
+          y2={height - 20}
+          className="sheet-music-playhead"
+        />
+      </svg>
+    </div>
+  );
+}
@@ -1,200 +1,330 @@
 import { useRef, useEffect, useState } from "react";
+import {
+  isAnalysisCancelled,
+  runAnalysisOnSignals,
+} from "../../utils/backgroundAnalysis";
+import { WINDOW_TYPES } from "../../utils/fft";
+import {
+  DEFAULT_SPECTROGRAM_OPTIONS,
+  FREQUENCY_SCALES,
+  frequencyToY,
+  getFrequencyLabels,
+  yToFrequency,
+} from "../../utils/spectrogram";
+import {
+  drawBeatGrid,
+  drawNoteBoxes,
+  drawPitchCurve,
+  drawPlayhead,
+  drawSpectralPeaks,
+} from "../../utils/overlays";
+import { getChannelSignals } from "../../utils/audioChannels";
+import { followPlayhead } from "../../utils/playhead";
+import { timeToX, xToTime } from "../../utils/timeView";
+import ChordTimeline from "../ChordTimeline";
+import TimelineFrame from "../TimelineFrame";
 import "./Spectrogram.css";
 
-export default function Spectrogram({ audioBuffer }) {
+const FFT_SIZES = [512, 1024, 2048, 4096, 8192];
+const HOP_SIZES = [128, 256, 512, 1024, 2048];
+const CANVAS_WIDTH = 870;
+const CANVAS_HEIGHT = 400;
+const DYNAMIC_RANGE_DB = 90; // Everything quieter than this below the peak is black
+
+// Color mapping: black -> blue -> cyan -> yellow -> red
+function intensityToColor(intensity) {
+  if (intensity < 0.25) {
+    // Black to blue
+    return [0, 0, Math.floor(intensity * 4 * 255)];
+  } else if (intensity < 0.5) {
+    // Blue to cyan
+    return [0, Math.floor((intensity - 0.25) * 4 * 255), 255];
+  } else if (intensity < 0.75) {
+    // Cyan to yellow
+    return [
+      Math.floor((intensity - 0.5) * 4 * 255),
+      255,
+      Math.floor((1 - (intensity - 0.5) * 4) * 255),
+    ];
+  }
+
+  // Yellow to red
+  return [255, Math.floor((1 - (intensity - 0.75) * 4) * 255), 0];
+}
+
+export default function Spectrogram({
+  audioBuffer,
+  overlays = {},
+  view,
+  onViewChange,
+  selection = null,
+  onSelectionChange,
+  channel,
+  chords = null,
+}) {
   const canvasRef = useRef(null);
+  const overlayRef = useRef(null);
+  const playheadRef = useRef(null);
+  const { notes, referenceNotes, f0, peaks, beats } = overlays;
+  const viewStart = view ? view.start : 0;
+  const viewEnd = view ? view.end : audioBuffer?.duration;
   const [isGenerating, setIsGenerating] = useState(false);
   const [progress, setProgress] = useState(0);
-  const [spectrogramData, setSpectrogramData] = useState(null);
+  const [spectrogramData, setSpectrogramData] = useState(null); // One per signal
+  const [fftSize, setFftSize] = useState(DEFAULT_SPECTROGRAM_OPTIONS.fftSize);
+  const [hopSize, setHopSize] = useState(DEFAULT_SPECTROGRAM_OPTIONS.hopSize);
+  const [windowType, setWindowType] = useState(
+    DEFAULT_SPECTROGRAM_OPTIONS.windowType,
+  );
+  const [frequencyScale, setFrequencyScale] = useState("log");
 
+  // Compute the STFT in the analysis worker whenever its parameters change;
+  // one per channel when each channel is shown
   useEffect(() => {
-    if (audioBuffer && canvasRef.current) {
-      generateSpectrogram();
-    }
-  }, [audioBuffer]);
+    if (!audioBuffer) return;
 
-  const generateSpectrogram = async () => {
-    setIsGenerating(true);
-    setProgress(0);
-
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext("2d");
+    let cancelled = false;
+    const signals = getChannelSignals(audioBuffer, channel);
 
-    // Create offline context for analysis
-    const offlineContext = new OfflineAudioContext(
-      1,
-      audioBuffer.length,
+    const task = runAnalysisOnSignals(
+      "spectrogram",
+      signals.map((signal) => signal.data),
       audioBuffer.sampleRate,
+      { fftSize, hopSize, windowType },
+      { onProgress: setProgress },
     );
 
-    // Create analyser
-    const analyser = offlineContext.createAnalyser();
-    analyser.fftSize = 2048;
-    analyser.smoothingTimeConstant = 0;
+    const generateSpectrogram = async () => {
+      setIsGenerating(true);
+      setProgress(0);
 
-    // Create buffer source
-    const source = offlineContext.createBufferSource();
-    source.buffer = audioBuffer;
-    source.connect(analyser);
-    analyser.connect(offlineContext.destination);
+      try {
+        const results = await task.promise;
+        if (cancelled) return;
 
-    const bufferLength = analyser.frequencyBinCount;
-    const dataArray = new Uint8Array(bufferLength);
+        setSpectrogramData(
+          results.map((result, index) => ({
+            ...result,
+            label: signals[index].label,
+          })),
+        );
+      } catch (err) {
+        if (cancelled || isAnalysisCancelled(err)) return;
 
-    // Calculate time steps
-    const sampleRate = audioBuffer.sampleRate;
-    const duration = audioBuffer.duration;
-    const timeStep = 0.01; // 10ms per column
-    const numTimeSteps = Math.floor(duration / timeStep);
+        console.error("Spectrogram error:", err);
+      }
 
-    // Set canvas dimensions
-    canvas.width = Math.min(numTimeSteps, 2000); // Max 2000px wide
-    canvas.height = 400;
+      setIsGenerating(false);
+      setProgress(100);
+    };
 
-    const timeStepsPerPixel = numTimeSteps / canvas.width;
-    const freqBinsPerPixel = bufferLength / canvas.height;
+    generateSpectrogram();
 
-    // Get channel data
-    const channelData = audioBuffer.getChannelData(0);
+    return () => {
+      cancelled = true;
+      task.cancel();
+    };
+  }, [audioBuffer, channel, fftSize, hopSize, windowType]);
 
-    // Process in chunks to avoid blocking
-    const spectrogramArray = [];
+  // Draw whenever new data arrives or the frequency axis changes
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !spectrogramData || !audioBuffer) return;
+    if (spectrogramData[0].frames.length === 0) return;
 
-    for (let t = 0; t < canvas.width; t++) {
-      const timeIndex = Math.floor(
-        t * timeStepsPerPixel * timeStep * sampleRate,
-      );
+    const ctx = canvas.getContext("2d");
+    canvas.width = CANVAS_WIDTH;
+    canvas.height = CANVAS_HEIGHT;
 
-      if (timeIndex + analyser.fftSize < channelData.length) {
-        // Perform FFT on this time slice
-        const slice = channelData.slice(
-          timeIndex,
-          timeIndex + analyser.fftSize,
+    const width = canvas.width;
+    const image = ctx.createImageData(width, CANVAS_HEIGHT);
+    const visible = { start: viewStart, end: viewEnd };
+
+    // Shared color scale, so channels shown together compare directly
+    const maxDb = Math.max(...spectrogramData.map((data) => data.maxDb));
+    const bandHeight = Math.floor(CANVAS_HEIGHT / spectrogramData.length);
+
+    spectrogramData.forEach((data, band) => {
+      const { frames, sampleRate } = data;
+      const top = band * bandHeight;
+      const binCount = frames[0].length;
+      const binWidth = sampleRate / data.fftSize;
+
+      // Precompute which FFT bins each pixel row covers
+      const rowBins = [];
+      for (let y = 0; y < bandHeight; y++) {
+        const highHz = yToFrequency(y, frequencyScale, sampleRate, bandHeight);
+        const lowHz = yToFrequency(
+          y + 1,
+          frequencyScale,
+          sampleRate,
+          bandHeight,
+        );
+        const start = Math.max(0, Math.floor(lowHz / binWidth));
+        const end = Math.min(
+          binCount - 1,
+          Math.max(start, Math.ceil(highHz / binWidth) - 1),
         );
-        const fftData = performFFT(slice);
-        spectrogramArray.push(fftData);
+        rowBins.push([start, end]);
       }
 
-      // Update progress
-      if (t % 50 === 0) {
-        setProgress(Math.round((t / canvas.width) * 100));
-        await new Promise((resolve) => setTimeout(resolve, 0)); // Yield to UI
+      // Frame whose window is centred nearest to a time
+      const timeToFrame = (time) =>
+        Math.round((time * sampleRate - data.fftSize / 2) / data.hopSize);
+
+      for (let x = 0; x < width; x++) {
+        const firstFrame = Math.max(0, timeToFrame(xToTime(x, visible, width)));
+        const lastFrame = Math.min(
+          frames.length - 1,
+          Math.max(firstFrame, timeToFrame(xToTime(x + 1, visible, width)) - 1),
+        );
+
+        for (let y = 0; y < bandHeight; y++) {
+          const [start, end] = rowBins[y];
+          let db = -Infinity;
+
+          // Loudest bin in this pixel, so narrow partials aren't averaged away
+          for (let f = firstFrame; f <= lastFrame; f++) {
+            const frame = frames[f];
+            for (let k = start; k <= end; k++) {
+              if (frame[k] > db) db = frame[k];
+            }
+          }
+
+          const intensity = Math.max(
+            0,
+            Math.min(1, 1 + (db - maxDb) / DYNAMIC_RANGE_DB),
+          );
+          const [r, g, b] = intensityToColor(intensity);
+          const offset = ((top + y) * width + x) * 4;
+          image.data[offset] = r;
+          image.data[offset + 1] = g;
+          image.data[offset + 2] = b;
+          image.data[offset + 3] = 255;
+        }
       }
-    }
+    });
 
-    setSpectrogramData(spectrogramArray);
-    drawSpectrogram(spectrogramArray, canvas, ctx);
-    setIsGenerating(false);
-    setProgress(100);
-  };
+    ctx.putImageData(image, 0, 0);
 
-  const performFFT = (buffer) => {
-    const fftSize = 2048;
-    const fft = new Float32Array(fftSize);
+    // Draw frequency labels derived from the buffer's own sample rate
+    ctx.fillStyle = "#fff";
+    ctx.font = "10px monospace";
+    ctx.strokeStyle = "#444";
+
+    spectrogramData.forEach((data, band) => {
+      const top = band * bandHeight;
+
+      ctx.textAlign = "right";
+      getFrequencyLabels(frequencyScale, data.sampleRate).forEach(
+        ({ hz, label }) => {
+          const y =
+            top + frequencyToY(hz, frequencyScale, data.sampleRate, bandHeight);
+          ctx.fillText(label, 50, y);
+          ctx.beginPath();
+          ctx.moveTo(55, y);
+          ctx.lineTo(width, y);
+          ctx.stroke();
+        },
+      );
 
-    // Simple magnitude spectrum calculation
-    for (let i = 0; i < Math.min(buffer.length, fftSize); i++) {
-      fft[i] = Math.abs(buffer[i]);
-    }
+      // Name the channel of each band when several are stacked
+      if (spectrogramData.length > 1) {
+        ctx.textAlign = "left";
+        ctx.fillText(data.label, 60, top + 12);
+        if (band > 0) {
+          ctx.beginPath();
+          ctx.moveTo(0, top);
+          ctx.lineTo(width, top);
+          ctx.stroke();
+        }
+      }
+    });
+  }, [spectrogramData, frequencyScale, audioBuffer, viewStart, viewEnd]);
 
-    // Apply basic frequency binning
-    const bins = 400; // Match canvas height
-    const result = new Uint8Array(bins);
-    const binSize = fftSize / bins;
+  // Overlays go on their own canvas so editing notes doesn't repaint the
+  // STFT; stacked channels each get a copy
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const overlay = overlayRef.current;
+    if (!canvas || !overlay || !audioBuffer) return;
 
-    for (let i = 0; i < bins; i++) {
-      let sum = 0;
-      const start = Math.floor(i * binSize);
-      const end = Math.floor((i + 1) * binSize);
+    overlay.width = canvas.width;
+    overlay.height = canvas.height;
 
-      for (let j = start; j < end && j < fft.length; j++) {
-        sum += fft[j] * fft[j]; // Power spectrum
-      }
+    const ctx = overlay.getContext("2d");
+    ctx.clearRect(0, 0, overlay.width, overlay.height);
 
-      const avg = sum / (end - start);
-      result[i] = Math.min(255, Math.sqrt(avg) * 255 * 10); // Normalize
-    }
+    const { sampleRate } = audioBuffer;
+    const bandCount = spectrogramData?.length ?? 1;
+    const bandHeight = Math.floor(overlay.height / bandCount);
+    const toX = (time) =>
+      timeToX(time, { start: viewStart, end: viewEnd }, overlay.width);
 
-    return result;
-  };
+    if (beats?.bpm > 0) drawBeatGrid(ctx, beats.beats, toX);
 
-  const drawSpectrogram = (data, canvas, ctx) => {
-    const width = canvas.width;
-    const height = canvas.height;
-
-    // Clear canvas
-    ctx.fillStyle = "#000";
-    ctx.fillRect(0, 0, width, height);
-
-    // Draw spectrogram
-    for (let x = 0; x < data.length; x++) {
-      const column = data[x];
-
-      for (let y = 0; y < height; y++) {
-        const freqIndex = height - y - 1; // Flip Y axis (low freq at bottom)
-        const binIndex = Math.floor((freqIndex / height) * column.length);
-        const value = column[binIndex];
-
-        // Color mapping: black -> blue -> cyan -> yellow -> red
-        const intensity = value / 255;
-        let r, g, b;
-
-        if (intensity < 0.25) {
-          // Black to blue
-          r = 0;
-          g = 0;
-          b = Math.floor(intensity * 4 * 255);
-        } else if (intensity < 0.5) {
-          // Blue to cyan
-          r = 0;
-          g = Math.floor((intensity - 0.25) * 4 * 255);
-          b = 255;
-        } else if (intensity < 0.75) {
-          // Cyan to yellow
-          r = Math.floor((intensity - 0.5) * 4 * 255);
-          g = 255;
-          b = Math.floor((1 - (intensity - 0.5) * 4) * 255);
-        } else {
-          // Yellow to red
-          r = 255;
-          g = Math.floor((1 - (intensity - 0.75) * 4) * 255);
-          b = 0;
-        }
+    for (let band = 0; band < bandCount; band++) {
+      const top = band * bandHeight;
+      const toY = (hz) =>
+        top + frequencyToY(hz, frequencyScale, sampleRate, bandHeight);
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(0, top, overlay.width, bandHeight);
+      ctx.clip();
 
-        ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
-        ctx.fillRect(x, y, 1, 1);
+      if (peaks?.length > 0) drawSpectralPeaks(ctx, peaks, toX, toY);
+      if (referenceNotes?.length > 0) {
+        drawNoteBoxes(ctx, referenceNotes, toX, toY, "76, 255, 120");
       }
+      if (notes?.length > 0) {
+        drawNoteBoxes(ctx, notes, toX, toY, "255, 255, 255");
+      }
+      if (f0?.length > 0) drawPitchCurve(ctx, f0, toX, toY, "#00e5ff");
+
+      ctx.restore();
     }
+  }, [
+    notes,
+    referenceNotes,
+    f0,
+    peaks,
+    beats,
+    spectrogramData,
+    frequencyScale,
+    audioBuffer,
+    viewStart,
+    viewEnd,
+  ]);
+
+  // The playhead has a layer of its own, redrawn every animation frame
+  useEffect(() => {
+    if (!audioBuffer) return;
 
-    // Draw frequency labels
-    ctx.fillStyle = "#fff";
-    ctx.font = "10px monospace";
-    ctx.textAlign = "right";
+    return followPlayhead((position) => {
+      const canvas = canvasRef.current;
+      const layer = playheadRef.current;
+      if (!canvas || !layer) return;
 
-    const maxFreq = 22050; // Nyquist frequency
-    const labelFreqs = [100, 500, 1000, 2000, 5000, 10000, 20000];
+      if (layer.width !== canvas.width) layer.width = canvas.width;
+      if (layer.height !== canvas.height) layer.height = canvas.height;
 
-    labelFreqs.forEach((freq) => {
-      const y = height - (freq / maxFreq) * height;
-      ctx.fillText(`${freq}Hz`, 50, y);
-      ctx.strokeStyle = "#444";
-      ctx.beginPath();
-      ctx.moveTo(55, y);
-      ctx.lineTo(width, y);
-      ctx.stroke();
-    });
+      const ctx = layer.getContext("2d");
+      ctx.clearRect(0, 0, layer.width, layer.height);
 
-    // Draw time labels
-    ctx.textAlign = "center";
-    const duration = audioBuffer.duration;
-    const numLabels = 10;
+      if (position !== null) {
+        const view = { start: viewStart, end: viewEnd };
+        drawPlayhead(ctx, timeToX(position, view, layer.width));
+      }
+    });
+  }, [audioBuffer, viewStart, viewEnd]);
 
-    for (let i = 0; i <= numLabels; i++) {
-      const time = (duration / numLabels) * i;
-      const x = (width / numLabels) * i;
-      ctx.fillText(`${time.toFixed(1)}s`, x, height - 5);
-    }
-  };
+  const legend = [
+    notes?.length > 0 && "⬜ Notes",
+    referenceNotes?.length > 0 && "🟩 Imported MIDI",
+    f0?.length > 0 && "🩵 f0 curve",
+    peaks?.length > 0 && "🩷 Spectral peaks",
+  ].filter(Boolean);
 
   return (
     <div className="spectrogram-container">
@@ -204,6 +334,65 @@ export default function Spectrogram({ audioBuffer }) {
         evolution
       </p>
 
+      <div className="spectrogram-controls">
+        <label>
+          FFT size
+          <select
+            value={fftSize}
+            onChange={(e) => {
+              const size = parseInt(e.target.value);
+              setFftSize(size);
+              setHopSize((hop) => Math.min(hop, size));
+            }}
+          >
+            {FFT_SIZES.map((size) => (
+              <option key={size} value={size}>
+                {size}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Hop
+          <select
+            value={hopSize}
+            onChange={(e) => setHopSize(parseInt(e.target.value))}
+          >
+            {HOP_SIZES.filter((hop) => hop <= fftSize).map((hop) => (
+              <option key={hop} value={hop}>
+                {hop}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Window
+          <select
+            value={windowType}
+            onChange={(e) => setWindowType(e.target.value)}
+          >
+            {WINDOW_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Y axis
+          <select
+            value={frequencyScale}
+            onChange={(e) => setFrequencyScale(e.target.value)}
+          >
+            {FREQUENCY_SCALES.map((scale) => (
+              <option key={scale.value} value={scale.value}>
+                {scale.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
       {isGenerating && (
         <div className="spectrogram-progress-wrapper">
           <div className="spectrogram-progress-container">
@@ -218,13 +407,36 @@ export default function Spectrogram({ audioBuffer }) {
         </div>
       )}
 
-      <canvas ref={canvasRef} className="spectrogram-canvas" />
+      <TimelineFrame
+        duration={audioBuffer.duration}
+        view={{ start: viewStart, end: viewEnd }}
+        onViewChange={onViewChange}
+        selection={selection}
+        onSelectionChange={onSelectionChange}
+      >
+        <div className="spectrogram-canvas-wrapper">
+          <canvas ref={canvasRef} className="spectrogram-canvas" />
+          <canvas ref={overlayRef} className="spectrogram-overlay" />
+          <canvas ref={playheadRef} className="spectrogram-overlay" />
+        </div>
+        {chords && (
+          <ChordTimeline
+            chords={chords}
+            view={{ start: viewStart, end: viewEnd }}
+          />
+        )}
+      </TimelineFrame>
 
       <div className="spectrogram-legend">
         <p>
           🔵 Blue = Low intensity | 🟡 Yellow = Medium | 🔴 Red = High intensity
         </p>
-        <p>Y-axis: Frequency (Hz) | X-axis: Time (seconds)</p>
+        <p>
+          Y-axis:{" "}
+          {frequencyScale === "piano" ? "Piano keys (A0-C8)" : "Frequency (Hz)"}{" "}
+          | X-axis: Time (seconds)
+        </p>
+        {legend.length > 0 && <p>Overlays: {legend.join(" | ")}</p>}
       </div>
     </div>
   );
@@ -0,0 +1,197 @@
+import { useEffect, useRef } from "react";
+import {
+  MIN_VIEW_LENGTH,
+  clampView,
+  formatRulerTime,
+  getRulerTicks,
+  scrollView,
+  xToTime,
+  zoomView,
+} from "../../utils/timeView";
+import "./TimelineFrame.css";
+
+const WHEEL_ZOOM_SPEED = 0.002; // Zoom factor per pixel of wheel travel
+const BUTTON_ZOOM_FACTOR = 0.5;
+const MIN_DRAG_PIXELS = 3; // Shorter drags are clicks and clear the selection
+const RULER_WIDTH = 870; // Nominal pixel width the views draw at
+
+// Time ruler, wheel zoom, scrolling and range selection around a time-based view
+export default function TimelineFrame({
+  duration,
+  view,
+  onViewChange,
+  selection,
+  onSelectionChange,
+  children,
+}) {
+  const contentRef = useRef(null);
+  const dragRef = useRef(null); // { anchor, startX, pointerId }
+
+  const length = view.end - view.start;
+  const isZoomed = length < duration;
+  const toPercent = (time) => ((time - view.start) / length) * 100;
+
+  // Wheel zooms around the cursor, shift+wheel or sideways swipes scroll.
+  // Registered natively because React's wheel listener is passive.
+  useEffect(() => {
+    const content = contentRef.current;
+    if (!content) return;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+
+      const rect = content.getBoundingClientRect();
+      const horizontal = e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY);
+
+      if (horizontal) {
+        const delta = e.shiftKey && e.deltaX === 0 ? e.deltaY : e.deltaX;
+        onViewChange(scrollView(view, (delta / rect.width) * length, duration));
+      } else {
+        const anchor = xToTime(e.clientX - rect.left, view, rect.width);
+        const factor = Math.exp(e.deltaY * WHEEL_ZOOM_SPEED);
+        onViewChange(zoomView(view, anchor, factor, duration));
+      }
+    };
+
+    content.addEventListener("wheel", handleWheel, { passive: false });
+    return () => content.removeEventListener("wheel", handleWheel);
+  }, [view, length, duration, onViewChange]);
+
+  const getTime = (e) => {
+    const rect = contentRef.current.getBoundingClientRect();
+    const time = xToTime(e.clientX - rect.left, view, rect.width);
+    return Math.max(0, Math.min(duration, time));
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0 || e.target.closest("button")) return;
+
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = {
+      anchor: getTime(e),
+      startX: e.clientX,
+      pointerId: e.pointerId,
+    };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || drag.pointerId !== e.pointerId) return;
+    if (Math.abs(e.clientX - drag.startX) < MIN_DRAG_PIXELS) return;
+
+    const time = getTime(e);
+    onSelectionChange({
+      start: Math.min(drag.anchor, time),
+      end: Math.max(drag.anchor, time),
+    });
+  };
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    if (!drag || drag.pointerId !== e.pointerId) return;
+
+    dragRef.current = null;
+    if (Math.abs(e.clientX - drag.startX) < MIN_DRAG_PIXELS) {
+      onSelectionChange(null);
+    }
+  };
+
+  const zoomBy = (factor) =>
+    onViewChange(zoomView(view, (view.start + view.end) / 2, factor, duration));
+
+  const { ticks, step } = getRulerTicks(view, RULER_WIDTH);
+
+  return (
+    <div className="timeline-frame">
+      <div className="timeline-frame-ruler">
+        {ticks.map((time) => (
+          <span
+            key={time}
+            className="timeline-frame-tick"
+            style={{ left: `${toPercent(time)}%` }}
+          >
+            {formatRulerTime(time, step)}
+          </span>
+        ))}
+      </div>
+
+      <div
+        ref={contentRef}
+        className="timeline-frame-content"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        {children}
+        {selection &&
+          selection.end > view.start &&
+          selection.start < view.end && (
+            <div
+              className="timeline-frame-selection"
+              style={{
+                left: `${Math.max(0, toPercent(selection.start))}%`,
+                right: `${Math.max(0, 100 - toPercent(selection.end))}%`,
+              }}
+            />
+          )}
+      </div>
+
+      <div className="timeline-frame-controls">
+        <button
+          onClick={() => zoomBy(BUTTON_ZOOM_FACTOR)}
+          disabled={length <= MIN_VIEW_LENGTH}
+          title="Zoom in (or use the mouse wheel)"
+        >
+          +
+        </button>
+        <button
+          onClick={() => zoomBy(1 / BUTTON_ZOOM_FACTOR)}
+          disabled={!isZoomed}
+          title="Zoom out"
+        >
+          −
+        </button>
+        <button
+          onClick={() => onViewChange({ start: 0, end: duration })}
+          disabled={!isZoomed}
+        >
+          Fit
+        </button>
+        {selection && (
+          <button
+            onClick={() => onViewChange(clampView(selection, duration))}
+            title="Zoom to the selection"
+          >
+            Zoom to selection
+          </button>
+        )}
+        <input
+          type="range"
+          className="timeline-frame-scrollbar"
+          min="0"
+          max={Math.max(0, duration - length)}
+          step="any"
+          value={view.start}
+          onChange={(e) => {
+            const start = parseFloat(e.target.value);
+            onViewChange({ start, end: start + length });
+          }}
+          disabled={!isZoomed}
+          aria-label="Scroll"
+        />
+        {selection ? (
+          <span className="timeline-frame-selection-info">
+            Selection {selection.start.toFixed(2)}s – {selection.end.toFixed(2)}
+            s ({(selection.end - selection.start).toFixed(2)}s)
+            <button onClick={() => onSelectionChange(null)}>Clear</button>
+          </span>
+        ) : (
+          <span className="timeline-frame-hint">
+            Drag to select a range, scroll to zoom
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,23 +1,74 @@
 import { useEffect, useRef, useState } from "react";
+import { resumeAudioContext } from "../../utils/audioContext";
+import { hzToMidi, midiToHz, midiToNoteName } from "../../utils/pitchDetection";
+import {
+  drawBeatGrid,
+  drawNoteBoxes,
+  drawPitchCurve,
+  drawPlayhead,
+  drawSpectralPeaks,
+} from "../../utils/overlays";
+import {
+  clearPlayheadSource,
+  followPlayhead,
+  setPlayheadSource,
+} from "../../utils/playhead";
+import { getChannelSignals } from "../../utils/audioChannels";
+import { timeToX } from "../../utils/timeView";
+import TimelineFrame from "../TimelineFrame";
 import "./WaveformVisualizer.css";
 
-export default function WaveformVisualizer({ audioBuffer }) {
+const MIN_PITCH_RANGE = 12; // Semitones shown on the overlay pitch axis
+
+// Pitch range covering every overlay, for mapping pitch onto the height
+function getOverlayPitchRange({ notes, referenceNotes, f0, peaks }) {
+  const midis = [
+    ...(notes || []).map((note) => note.midi),
+    ...(referenceNotes || []).map((note) => note.midi),
+    ...(f0 || []).map((pitch) => hzToMidi(pitch.hz)),
+    ...(peaks || []).flatMap((frame) =>
+      frame.peaks.map((peak) => hzToMidi(peak.frequency)),
+    ),
+  ];
+  if (midis.length === 0) return null;
+
+  let low = midis.reduce((min, midi) => Math.min(min, midi), Infinity) - 2;
+  let high = midis.reduce((max, midi) => Math.max(max, midi), -Infinity) + 2;
+  if (high - low < MIN_PITCH_RANGE) {
+    low -= Math.floor((MIN_PITCH_RANGE - (high - low)) / 2);
+    high = low + MIN_PITCH_RANGE;
+  }
+
+  return { low, high };
+}
+
+export default function WaveformVisualizer({
+  audioBuffer,
+  overlays = {},
+  view,
+  onViewChange,
+  selection = null,
+  onSelectionChange,
+  channel,
+}) {
   const canvasRef = useRef(null);
+  const overlayRef = useRef(null);
+  const playheadRef = useRef(null);
   const [isPlaying, setIsPlaying] = useState(false);
 
-  const audioContextRef = useRef(null);
   const sourceNodeRef = useRef(null);
+  const positionSourceRef = useRef(null);
+  const { notes, referenceNotes, f0, peaks, beats } = overlays;
+  const viewStart = view ? view.start : 0;
+  const viewEnd = view ? view.end : audioBuffer?.duration;
 
   const playAudio = async () => {
     if (!audioBuffer || isPlaying) return;
 
     setIsPlaying(true);
 
-    // Create audio context for playback
-    const audioContext = new (
-      window.AudioContext || window.webkitAudioContext
-    )();
-    audioContextRef.current = audioContext;
+    // Shared context, so this and the MIDI player run on the same clock
+    const audioContext = await resumeAudioContext();
 
     // Create source and connect to destination
     const source = audioContext.createBufferSource();
@@ -25,8 +76,19 @@ export default function WaveformVisualizer({ audioBuffer }) {
     source.connect(audioContext.destination);
     sourceNodeRef.current = source;
 
-    // Start playback
-    source.start(0);
+    // Start playback (just the selection, if there is one) and let the
+    // overlays follow it
+    const offset = selection ? selection.start : 0;
+    const startTime = audioContext.currentTime;
+    if (selection) {
+      source.start(startTime, offset, selection.end - selection.start);
+    } else {
+      source.start(startTime);
+    }
+
+    const getPosition = () => offset + audioContext.currentTime - startTime;
+    positionSourceRef.current = getPosition;
+    setPlayheadSource(getPosition);
 
     // Stop when audio ends
     source.onended = () => {
@@ -43,10 +105,12 @@ export default function WaveformVisualizer({ audioBuffer }) {
       } catch {
         // Already stopped
       }
+      sourceNodeRef.current = null;
     }
 
-    if (audioContextRef.current && audioContextRef.current.state !== "closed") {
-      audioContextRef.current.close();
+    if (positionSourceRef.current) {
+      clearPlayheadSource(positionSourceRef.current);
+      positionSourceRef.current = null;
     }
   };
 
@@ -61,58 +125,76 @@ export default function WaveformVisualizer({ audioBuffer }) {
     const width = canvas.width;
     const height = canvas.height;
 
-    // Get audio data from first channel
-    const channelData = audioBuffer.getChannelData(0);
-    const samples = channelData.length;
+    // One lane per signal: the chosen channel, or every channel stacked
+    const signals = getChannelSignals(audioBuffer, channel);
+    const laneHeight = height / signals.length;
+    const firstSample = viewStart * audioBuffer.sampleRate;
 
     // Clear canvas
     ctx.fillStyle = "#000";
     ctx.fillRect(0, 0, width, height);
 
-    // Draw waveform
-    ctx.strokeStyle = "#00d4ff";
-    ctx.lineWidth = 1;
-    ctx.beginPath();
+    // Calculate how many samples of the visible range fall on each pixel;
+    // zoomed far in it is less than one
+    const samplesPerPixel =
+      ((viewEnd - viewStart) * audioBuffer.sampleRate) / width;
 
-    // Calculate how many samples per pixel
-    const samplesPerPixel = Math.floor(samples / width);
-    const centerY = height / 2;
+    signals.forEach(({ label, data }, lane) => {
+      const halfHeight = laneHeight / 2;
+      const centerY = lane * laneHeight + halfHeight;
+      const samples = data.length;
 
-    for (let x = 0; x < width; x++) {
-      // Get min and max values for this pixel
-      const startSample = x * samplesPerPixel;
-      const endSample = startSample + samplesPerPixel;
+      // Draw waveform
+      ctx.strokeStyle = "#00d4ff";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
 
-      let min = 1.0;
-      let max = -1.0;
+      for (let x = 0; x < width; x++) {
+        // Get min and max values for this pixel
+        const startSample = Math.floor(firstSample + x * samplesPerPixel);
+        const endSample = Math.max(
+          startSample + 1,
+          Math.floor(firstSample + (x + 1) * samplesPerPixel),
+        );
 
-      for (let i = startSample; i < endSample && i < samples; i++) {
-        const value = channelData[i];
-        if (value < min) min = value;
-        if (value > max) max = value;
-      }
+        let min = 1.0;
+        let max = -1.0;
 
-      // Draw vertical line from min to max
-      const yMin = centerY - min * centerY;
-      const yMax = centerY - max * centerY;
+        for (let i = startSample; i < endSample && i < samples; i++) {
+          const value = data[i];
+          if (value < min) min = value;
+          if (value > max) max = value;
+        }
 
-      if (x === 0) {
-        ctx.moveTo(x, yMin);
-      } else {
-        ctx.lineTo(x, yMin);
-        ctx.lineTo(x, yMax);
+        // Draw vertical line from min to max
+        const yMin = centerY - min * halfHeight;
+        const yMax = centerY - max * halfHeight;
+
+        if (x === 0) {
+          ctx.moveTo(x, yMin);
+        } else {
+          ctx.lineTo(x, yMin);
+          ctx.lineTo(x, yMax);
+        }
       }
-    }
 
-    ctx.stroke();
+      ctx.stroke();
 
-    // Draw center line
-    ctx.strokeStyle = "#333";
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.moveTo(0, centerY);
-    ctx.lineTo(width, centerY);
-    ctx.stroke();
+      // Draw center line
+      ctx.strokeStyle = "#333";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(0, centerY);
+      ctx.lineTo(width, centerY);
+      ctx.stroke();
+
+      // Name the signal each lane shows
+      if (audioBuffer.numberOfChannels > 1) {
+        ctx.fillStyle = "#888";
+        ctx.font = "11px monospace";
+        ctx.fillText(label, 10, (lane + 1) * laneHeight - 8);
+      }
+    });
 
     // Draw labels
     ctx.fillStyle = "#fff";
@@ -120,7 +202,87 @@ export default function WaveformVisualizer({ audioBuffer }) {
     ctx.fillText(`Duration: ${audioBuffer.duration.toFixed(2)}s`, 10, 20);
     ctx.fillText(`Sample Rate: ${audioBuffer.sampleRate} Hz`, 10, 40);
     ctx.fillText(`Channels: ${audioBuffer.numberOfChannels}`, 10, 60);
-  }, [audioBuffer]);
+  }, [audioBuffer, channel, viewStart, viewEnd]);
+
+  // Notes, f0 and peaks on a pitch axis of their own over the waveform
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const overlay = overlayRef.current;
+    if (!canvas || !overlay || !audioBuffer) return;
+
+    overlay.width = canvas.width;
+    overlay.height = canvas.height;
+
+    const ctx = overlay.getContext("2d");
+    ctx.clearRect(0, 0, overlay.width, overlay.height);
+
+    const { width, height } = overlay;
+    const toX = (time) =>
+      timeToX(time, { start: viewStart, end: viewEnd }, width);
+
+    // Beat grid under everything else, with the tempo under the labels
+    if (beats?.bpm > 0) {
+      drawBeatGrid(ctx, beats.beats, toX);
+      ctx.fillStyle = "#fff";
+      ctx.font = "12px monospace";
+      ctx.fillText(`Tempo: ${beats.bpm} BPM`, 10, 80);
+    }
+
+    const range = getOverlayPitchRange({ notes, referenceNotes, f0, peaks });
+    if (!range) return;
+    const toY = (hz) =>
+      ((range.high - (69 + 12 * Math.log2(hz / 440))) /
+        (range.high - range.low)) *
+      height;
+
+    if (peaks?.length > 0) drawSpectralPeaks(ctx, peaks, toX, toY);
+    if (referenceNotes?.length > 0) {
+      drawNoteBoxes(ctx, referenceNotes, toX, toY, "76, 255, 120");
+    }
+    if (notes?.length > 0) {
+      drawNoteBoxes(ctx, notes, toX, toY, "255, 193, 7");
+    }
+    if (f0?.length > 0) drawPitchCurve(ctx, f0, toX, toY, "#ff4081");
+
+    // Label the Cs of the pitch axis
+    ctx.fillStyle = "#aaa";
+    ctx.font = "10px monospace";
+    ctx.textAlign = "right";
+    for (
+      let midi = Math.ceil(range.low / 12) * 12;
+      midi <= range.high;
+      midi += 12
+    ) {
+      ctx.fillText(midiToNoteName(midi), width - 5, toY(midiToHz(midi)) + 3);
+    }
+  }, [
+    audioBuffer,
+    viewStart,
+    viewEnd,
+    notes,
+    referenceNotes,
+    f0,
+    peaks,
+    beats,
+  ]);
+
+  // The playhead has a layer of its own, redrawn every animation frame
+  useEffect(() => {
+    if (!audioBuffer) return;
+
+    return followPlayhead((position) => {
+      const layer = playheadRef.current;
+      if (!layer) return;
+
+      const ctx = layer.getContext("2d");
+      ctx.clearRect(0, 0, layer.width, layer.height);
+
+      if (position !== null) {
+        const view = { start: viewStart, end: viewEnd };
+        drawPlayhead(ctx, timeToX(position, view, layer.width));
+      }
+    });
+  }, [audioBuffer, viewStart, viewEnd]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -139,21 +301,42 @@ export default function WaveformVisualizer({ audioBuffer }) {
 
   return (
     <div className="waveform-container">
-      <div className="waveform-canvas-wrapper">
-        <canvas
-          ref={canvasRef}
-          width={870}
-          height={300}
-          className="waveform-canvas"
-        />
-        <button
-          onClick={isPlaying ? stopAudio : playAudio}
-          className="waveform-play-button"
-          title={isPlaying ? "Stop playback" : "Play audio"}
-        >
-          {isPlaying ? "⏸" : "🔊"}
-        </button>
-      </div>
+      <TimelineFrame
+        duration={audioBuffer.duration}
+        view={{ start: viewStart, end: viewEnd }}
+        onViewChange={onViewChange}
+        selection={selection}
+        onSelectionChange={onSelectionChange}
+      >
+        <div className="waveform-canvas-wrapper">
+          <canvas
+            ref={canvasRef}
+            width={870}
+            height={300}
+            className="waveform-canvas"
+          />
+          <canvas ref={overlayRef} className="waveform-overlay" />
+          <canvas
+            ref={playheadRef}
+            width={870}
+            height={300}
+            className="waveform-overlay"
+          />
+          <button
+            onClick={isPlaying ? stopAudio : playAudio}
+            className="waveform-play-button"
+            title={
+              isPlaying
+                ? "Stop playback"
+                : selection
+                  ? "Play the selection"
+                  : "Play audio"
+            }
+          >
+            {isPlaying ? "⏸" : "🔊"}
+          </button>
+        </div>
+      </TimelineFrame>
     </div>
   );
 }
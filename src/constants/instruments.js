@@ -1,3 +1,4 @@
+// Listed in General MIDI program order: an instrument's index is its program number
 export const availableInstruments = [
   { value: "acoustic_grand_piano", label: "Acoustic Grand Piano" },
   { value: "bright_acoustic_piano", label: "Bright Acoustic Piano" },
@@ -80,3 +81,13 @@ export const availableInstruments = [
   { value: "whistle", label: "Whistle" },
   { value: "ocarina", label: "Ocarina" },
 ];
+
+/**
+ * Get the General MIDI program number for a soundfont instrument name
+ * @param {string} name - Instrument value, e.g. "acoustic_grand_piano"
+ * @returns {number} Program number (0-127), 0 (piano) when unknown
+ */
+export function getInstrumentProgram(name) {
+  const index = availableInstruments.findIndex((instr) => instr.value === name);
+  return index >= 0 ? index : 0;
+}
@@ -0,0 +1,168 @@
+import { hzToMidi } from "./pitchDetection";
+
+/**
+ * Audio channels
+ * Which part of a multi-channel recording gets analysed and shown: one
+ * channel, the mid (average) or side (difference) signal, or every channel
+ * on its own. Channel choices are strings: "mid", "side", "each" or a
+ * channel index ("0", "1", ...).
+ */
+
+export const DEFAULT_CHANNEL = "mid";
+
+const STEREO_NAMES = ["Left", "Right"];
+
+// Mid and side signals are derived once per buffer
+const derivedSignals = new WeakMap();
+
+/**
+ * Name of one channel of a buffer
+ * @param {AudioBuffer} audioBuffer
+ * @param {number} index
+ * @returns {string}
+ */
+export function getChannelName(audioBuffer, index) {
+  return audioBuffer.numberOfChannels === 2
+    ? STEREO_NAMES[index]
+    : `Channel ${index + 1}`;
+}
+
+/**
+ * Channel choices that make sense for a buffer
+ * @param {AudioBuffer} audioBuffer
+ * @returns {Array<{value: string, label: string}>} Empty for mono audio
+ */
+export function getChannelOptions(audioBuffer) {
+  const count = audioBuffer?.numberOfChannels ?? 1;
+  if (count < 2) return [];
+
+  return [
+    { value: "mid", label: count === 2 ? "Mid (L+R)" : "Mix of all" },
+    ...Array.from({ length: count }, (_, index) => ({
+      value: String(index),
+      label: getChannelName(audioBuffer, index),
+    })),
+    ...(count === 2 ? [{ value: "side", label: "Side (L−R)" }] : []),
+    { value: "each", label: "Each channel" },
+  ];
+}
+
+/**
+ * Fall back to the mid signal for choices a buffer doesn't have
+ * @param {AudioBuffer} audioBuffer
+ * @param {string} channel
+ * @returns {string}
+ */
+export function resolveChannel(audioBuffer, channel) {
+  const options = getChannelOptions(audioBuffer);
+  return options.some((option) => option.value === channel)
+    ? channel
+    : DEFAULT_CHANNEL;
+}
+
+function getDerived(audioBuffer, kind) {
+  let signals = derivedSignals.get(audioBuffer);
+  if (!signals) {
+    signals = {};
+    derivedSignals.set(audioBuffer, signals);
+  }
+
+  if (!signals[kind]) {
+    const count = audioBuffer.numberOfChannels;
+    const data = new Float32Array(audioBuffer.length);
+
+    if (kind === "mid") {
+      for (let c = 0; c < count; c++) {
+        const input = audioBuffer.getChannelData(c);
+        for (let i = 0; i < data.length; i++) data[i] += input[i] / count;
+      }
+    } else {
+      const left = audioBuffer.getChannelData(0);
+      const right = audioBuffer.getChannelData(1);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = (left[i] - right[i]) / 2;
+      }
+    }
+
+    signals[kind] = data;
+  }
+
+  return signals[kind];
+}
+
+/**
+ * Samples of each signal to analyse or draw
+ * @param {AudioBuffer} audioBuffer
+ * @param {string} channel - Channel choice
+ * @returns {Array<{label: string, data: Float32Array}>} One entry, or one per channel for "each"
+ */
+export function getChannelSignals(audioBuffer, channel = DEFAULT_CHANNEL) {
+  if (audioBuffer.numberOfChannels === 1) {
+    return [{ label: "Mono", data: audioBuffer.getChannelData(0) }];
+  }
+
+  const choice = resolveChannel(audioBuffer, channel);
+
+  if (choice === "each") {
+    return Array.from({ length: audioBuffer.numberOfChannels }, (_, index) => ({
+      label: getChannelName(audioBuffer, index),
+      data: audioBuffer.getChannelData(index),
+    }));
+  }
+  if (choice === "mid" || choice === "side") {
+    return [
+      {
+        label: choice === "mid" ? "Mid" : "Side",
+        data: getDerived(audioBuffer, choice),
+      },
+    ];
+  }
+
+  const index = parseInt(choice);
+  return [
+    {
+      label: getChannelName(audioBuffer, index),
+      data: audioBuffer.getChannelData(index),
+    },
+  ];
+}
+
+/**
+ * A single signal for analyses that need one curve (f0, onsets); "each"
+ * uses the mid signal
+ * @param {AudioBuffer} audioBuffer
+ * @param {string} channel
+ * @returns {Float32Array}
+ */
+export function getChannelSamples(audioBuffer, channel = DEFAULT_CHANNEL) {
+  return getChannelSignals(
+    audioBuffer,
+    channel === "each" ? DEFAULT_CHANNEL : channel,
+  )[0].data;
+}
+
+/**
+ * Combine pitch records detected on several channels
+ * The same pitch found at the same time on more than one channel is kept
+ * once, with the highest velocity.
+ * @param {Array<Array<{time: string, hz: number, midi?: number, velocity?: number}>>} results - One list per channel
+ * @returns {Array<object>} Sorted by time
+ */
+export function mergeChannelPitches(results) {
+  if (results.length === 1) return results[0];
+
+  const merged = new Map();
+  results.forEach((pitches, channel) => {
+    pitches.forEach((pitch) => {
+      const key = `${pitch.time}:${pitch.midi ?? hzToMidi(pitch.hz)}`;
+      const existing = merged.get(key);
+      if (!existing || (pitch.velocity ?? 0) > (existing.velocity ?? 0)) {
+        merged.set(key, { ...pitch, channel });
+      }
+    });
+  });
+
+  return [...merged.values()].sort(
+    (a, b) => parseFloat(a.time) - parseFloat(b.time),
+  );
+}
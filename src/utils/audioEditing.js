@@ -0,0 +1,335 @@
+/**
+ * Audio editing
+ * Crops, silence trimming, normalization and fades on AudioBuffers. Every
+ * edit returns a new buffer and leaves its input untouched, so the
+ * original recording can always be restored.
+ */
+
+export const DEFAULT_SILENCE_THRESHOLD = -50; // dBFS
+export const DEFAULT_PEAK_TARGET = -1; // dBFS
+export const DEFAULT_LOUDNESS_TARGET = -16; // LUFS
+const SILENCE_WINDOW = 0.01; // Seconds of audio per level reading
+const SILENCE_PADDING = 0.05; // Seconds kept around the sound when trimming
+const LOUDNESS_BLOCK = 0.4; // Seconds, gating block of ITU-R BS.1770
+const LOUDNESS_STEP = 0.1; // Seconds, 75% block overlap
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE = -10; // LU below the ungated loudness
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+export const gainToDb = (gain) => 20 * Math.log10(gain);
+
+// Empty buffer shaped like another one
+function createBufferLike(buffer, length) {
+  return new AudioBuffer({
+    length: Math.max(1, length),
+    numberOfChannels: buffer.numberOfChannels,
+    sampleRate: buffer.sampleRate,
+  });
+}
+
+// New buffer with every sample passed through fn(value, index, channel)
+function mapSamples(buffer, fn) {
+  const result = createBufferLike(buffer, buffer.length);
+
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const input = buffer.getChannelData(channel);
+    const output = result.getChannelData(channel);
+    for (let i = 0; i < input.length; i++) {
+      output[i] = fn(input[i], i, channel);
+    }
+  }
+
+  return result;
+}
+
+const toSample = (buffer, time) =>
+  Math.max(0, Math.min(buffer.length, Math.round(time * buffer.sampleRate)));
+
+/**
+ * Keep only a range of the audio
+ * @param {AudioBuffer} buffer
+ * @param {number} start - Seconds
+ * @param {number} end - Seconds
+ * @returns {AudioBuffer}
+ */
+export function cropAudio(buffer, start, end) {
+  const from = toSample(buffer, start);
+  const to = Math.max(from + 1, toSample(buffer, end));
+  const result = createBufferLike(buffer, to - from);
+
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    result
+      .getChannelData(channel)
+      .set(buffer.getChannelData(channel).subarray(from, to));
+  }
+
+  return result;
+}
+
+/**
+ * Cut a range out of the audio, joining what is left on either side
+ * @param {AudioBuffer} buffer
+ * @param {number} start - Seconds
+ * @param {number} end - Seconds
+ * @returns {AudioBuffer}
+ */
+export function deleteRange(buffer, start, end) {
+  const from = toSample(buffer, start);
+  const to = toSample(buffer, end);
+  const result = createBufferLike(buffer, buffer.length - (to - from));
+
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const input = buffer.getChannelData(channel);
+    const output = result.getChannelData(channel);
+    output.set(input.subarray(0, from));
+    output.set(input.subarray(to), from);
+  }
+
+  return result;
+}
+
+/**
+ * Find where the sound starts and ends
+ * @param {AudioBuffer} buffer
+ * @param {number} thresholdDb - Windows quieter than this (dBFS RMS) are silence
+ * @returns {{start: number, end: number}|null} Seconds, padded slightly, or null if all silent
+ */
+export function findSoundRange(
+  buffer,
+  thresholdDb = DEFAULT_SILENCE_THRESHOLD,
+) {
+  const windowSize = Math.max(
+    1,
+    Math.round(SILENCE_WINDOW * buffer.sampleRate),
+  );
+  const threshold = dbToGain(thresholdDb);
+  const windowCount = Math.ceil(buffer.length / windowSize);
+
+  // RMS of each window, taking the loudest channel
+  const isSound = (w) => {
+    const from = w * windowSize;
+    const to = Math.min(buffer.length, from + windowSize);
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel);
+      let sum = 0;
+      for (let i = from; i < to; i++) sum += data[i] * data[i];
+      if (Math.sqrt(sum / (to - from)) >= threshold) return true;
+    }
+    return false;
+  };
+
+  let first = 0;
+  while (first < windowCount && !isSound(first)) first++;
+  if (first === windowCount) return null;
+
+  let last = windowCount - 1;
+  while (last > first && !isSound(last)) last--;
+
+  return {
+    start: Math.max(
+      0,
+      (first * windowSize) / buffer.sampleRate - SILENCE_PADDING,
+    ),
+    end: Math.min(
+      buffer.duration,
+      ((last + 1) * windowSize) / buffer.sampleRate + SILENCE_PADDING,
+    ),
+  };
+}
+
+/**
+ * Highest absolute sample value over all channels
+ * @param {AudioBuffer} buffer
+ * @returns {number} 0-1 (above 1 when clipped)
+ */
+export function getPeak(buffer) {
+  let peak = 0;
+
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) {
+      const value = Math.abs(data[i]);
+      if (value > peak) peak = value;
+    }
+  }
+
+  return peak;
+}
+
+// Biquad coefficients of the two K-weighting stages for any sample rate
+// (the bilinear-transform form libebur128 uses; matches the 48 kHz tables)
+function getKWeightingFilters(sampleRate) {
+  // Stage 1: high shelf modelling the head
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+
+  const shelf = {
+    b0: (Vh + (Vb * K) / Q + K * K) / a0,
+    b1: (2 * (K * K - Vh)) / a0,
+    b2: (Vh - (Vb * K) / Q + K * K) / a0,
+    a1: (2 * (K * K - 1)) / a0,
+    a2: (1 - K / Q + K * K) / a0,
+  };
+
+  // Stage 2: high pass removing the lowest frequencies
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+
+  const highPass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: (2 * (K * K - 1)) / a0,
+    a2: (1 - K / Q + K * K) / a0,
+  };
+
+  return [shelf, highPass];
+}
+
+// Run samples through a chain of biquads (direct form I)
+function filterSamples(data, filters) {
+  let output = data;
+
+  filters.forEach(({ b0, b1, b2, a1, a2 }) => {
+    const input = output;
+    output = new Float32Array(input.length);
+    let x1 = 0;
+    let x2 = 0;
+    let y1 = 0;
+    let y2 = 0;
+
+    for (let i = 0; i < input.length; i++) {
+      const x = input[i];
+      const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+      output[i] = y;
+      x2 = x1;
+      x1 = x;
+      y2 = y1;
+      y1 = y;
+    }
+  });
+
+  return output;
+}
+
+/**
+ * Integrated loudness in the style of ITU-R BS.1770 / EBU R128: K-weighted
+ * mean square over 400 ms blocks with absolute and relative gating
+ * @param {AudioBuffer} buffer
+ * @returns {number} LUFS, -Infinity for silence
+ */
+export function measureLoudness(buffer) {
+  const filters = getKWeightingFilters(buffer.sampleRate);
+  const channels = [];
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    channels.push(filterSamples(buffer.getChannelData(channel), filters));
+  }
+
+  const blockSize = Math.round(LOUDNESS_BLOCK * buffer.sampleRate);
+  const stepSize = Math.round(LOUDNESS_STEP * buffer.sampleRate);
+  const toLufs = (power) => -0.691 + 10 * Math.log10(power);
+
+  // Short recordings still get one (shorter) block
+  const blockPowers = [];
+  for (
+    let from = 0;
+    from === 0 || from + blockSize <= buffer.length;
+    from += stepSize
+  ) {
+    const to = Math.min(buffer.length, from + blockSize);
+    let power = 0;
+    channels.forEach((data) => {
+      let sum = 0;
+      for (let i = from; i < to; i++) sum += data[i] * data[i];
+      power += sum / (to - from);
+    });
+    blockPowers.push(power);
+  }
+
+  const gatedMean = (minLufs) => {
+    const kept = blockPowers.filter((power) => toLufs(power) > minLufs);
+    return kept.length > 0
+      ? kept.reduce((sum, power) => sum + power, 0) / kept.length
+      : 0;
+  };
+
+  const ungated = gatedMean(ABSOLUTE_GATE);
+  if (ungated === 0) return -Infinity;
+
+  const gated = gatedMean(toLufs(ungated) + RELATIVE_GATE);
+  return gated > 0 ? toLufs(gated) : -Infinity;
+}
+
+/**
+ * Change the level
+ * @param {AudioBuffer} buffer
+ * @param {number} gainDb
+ * @returns {AudioBuffer}
+ */
+export function applyGain(buffer, gainDb) {
+  const gain = dbToGain(gainDb);
+  return mapSamples(buffer, (value) => value * gain);
+}
+
+/**
+ * Gain that brings the loudest sample to a target level
+ * @param {AudioBuffer} buffer
+ * @param {number} targetDb - dBFS
+ * @returns {number} dB, 0 for silence
+ */
+export function getPeakNormalizationGain(
+  buffer,
+  targetDb = DEFAULT_PEAK_TARGET,
+) {
+  const peak = getPeak(buffer);
+  return peak > 0 ? targetDb - gainToDb(peak) : 0;
+}
+
+/**
+ * Gain that brings the integrated loudness to a target, held back where it
+ * would push the peak over a ceiling
+ * @param {AudioBuffer} buffer
+ * @param {number} targetLufs
+ * @param {number} ceilingDb - Highest peak allowed, dBFS
+ * @returns {{gainDb: number, isLimited: boolean}}
+ */
+export function getLoudnessNormalizationGain(
+  buffer,
+  targetLufs = DEFAULT_LOUDNESS_TARGET,
+  ceilingDb = DEFAULT_PEAK_TARGET,
+) {
+  const loudness = measureLoudness(buffer);
+  if (!isFinite(loudness)) return { gainDb: 0, isLimited: false };
+
+  const gainDb = targetLufs - loudness;
+  const maxGainDb = getPeakNormalizationGain(buffer, ceilingDb);
+
+  return gainDb > maxGainDb
+    ? { gainDb: maxGainDb, isLimited: true }
+    : { gainDb, isLimited: false };
+}
+
+/**
+ * Fade the start in and the end out, with linear ramps
+ * @param {AudioBuffer} buffer
+ * @param {number} fadeIn - Seconds
+ * @param {number} fadeOut - Seconds
+ * @returns {AudioBuffer}
+ */
+export function applyFades(buffer, fadeIn, fadeOut) {
+  const fadeInSamples = Math.min(buffer.length, toSample(buffer, fadeIn));
+  const fadeOutSamples = Math.min(buffer.length, toSample(buffer, fadeOut));
+  const fadeOutStart = buffer.length - fadeOutSamples;
+
+  return mapSamples(buffer, (value, i) => {
+    let gain = 1;
+    if (i < fadeInSamples) gain *= i / fadeInSamples;
+    if (i >= fadeOutStart) gain *= (buffer.length - 1 - i) / fadeOutSamples;
+    return value * gain;
+  });
+}
@@ -0,0 +1,142 @@
+/**
+ * Background analysis client
+ * Every offline analysis (pitch detection, resynthesis, onsets, beats, the
+ * spectrogram) goes through runAnalysis(), which runs the shared analysis
+ * worker so long recordings never freeze the UI
+ */
+
+/**
+ * Create the error used to reject cancelled analyses
+ * @returns {Error}
+ */
+function createCancelledError() {
+  const error = new Error("Analysis cancelled");
+  error.name = "AbortError";
+  return error;
+}
+
+/**
+ * Check whether an analysis error only means it was cancelled
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isAnalysisCancelled(err) {
+  return err?.name === "AbortError";
+}
+
+/**
+ * Run an analysis method on one channel of audio in a Web Worker
+ * Each call gets its own worker so cancelling terminates the computation
+ * immediately without affecting other analyses.
+ * @param {string} method - Analyzer name registered in analysis.worker.js
+ *   ("spectral", "peaks", "autocorrelation", "yin", "pyin", "resynthesis",
+ *   "spectrogram", "onsets", "beats")
+ * @param {Float32Array} channelData - Audio samples (copied, then transferred)
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {object} options - Method-specific options
+ * @param {object} callbacks - { onProgress(0-100), onPartial(pitches) }
+ * @returns {{promise: Promise<Array>, cancel: function}}
+ */
+export function runAnalysis(
+  method,
+  channelData,
+  sampleRate,
+  options = {},
+  { onProgress, onPartial } = {},
+) {
+  const worker = new Worker(
+    new URL("../workers/analysis.worker.js", import.meta.url),
+    { type: "module" },
+  );
+
+  let settle = null;
+
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+
+      if (message.type === "progress") {
+        if (onProgress) onProgress(message.progress);
+        if (onPartial && message.partial?.length > 0) {
+          onPartial(message.partial);
+        }
+      } else if (message.type === "done") {
+        worker.terminate();
+        resolve(message.result);
+      } else if (message.type === "error") {
+        worker.terminate();
+        reject(new Error(message.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || "Analysis worker failed"));
+    };
+  });
+
+  // Copy so the AudioBuffer keeps its data, then hand the copy over for free
+  const samples = new Float32Array(channelData);
+  worker.postMessage({ method, channelData: samples, sampleRate, options }, [
+    samples.buffer,
+  ]);
+
+  const cancel = () => {
+    worker.terminate();
+    settle.reject(createCancelledError());
+  };
+
+  return { promise, cancel };
+}
+
+/**
+ * Run an analysis method on several signals (e.g. every channel) at once
+ * If one signal's analysis fails or is cancelled, the others are stopped
+ * too, since their results would be discarded.
+ * @param {string} method - As for runAnalysis
+ * @param {Float32Array[]} signals - Audio samples of each signal
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {object} options - Method-specific options
+ * @param {object} callbacks - { onProgress(0-100) averaged over all signals,
+ *   onPartial(partial, signalIndex) }
+ * @returns {{promise: Promise<Array>, cancel: function}} Resolves to one result per signal
+ */
+export function runAnalysisOnSignals(
+  method,
+  signals,
+  sampleRate,
+  options = {},
+  { onProgress, onPartial } = {},
+) {
+  const progress = signals.map(() => 0);
+
+  const tasks = signals.map((samples, index) =>
+    runAnalysis(method, samples, sampleRate, options, {
+      onProgress: (percent) => {
+        progress[index] = percent;
+        if (onProgress) {
+          onProgress(
+            Math.round(
+              progress.reduce((sum, value) => sum + value, 0) / signals.length,
+            ),
+          );
+        }
+      },
+      onPartial: onPartial && ((partial) => onPartial(partial, index)),
+    }),
+  );
+
+  // Cancelling a task that already finished changes nothing
+  const cancel = () => tasks.forEach((task) => task.cancel());
+
+  const promise = Promise.all(tasks.map((task) => task.promise)).catch(
+    (err) => {
+      cancel();
+      throw err;
+    },
+  );
+
+  return { promise, cancel };
+}
@@ -0,0 +1,359 @@
+import { computeOnsetEnvelope } from "./onsetDetection";
+
+/**
+ * Tempo estimation and beat tracking
+ * Finds the tempo of a recording from the periodicity of its onset
+ * strength envelope, then places beats with dynamic programming (Ellis,
+ * "Beat Tracking by Dynamic Programming", 2007): every beat sits on strong
+ * onsets while keeping close to one beat period from the previous one.
+ * The beats map seconds onto musical time for export and quantization.
+ */
+
+export const DEFAULT_BEAT_OPTIONS = {
+  minBpm: 60,
+  maxBpm: 200,
+  preferredBpm: 120, // Centre of the tempo prior
+  tightness: 100, // How strongly beats keep to the period
+  tempoTolerance: 0.04, // Relative change that starts a new tempo map entry
+};
+
+export const BEATS_PER_BAR = 4;
+
+const TEMPO_SPREAD = 1; // Octaves; standard deviation of the tempo prior
+const LOCAL_TEMPO_SPREAD = 0.2; // Octaves around the main tempo, per section
+const LOCAL_WINDOW = 8; // Seconds of envelope per local tempo estimate
+const LOCAL_HOP = 1; // Seconds between local tempo estimates
+const TEMPO_SMOOTHING = 2; // Beats either side for the local tempo median
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Estimate the main tempo of an onset envelope
+ * Autocorrelation (plus the autocorrelation at twice the lag, which
+ * favours tempos whose multiples line up too) weighted by a log-normal
+ * prior around preferredBpm, so double and half tempos lose ties.
+ * @param {Float32Array} envelope - Onset strength
+ * @param {number} frameRate - Envelope frames per second
+ * @param {object} options - { minBpm, maxBpm, preferredBpm, spread }
+ * @returns {number} Beats per minute, 0 when the envelope is too short
+ */
+export function estimateTempo(envelope, frameRate, options = {}) {
+  const {
+    minBpm,
+    maxBpm,
+    preferredBpm,
+    spread = TEMPO_SPREAD,
+  } = {
+    ...DEFAULT_BEAT_OPTIONS,
+    ...options,
+  };
+  const minLag = Math.max(1, Math.floor((60 * frameRate) / maxBpm));
+  const maxLag = Math.ceil((60 * frameRate) / minBpm);
+  if (envelope.length < maxLag * 2) return 0;
+
+  const mean =
+    envelope.reduce((sum, value) => sum + value, 0) / envelope.length;
+  const centred = envelope.map((value) => value - mean);
+
+  const autocorrelation = (lag) => {
+    let sum = 0;
+    for (let n = 0; n + lag < centred.length; n++) {
+      sum += centred[n] * centred[n + lag];
+    }
+    return sum / (centred.length - lag);
+  };
+
+  const scores = new Float64Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    if (lag < 1) continue;
+    const bpm = (60 * frameRate) / lag;
+    const prior = Math.exp(
+      -0.5 * (Math.log2(bpm / preferredBpm) / spread) ** 2,
+    );
+    scores[lag] =
+      prior *
+      (autocorrelation(lag) +
+        (2 * lag < centred.length ? 0.5 * autocorrelation(2 * lag) : 0));
+  }
+
+  let best = minLag;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (scores[lag] > scores[best]) best = lag;
+  }
+
+  // Parabolic interpolation for a tempo between whole-frame lags
+  const [before, peak, after] = [
+    scores[best - 1],
+    scores[best],
+    scores[best + 1],
+  ];
+  const curvature = before - 2 * peak + after;
+  const offset =
+    best > 1 && curvature < 0
+      ? Math.max(-0.5, Math.min(0.5, (0.5 * (before - after)) / curvature))
+      : 0;
+
+  return (60 * frameRate) / (best + offset);
+}
+
+/**
+ * Tempo of every envelope frame, estimated over a window around it and
+ * kept near the main tempo, so beat tracking follows gradual changes
+ * @param {Float32Array} envelope - Onset strength
+ * @param {number} frameRate - Envelope frames per second
+ * @param {number} bpm - Main tempo, from estimateTempo()
+ * @param {object} options - { minBpm, maxBpm }
+ * @returns {Float64Array} Beats per minute per frame
+ */
+export function estimateLocalTempo(envelope, frameRate, bpm, options = {}) {
+  const tempo = new Float64Array(envelope.length).fill(bpm);
+  const window = Math.round(LOCAL_WINDOW * frameRate);
+  const hop = Math.round(LOCAL_HOP * frameRate);
+  if (envelope.length <= window) return tempo;
+
+  // One estimate per hop, each held from its centre to the next one
+  let previous = null;
+  for (let start = 0; start + window <= envelope.length; start += hop) {
+    const local =
+      estimateTempo(envelope.subarray(start, start + window), frameRate, {
+        ...options,
+        preferredBpm: bpm,
+        spread: LOCAL_TEMPO_SPREAD,
+      }) || bpm;
+    const from = previous === null ? 0 : start + Math.round(window / 2);
+    tempo.fill(local, from);
+    previous = local;
+  }
+
+  return tempo;
+}
+
+/**
+ * Place beats on an onset envelope at a given tempo
+ * @param {Float32Array} envelope - Onset strength
+ * @param {number} frameRate - Envelope frames per second
+ * @param {number|Float64Array} bpm - One tempo, or one per frame from
+ *   estimateLocalTempo()
+ * @param {object} options - { tightness }
+ * @returns {number[]} Beat times in seconds
+ */
+export function trackBeats(envelope, frameRate, bpm, options = {}) {
+  const { tightness } = { ...DEFAULT_BEAT_OPTIONS, ...options };
+  if (!bpm || envelope.length === 0) return [];
+
+  const periodAt = (t) =>
+    (60 * frameRate) / (typeof bpm === "number" ? bpm : bpm[t]);
+
+  // Onset strength in standard deviations, so tightness means the same
+  // for sparse and busy envelopes
+  const mean =
+    envelope.reduce((sum, value) => sum + value, 0) / envelope.length;
+  const deviation = Math.sqrt(
+    envelope.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+      envelope.length,
+  );
+  const local = envelope.map((value) => value / (deviation || 1));
+
+  const score = new Float64Array(envelope.length);
+  const previousBeat = new Int32Array(envelope.length).fill(-1);
+
+  // Best chain of beats ending on each frame: its onset strength plus the
+  // best earlier chain, penalised for gaps away from the period
+  for (let t = 0; t < envelope.length; t++) {
+    const period = periodAt(t);
+    const minGap = Math.max(1, Math.round(period / 2));
+    const maxGap = Math.round(period * 2);
+    let best = 0;
+    for (let prev = t - maxGap; prev <= t - minGap; prev++) {
+      if (prev < 0) continue;
+      const candidate =
+        score[prev] - tightness * Math.log((t - prev) / period) ** 2;
+      if (previousBeat[t] === -1 || candidate > best) {
+        best = candidate;
+        previousBeat[t] = prev;
+      }
+    }
+    score[t] = local[t] + Math.max(0, best);
+    if (best <= 0) previousBeat[t] = -1;
+  }
+
+  // The last beat is the best chain end within one period of the end
+  let last = envelope.length - 1;
+  for (
+    let t = envelope.length - 1;
+    t >= Math.max(0, envelope.length - Math.round(periodAt(t)));
+    t--
+  ) {
+    if (score[t] > score[last]) last = t;
+  }
+
+  const frames = [];
+  for (let t = last; t !== -1; t = previousBeat[t]) frames.unshift(t);
+
+  // Drop beats in the silence before and after the music
+  const threshold =
+    0.5 *
+    Math.sqrt(
+      frames.reduce((sum, t) => sum + envelope[t] ** 2, 0) / frames.length,
+    );
+  const strength = (t) =>
+    Math.max(envelope[t], envelope[t - 1] ?? 0, envelope[t + 1] ?? 0);
+  let first = 0;
+  let end = frames.length;
+  while (first < end && strength(frames[first]) < threshold) first++;
+  while (end > first && strength(frames[end - 1]) < threshold) end--;
+
+  return frames.slice(first, end).map((t) => t / frameRate);
+}
+
+/**
+ * Tempo changes along a beat track
+ * @param {number[]} beats - Beat times in seconds
+ * @param {number} tolerance - Relative tempo change that starts a new entry
+ * @returns {Array<{time: number, bpm: number}>} One entry per steady section
+ */
+export function getTempoMap(
+  beats,
+  tolerance = DEFAULT_BEAT_OPTIONS.tempoTolerance,
+) {
+  if (beats.length < 2) return [];
+
+  const intervals = beats.slice(1).map((beat, i) => beat - beats[i]);
+
+  // Median over neighbouring beats, so a single late beat is no tempo change
+  const local = intervals.map((_, i) =>
+    median(
+      intervals.slice(
+        Math.max(0, i - TEMPO_SMOOTHING),
+        i + TEMPO_SMOOTHING + 1,
+      ),
+    ),
+  );
+
+  const sections = [];
+  local.forEach((interval, i) => {
+    const section = sections[sections.length - 1];
+    if (section && Math.abs(interval / section.interval - 1) <= tolerance) {
+      section.intervals.push(intervals[i]);
+    } else {
+      sections.push({ start: beats[i], interval, intervals: [intervals[i]] });
+    }
+  });
+
+  return sections.map((section) => ({
+    time: section.start,
+    bpm:
+      Math.round(
+        (600 * section.intervals.length) /
+          section.intervals.reduce((sum, value) => sum + value, 0),
+      ) / 10,
+  }));
+}
+
+/**
+ * Detect tempo and beats in a recording
+ * @param {Float32Array} channelData - Audio samples
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {object} options - DEFAULT_BEAT_OPTIONS and onset envelope overrides
+ * @param {function(number)} onProgress - Called with 0-100
+ * @returns {{bpm: number, beats: number[], tempoMap: Array<{time: number, bpm: number}>}} bpm is 0 and beats empty when no beat was found
+ */
+export function detectBeats(channelData, sampleRate, options = {}, onProgress) {
+  const { envelope, frameRate } = computeOnsetEnvelope(
+    channelData,
+    sampleRate,
+    options,
+  );
+  if (onProgress) onProgress(50);
+
+  const bpm = estimateTempo(envelope, frameRate, options);
+  const beats = trackBeats(
+    envelope,
+    frameRate,
+    bpm && estimateLocalTempo(envelope, frameRate, bpm, options),
+    options,
+  );
+  if (beats.length < 2) return { bpm: 0, beats: [], tempoMap: [] };
+
+  // The beats themselves give a finer tempo than the envelope frames
+  const intervals = beats.slice(1).map((beat, i) => beat - beats[i]);
+
+  return {
+    bpm: Math.round(600 / median(intervals)) / 10,
+    beats,
+    tempoMap: getTempoMap(beats, options.tempoTolerance),
+  };
+}
+
+/**
+ * Evenly spaced beats from a first beat until past an end time
+ * @param {number} firstBeat - Seconds
+ * @param {number} bpm
+ * @param {number} end - Seconds
+ * @returns {number[]}
+ */
+export function getRegularBeats(firstBeat, bpm, end) {
+  const period = 60 / bpm;
+  const count = Math.max(2, Math.ceil((end - firstBeat) / period) + 1);
+  return Array.from({ length: count }, (_, i) => firstBeat + i * period);
+}
+
+/**
+ * Beats from the start of the recording
+ * Whole beats (at roughly the first beat's length) are added between
+ * 0 s and the first detected beat, so bar 1 starts with the recording and
+ * 0 s is always beat 0; a first beat less than half a beat in moves to 0 s.
+ * @param {number[]} beats - Beat times in seconds, at least two
+ * @returns {number[]}
+ */
+export function getBeatGrid(beats) {
+  const [first, second] = beats;
+  const leadIn = Math.round(first / (second - first));
+  if (leadIn < 1) return [0, ...beats.slice(1)];
+
+  return [
+    ...Array.from({ length: leadIn }, (_, i) => (first * i) / leadIn),
+    ...beats,
+  ];
+}
+
+/**
+ * Mapping between seconds and beats along a beat grid, continuing at the
+ * first and last beat's length outside it
+ * @param {number[]} grid - From getBeatGrid(), at least two beats
+ * @returns {{toBeats: function(number): number, toSeconds: function(number): number}}
+ */
+export function createBeatTimeline(grid) {
+  const last = grid.length - 1;
+
+  const toBeats = (seconds) => {
+    if (seconds <= grid[0]) {
+      return (seconds - grid[0]) / (grid[1] - grid[0]);
+    }
+    if (seconds >= grid[last]) {
+      return last + (seconds - grid[last]) / (grid[last] - grid[last - 1]);
+    }
+
+    let low = 0;
+    let high = last;
+    while (high - low > 1) {
+      const middle = (low + high) >> 1;
+      if (grid[middle] <= seconds) low = middle;
+      else high = middle;
+    }
+    return low + (seconds - grid[low]) / (grid[low + 1] - grid[low]);
+  };
+
+  const toSeconds = (beat) => {
+    const index = Math.max(0, Math.min(last - 1, Math.floor(beat)));
+    return grid[index] + (beat - index) * (grid[index + 1] - grid[index]);
+  };
+
+  return { toBeats, toSeconds };
+}
@@ -0,0 +1,241 @@
+import { NOTE_NAMES } from "./pitchDetection";
+
+/**
+ * Chord recognition
+ * Reads chords off a set of notes: each short window gets a pitch-class
+ * (chroma) profile and a bass note, the profile is matched against chord
+ * templates in every key, and equal neighbouring windows are merged into a
+ * chord track with symbols like "Am", "G7/B" or "Dsus4".
+ */
+
+export const DEFAULT_CHORD_OPTIONS = {
+  windowLength: 0.25, // Seconds per chroma window
+  minChordLength: 0.5, // Seconds; shorter chords merge into a neighbour
+  minMatch: 0.6, // Lowest template similarity (0-1) still called a chord
+};
+
+/**
+ * Chord qualities, as semitones above the root
+ */
+export const CHORD_TYPES = [
+  { value: "maj", symbol: "", intervals: [0, 4, 7] },
+  { value: "min", symbol: "m", intervals: [0, 3, 7] },
+  { value: "7", symbol: "7", intervals: [0, 4, 7, 10] },
+  { value: "maj7", symbol: "maj7", intervals: [0, 4, 7, 11] },
+  { value: "min7", symbol: "m7", intervals: [0, 3, 7, 10] },
+  { value: "dim", symbol: "dim", intervals: [0, 3, 6] },
+  { value: "dim7", symbol: "dim7", intervals: [0, 3, 6, 9] },
+  { value: "aug", symbol: "aug", intervals: [0, 4, 8] },
+  { value: "sus2", symbol: "sus2", intervals: [0, 2, 7] },
+  { value: "sus4", symbol: "sus4", intervals: [0, 5, 7] },
+];
+
+const BASS_WEIGHT = 0.1; // Bonus for templates whose root is the bass note
+const CHORD_OCTAVE = 48; // C3, where block chords are voiced from
+
+const isSameChord = (a, b) =>
+  a === b ||
+  (a && b && a.root === b.root && a.type === b.type && a.bass === b.bass);
+
+// Join neighbouring segments that have the same chord
+function mergeEqualNeighbours(segments) {
+  return segments.reduce((result, segment) => {
+    const last = result[result.length - 1];
+    if (last && isSameChord(last.chord, segment.chord)) {
+      last.end = segment.end;
+    } else {
+      result.push({ ...segment });
+    }
+    return result;
+  }, []);
+}
+
+// Cosine similarity of a chroma vector and a chord's pitch classes
+function templateMatch(chroma, pitchClasses) {
+  let dot = 0;
+  let norm = 0;
+  chroma.forEach((value, pc) => {
+    norm += value * value;
+    if (pitchClasses.includes(pc)) dot += value;
+  });
+  return norm > 0 ? dot / Math.sqrt(norm * pitchClasses.length) : 0;
+}
+
+/**
+ * Chord symbol
+ * @param {{root: number, type: string, bass: number}} chord
+ * @returns {string} e.g. "C", "F#m7", "G/B"
+ */
+export function getChordName({ root, type, bass }) {
+  const { symbol } = CHORD_TYPES.find((candidate) => candidate.value === type);
+  const name = `${NOTE_NAMES[root]}${symbol}`;
+  return bass === root ? name : `${name}/${NOTE_NAMES[bass]}`;
+}
+
+/**
+ * Best matching chord for one window
+ * @param {number[]} chroma - 12 weights, C first
+ * @param {number|null} bass - Pitch class of the lowest note
+ * @param {number} minMatch
+ * @returns {{root: number, type: string, bass: number, inversion: number}|null}
+ */
+export function matchChord(
+  chroma,
+  bass,
+  minMatch = DEFAULT_CHORD_OPTIONS.minMatch,
+) {
+  // Two or more pitch classes make a chord
+  if (chroma.filter((value) => value > 0).length < 2) return null;
+
+  let best = null;
+  let bestScore = minMatch;
+
+  CHORD_TYPES.forEach(({ value: type, intervals }) => {
+    for (let root = 0; root < 12; root++) {
+      const pitchClasses = intervals.map((interval) => (root + interval) % 12);
+      const score =
+        templateMatch(chroma, pitchClasses) + (bass === root ? BASS_WEIGHT : 0);
+
+      if (score > bestScore) {
+        bestScore = score;
+        best = { root, type, pitchClasses };
+      }
+    }
+  });
+
+  if (!best) return null;
+
+  // A bass on another chord tone is an inversion; any other bass is ignored
+  const inversion = best.pitchClasses.indexOf(bass);
+  return {
+    root: best.root,
+    type: best.type,
+    bass: inversion > 0 ? bass : best.root,
+    inversion: Math.max(0, inversion),
+  };
+}
+
+/**
+ * Recognise the chords played by a set of notes
+ * @param {Array<{midi: number, start: number, end: number, velocity: number}>} notes
+ * @param {object} options - DEFAULT_CHORD_OPTIONS overrides
+ * @returns {Array<{start: number, end: number, root: number, type: string, bass: number, inversion: number, name: string}>} Sorted, without gaps between chords that follow each other
+ */
+export function recognizeChords(notes, options = {}) {
+  const { windowLength, minChordLength, minMatch } = {
+    ...DEFAULT_CHORD_OPTIONS,
+    ...options,
+  };
+  if (!notes || notes.length === 0) return [];
+
+  const end = Math.max(...notes.map((note) => note.end));
+  const windowCount = Math.ceil(end / windowLength);
+  const chromas = Array.from({ length: windowCount }, () =>
+    new Array(12).fill(0),
+  );
+  const basses = new Array(windowCount).fill(null);
+
+  // Spread every note over the windows it sounds in
+  notes.forEach((note) => {
+    const firstWindow = Math.floor(note.start / windowLength);
+    const lastWindow = Math.min(
+      windowCount - 1,
+      Math.ceil(note.end / windowLength) - 1,
+    );
+    for (let w = firstWindow; w <= lastWindow; w++) {
+      const overlap =
+        Math.min((w + 1) * windowLength, note.end) -
+        Math.max(w * windowLength, note.start);
+      if (overlap <= 0) continue;
+
+      chromas[w][note.midi % 12] += overlap * (note.velocity / 127);
+      if (basses[w] === null || note.midi < basses[w]) basses[w] = note.midi;
+    }
+  });
+
+  const windows = chromas.map((chroma, w) => ({
+    start: w * windowLength,
+    end: (w + 1) * windowLength,
+    chord: matchChord(
+      chroma,
+      basses[w] === null ? null : basses[w] % 12,
+      minMatch,
+    ),
+  }));
+
+  // Fold chords that are too short into the previous one (a short chord at
+  // the very start into the next one)
+  const segments = [];
+  mergeEqualNeighbours(windows).forEach((segment) => {
+    const last = segments[segments.length - 1];
+    if (!last) {
+      segments.push(segment);
+    } else if (segment.end - segment.start < minChordLength) {
+      last.end = segment.end;
+    } else if (last.end - last.start < minChordLength) {
+      segments[segments.length - 1] = { ...segment, start: last.start };
+    } else {
+      segments.push(segment);
+    }
+  });
+
+  return mergeEqualNeighbours(segments)
+    .filter((segment) => segment.chord)
+    .map(({ start, end: segmentEnd, chord }) => ({
+      start,
+      end: Math.min(segmentEnd, end),
+      ...chord,
+      name: getChordName(chord),
+    }));
+}
+
+/**
+ * MIDI notes of a chord voiced around C3, bass note first
+ * @param {{root: number, type: string, bass: number}} chord
+ * @returns {number[]}
+ */
+export function getChordVoicing({ root, type, bass }) {
+  const { intervals } = CHORD_TYPES.find(
+    (candidate) => candidate.value === type,
+  );
+  const bassNote = CHORD_OCTAVE + bass;
+
+  // Remaining chord tones stacked upwards from the bass
+  const upper = intervals
+    .map((interval) => (root + interval) % 12)
+    .filter((pc) => pc !== bass)
+    .map((pc) => bassNote + ((pc - bass + 12) % 12));
+
+  return [bassNote, ...upper.sort((a, b) => a - b)];
+}
+
+/**
+ * Block chords, one held chord per chord symbol, for MIDI export or playback
+ * @param {Array<object>} chords - From recognizeChords()
+ * @param {number} velocity
+ * @returns {Array<{midi: number, start: number, end: number, velocity: number}>}
+ */
+export function chordsToNotes(chords, velocity = 80) {
+  return chords.flatMap((chord) =>
+    getChordVoicing(chord).map((midi) => ({
+      midi,
+      start: chord.start,
+      end: chord.end,
+      velocity,
+    })),
+  );
+}
+
+/**
+ * Chord track as plain text, one "start end symbol" line per chord
+ * @param {Array<object>} chords - From recognizeChords()
+ * @returns {string}
+ */
+export function chordsToText(chords) {
+  return chords
+    .map(
+      (chord) =>
+        `${chord.start.toFixed(2)}\t${chord.end.toFixed(2)}\t${chord.name}`,
+    )
+    .join("\n");
+}
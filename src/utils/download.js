@@ -0,0 +1,20 @@
+/**
+ * Downloads
+ * Hands generated files (MIDI, WAV) to the browser to save
+ */
+
+/**
+ * Save bytes as a file through a temporary download link
+ * @param {ArrayBuffer|Uint8Array|string} data
+ * @param {string} fileName
+ * @param {string} type - MIME type
+ */
+export function downloadFile(data, fileName, type) {
+  const blob = new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
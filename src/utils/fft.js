@@ -0,0 +1,284 @@
+/**
+ * Shared FFT utility
+ * Radix-2 FFT for real-valued audio frames with window functions and
+ * preallocated buffers, used by every spectral analysis in the app
+ */
+
+/**
+ * Check whether a number is a power of two (required FFT size)
+ * @param {number} n
+ * @returns {boolean}
+ */
+export function isPowerOfTwo(n) {
+  return n > 0 && (n & (n - 1)) === 0;
+}
+
+/**
+ * Window functions available to spectral analysis
+ */
+export const WINDOW_TYPES = ["hann", "hamming", "blackman", "rectangular"];
+
+/**
+ * Create a window function of the given type and size
+ * @param {string} type - "hann" | "hamming" | "blackman" | "rectangular"
+ * @param {number} size - Window length in samples
+ * @returns {Float32Array}
+ */
+export function createWindow(type, size) {
+  const window = new Float32Array(size);
+  const denom = size - 1;
+
+  for (let n = 0; n < size; n++) {
+    const phase = (2 * Math.PI * n) / denom;
+
+    switch (type) {
+      case "hann":
+        window[n] = 0.5 - 0.5 * Math.cos(phase);
+        break;
+      case "hamming":
+        window[n] = 0.54 - 0.46 * Math.cos(phase);
+        break;
+      case "blackman":
+        window[n] = 0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+        break;
+      case "rectangular":
+        window[n] = 1;
+        break;
+      default:
+        throw new Error(`Unknown window type: ${type}`);
+    }
+  }
+
+  return window;
+}
+
+/**
+ * Create an FFT for a fixed size
+ * Twiddle factors, bit-reversal table and work buffers are allocated once,
+ * so the returned object can be reused for every frame of an analysis.
+ * Real input of size N is packed into an N/2-point complex FFT.
+ * @param {number} size - FFT size (power of two, at least 4)
+ * @param {string} windowType - Window applied to every frame (default "hann")
+ * @returns {object} FFT instance
+ */
+export function createFFT(size, windowType = "hann") {
+  if (!isPowerOfTwo(size) || size < 4) {
+    throw new Error(`FFT size must be a power of two >= 4, got ${size}`);
+  }
+
+  const half = size / 2;
+  const bins = half + 1;
+
+  // Bit-reversal table for the half-size complex FFT
+  const reversed = new Uint32Array(half);
+  for (let i = 1, j = 0; i < half; i++) {
+    let bit = half >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    reversed[i] = j;
+  }
+
+  // Twiddles for the full size; the half-size FFT uses every other one
+  const cosTable = new Float64Array(half);
+  const sinTable = new Float64Array(half);
+  for (let k = 0; k < half; k++) {
+    cosTable[k] = Math.cos((2 * Math.PI * k) / size);
+    sinTable[k] = -Math.sin((2 * Math.PI * k) / size);
+  }
+
+  const window = createWindow(windowType, size);
+  let windowSum = 0;
+  for (let n = 0; n < size; n++) windowSum += window[n];
+
+  const zr = new Float64Array(half);
+  const zi = new Float64Array(half);
+  const real = new Float64Array(bins);
+  const imag = new Float64Array(bins);
+
+  /**
+   * Transform one windowed frame into `real`/`imag` (bins 0..size/2)
+   * @param {Float32Array} input - At least `size` samples; shorter input is zero-padded
+   * @param {number} offset - Index of the first sample of the frame
+   */
+  const transform = (input, offset = 0) => {
+    const available = Math.max(0, Math.min(size, input.length - offset));
+
+    // Pack even samples into the real part and odd samples into the imaginary part
+    for (let i = 0; i < half; i++) {
+      const even = 2 * i;
+      const odd = even + 1;
+      const r = reversed[i];
+      zr[r] = even < available ? input[offset + even] * window[even] : 0;
+      zi[r] = odd < available ? input[offset + odd] * window[odd] : 0;
+    }
+
+    // Iterative radix-2 butterflies
+    for (let span = 2; span <= half; span <<= 1) {
+      const step = span >> 1;
+      const stride = size / span;
+
+      for (let start = 0; start < half; start += span) {
+        for (let k = 0; k < step; k++) {
+          const wr = cosTable[k * stride];
+          const wi = sinTable[k * stride];
+          const a = start + k;
+          const b = a + step;
+          const tr = zr[b] * wr - zi[b] * wi;
+          const ti = zr[b] * wi + zi[b] * wr;
+          zr[b] = zr[a] - tr;
+          zi[b] = zi[a] - ti;
+          zr[a] += tr;
+          zi[a] += ti;
+        }
+      }
+    }
+
+    // Split the packed result into the spectrum of the real signal
+    real[0] = zr[0] + zi[0];
+    imag[0] = 0;
+    real[half] = zr[0] - zi[0];
+    imag[half] = 0;
+
+    for (let k = 1; k < half; k++) {
+      const ar = zr[k];
+      const ai = zi[k];
+      const br = zr[half - k];
+      const bi = -zi[half - k];
+
+      const evenR = (ar + br) / 2;
+      const evenI = (ai + bi) / 2;
+      const oddR = (ai - bi) / 2;
+      const oddI = (br - ar) / 2;
+
+      const wr = cosTable[k];
+      const wi = sinTable[k];
+      real[k] = evenR + oddR * wr - oddI * wi;
+      imag[k] = evenI + oddR * wi + oddI * wr;
+    }
+  };
+
+  /**
+   * Magnitude spectrum, normalized by the window sum so a full-scale sine
+   * peaks at 0.5 regardless of window type or FFT size
+   * @param {Float32Array} input - Audio samples
+   * @param {number} offset - Index of the first sample of the frame
+   * @param {Float32Array} out - Optional output buffer (size/2 + 1)
+   * @returns {Float32Array}
+   */
+  const magnitude = (input, offset = 0, out = new Float32Array(bins)) => {
+    transform(input, offset);
+    for (let k = 0; k < bins; k++) {
+      out[k] = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) / windowSum;
+    }
+    return out;
+  };
+
+  /**
+   * Power spectrum (squared normalized magnitude)
+   * @param {Float32Array} input - Audio samples
+   * @param {number} offset - Index of the first sample of the frame
+   * @param {Float32Array} out - Optional output buffer (size/2 + 1)
+   * @returns {Float32Array}
+   */
+  const power = (input, offset = 0, out = new Float32Array(bins)) => {
+    transform(input, offset);
+    const scale = windowSum * windowSum;
+    for (let k = 0; k < bins; k++) {
+      out[k] = (real[k] * real[k] + imag[k] * imag[k]) / scale;
+    }
+    return out;
+  };
+
+  /**
+   * Phase spectrum in radians
+   * @param {Float32Array} input - Audio samples
+   * @param {number} offset - Index of the first sample of the frame
+   * @param {Float32Array} out - Optional output buffer (size/2 + 1)
+   * @returns {Float32Array}
+   */
+  const phase = (input, offset = 0, out = new Float32Array(bins)) => {
+    transform(input, offset);
+    for (let k = 0; k < bins; k++) {
+      out[k] = Math.atan2(imag[k], real[k]);
+    }
+    return out;
+  };
+
+  return {
+    size,
+    bins,
+    windowType,
+    window,
+    real,
+    imag,
+    transform,
+    magnitude,
+    power,
+    phase,
+  };
+}
+
+/**
+ * Convert a bin index to its centre frequency
+ * @param {number} bin - FFT bin index
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {number} fftSize - FFT size in samples
+ * @returns {number} Frequency in Hz
+ */
+export function binToHz(bin, sampleRate, fftSize) {
+  return (bin * sampleRate) / fftSize;
+}
+
+/**
+ * In-place complex FFT (radix-2), forward or inverse
+ * For correlations, where both directions are needed; createFFT is the
+ * faster choice for plain spectra of real frames.
+ * @param {Float64Array} real - Real parts, length a power of two
+ * @param {Float64Array} imag - Imaginary parts, same length
+ * @param {boolean} inverse - Inverse transform, scaled by 1/N
+ */
+export function complexFFT(real, imag, inverse = false) {
+  const size = real.length;
+  if (!isPowerOfTwo(size)) {
+    throw new Error(`FFT size must be a power of two, got ${size}`);
+  }
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < size; i++) {
+    let bit = size >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  const sign = inverse ? 1 : -1;
+  for (let span = 2; span <= size; span <<= 1) {
+    const step = span >> 1;
+    const angle = (sign * 2 * Math.PI) / span;
+
+    for (let k = 0; k < step; k++) {
+      const wr = Math.cos(angle * k);
+      const wi = Math.sin(angle * k);
+
+      for (let a = k; a < size; a += span) {
+        const b = a + step;
+        const tr = real[b] * wr - imag[b] * wi;
+        const ti = real[b] * wi + imag[b] * wr;
+        real[b] = real[a] - tr;
+        imag[b] = imag[a] - ti;
+        real[a] += tr;
+        imag[a] += ti;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < size; i++) {
+      real[i] /= size;
+      imag[i] /= size;
+    }
+  }
+}
@@ -0,0 +1,173 @@
+import { NOTE_NAMES } from "./pitchDetection";
+
+/**
+ * Key and scale detection
+ * Estimates the key of a set of notes by correlating their pitch-class
+ * (chroma) profile with the Krumhansl-Kessler major and minor key
+ * profiles, and snaps pitches to the notes of a scale.
+ */
+
+/**
+ * Scales notes can be snapped to, as semitones above the tonic
+ */
+export const SCALES = [
+  { value: "major", label: "Major", intervals: [0, 2, 4, 5, 7, 9, 11] },
+  { value: "minor", label: "Natural minor", intervals: [0, 2, 3, 5, 7, 8, 10] },
+  {
+    value: "harmonicMinor",
+    label: "Harmonic minor",
+    intervals: [0, 2, 3, 5, 7, 8, 11],
+  },
+  { value: "dorian", label: "Dorian", intervals: [0, 2, 3, 5, 7, 9, 10] },
+  {
+    value: "mixolydian",
+    label: "Mixolydian",
+    intervals: [0, 2, 4, 5, 7, 9, 10],
+  },
+  {
+    value: "majorPentatonic",
+    label: "Major pentatonic",
+    intervals: [0, 2, 4, 7, 9],
+  },
+  {
+    value: "minorPentatonic",
+    label: "Minor pentatonic",
+    intervals: [0, 3, 5, 7, 10],
+  },
+  { value: "blues", label: "Blues", intervals: [0, 3, 5, 6, 7, 10] },
+];
+
+// Snapping: "off", to the "detected" key or to a "custom" tonic and scale
+export const DEFAULT_SCALE_SNAP = { mode: "off", tonic: 0, scale: "major" };
+
+// Krumhansl-Kessler probe-tone ratings, starting at the tonic
+const KEY_PROFILES = {
+  major: [
+    6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88,
+  ],
+  minor: [
+    6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17,
+  ],
+};
+
+/**
+ * Time spent on each pitch class, weighted by velocity
+ * @param {Array<{midi: number, start: number, end: number, velocity: number}>} notes
+ * @returns {number[]} 12 values, C first
+ */
+export function getChroma(notes) {
+  const chroma = new Array(12).fill(0);
+  notes.forEach((note) => {
+    chroma[note.midi % 12] += (note.end - note.start) * (note.velocity / 127);
+  });
+  return chroma;
+}
+
+// Pearson correlation of two equally long arrays
+function correlate(a, b) {
+  const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    covariance += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += (a[i] - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  }
+
+  return varianceA > 0 && varianceB > 0
+    ? covariance / Math.sqrt(varianceA * varianceB)
+    : 0;
+}
+
+/**
+ * Name of a key or scale
+ * @param {number} tonic - Pitch class, 0 = C
+ * @param {string} scale - A SCALES value
+ * @returns {string} e.g. "A minor"
+ */
+export function getKeyName(tonic, scale) {
+  const label = SCALES.find((candidate) => candidate.value === scale).label;
+  return `${NOTE_NAMES[tonic]} ${
+    scale === "minor" ? "minor" : label.toLowerCase()
+  }`;
+}
+
+/**
+ * Most likely major or minor key of a set of notes
+ * @param {Array<{midi: number, start: number, end: number, velocity: number}>} notes
+ * @returns {{tonic: number, scale: string, name: string, confidence: number}|null} confidence is the profile correlation (-1 to 1); null without notes
+ */
+export function detectKey(notes) {
+  if (!notes || notes.length === 0) return null;
+
+  const chroma = getChroma(notes);
+  let best = null;
+
+  Object.entries(KEY_PROFILES).forEach(([scale, profile]) => {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      // Profile rotated so its tonic lines up with this pitch class
+      const rotated = chroma.map((_, pc) => profile[(pc - tonic + 12) % 12]);
+      const confidence = correlate(chroma, rotated);
+      if (!best || confidence > best.confidence) {
+        best = { tonic, scale, confidence };
+      }
+    }
+  });
+
+  return { ...best, name: getKeyName(best.tonic, best.scale) };
+}
+
+/**
+ * Pitch classes of a scale
+ * @param {number} tonic - Pitch class, 0 = C
+ * @param {string} scale - A SCALES value
+ * @returns {number[]}
+ */
+export function getScalePitchClasses(tonic, scale) {
+  const { intervals } = SCALES.find((candidate) => candidate.value === scale);
+  return intervals.map((interval) => (tonic + interval) % 12);
+}
+
+/**
+ * Nearest MIDI note in a scale
+ * @param {number} midi - MIDI pitch, fractional for detected frequencies
+ * @param {number[]} pitchClasses - From getScalePitchClasses()
+ * @returns {number} Whole MIDI note
+ */
+export function snapToScale(midi, pitchClasses) {
+  const rounded = Math.round(midi);
+
+  // Search outwards, trying the closer side first
+  const direction = midi >= rounded ? 1 : -1;
+  for (let distance = 0; distance < 12; distance++) {
+    for (const candidate of [
+      rounded + direction * distance,
+      rounded - direction * distance,
+    ]) {
+      if (pitchClasses.includes(((candidate % 12) + 12) % 12)) {
+        return candidate;
+      }
+    }
+  }
+
+  return rounded;
+}
+
+/**
+ * Pitch classes notes get snapped to under snap settings
+ * @param {{mode: string, tonic: number, scale: string}} settings
+ * @param {object|null} detectedKey - From detectKey()
+ * @returns {number[]|null} null when notes keep their own pitch
+ */
+export function getSnapPitchClasses(settings, detectedKey) {
+  if (settings.mode === "custom") {
+    return getScalePitchClasses(settings.tonic, settings.scale);
+  }
+  if (settings.mode === "detected" && detectedKey) {
+    return getScalePitchClasses(detectedKey.tonic, detectedKey.scale);
+  }
+  return null;
+}
@@ -0,0 +1,294 @@
+import {
+  BEATS_PER_BAR,
+  createBeatTimeline,
+  getBeatGrid,
+  getRegularBeats,
+} from "./beatTracking";
+import { writeMidiFile } from "./midiFile";
+
+/**
+ * MIDI export
+ * Converts segmented notes ({midi, start, end, velocity} in seconds) into
+ * a Standard MIDI File that lines up with the source audio in a DAW. With
+ * detected beats every beat becomes a quarter note, so the notes also sit
+ * in the right bars in a notation program.
+ */
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  bpm: 120,
+  ppq: 480, // Ticks per quarter note
+  split: "none",
+  splitPoint: 60, // Lowest melody note for the register split (C4)
+  programs: [0], // General MIDI program per output track
+};
+
+// Where the file's tempo comes from
+export const TEMPO_MODES = [
+  { value: "manual", label: "Fixed BPM" },
+  { value: "detected", label: "Detected tempo" },
+  { value: "map", label: "Detected tempo map" },
+];
+
+export const DEFAULT_TEMPO_SETTINGS = {
+  mode: "detected", // A TEMPO_MODES value
+  bpm: DEFAULT_EXPORT_OPTIONS.bpm, // For "manual"
+};
+
+export const PPQ_OPTIONS = [96, 120, 192, 240, 384, 480, 960];
+
+export const TRACK_SPLITS = [
+  { value: "none", label: "Single track", tracks: ["Notes"] },
+  { value: "register", label: "Bass / melody", tracks: ["Bass", "Melody"] },
+  {
+    value: "voices",
+    label: "Bass / inner / melody voices",
+    tracks: ["Bass", "Inner voices", "Melody"],
+  },
+];
+
+const DRUM_CHANNEL = 9;
+
+/**
+ * Convert seconds to ticks at a constant tempo
+ * @param {number} seconds
+ * @param {number} bpm - Beats (quarter notes) per minute
+ * @param {number} ppq - Ticks per quarter note
+ * @returns {number} Ticks (rounded)
+ */
+export function secondsToTicks(seconds, bpm, ppq) {
+  return Math.round(seconds * (bpm / 60) * ppq);
+}
+
+/**
+ * Whether tempo settings can use detected beats
+ * @param {{bpm: number, beats: number[]}|null} beatTracking - From detectBeats()
+ * @returns {boolean}
+ */
+export function hasDetectedBeats(beatTracking) {
+  return Boolean(beatTracking) && beatTracking.beats.length >= 2;
+}
+
+/**
+ * Beats that quantization and export follow under tempo settings
+ * Without detected beats the fixed tempo is used.
+ * @param {{mode: string, bpm: number}} settings
+ * @param {{bpm: number, beats: number[]}|null} beatTracking - From detectBeats()
+ * @param {number} end - Seconds the beats must reach
+ * @returns {number[]} Beat times in seconds; a fixed tempo starts at 0 s
+ */
+export function getTempoBeats({ mode, bpm }, beatTracking, end) {
+  if (mode === "manual" || !hasDetectedBeats(beatTracking)) {
+    return getRegularBeats(0, bpm, end);
+  }
+
+  const { bpm: detectedBpm, beats } = beatTracking;
+  return mode === "map" ? beats : getRegularBeats(beats[0], detectedBpm, end);
+}
+
+/**
+ * Seconds-to-ticks conversion and the tempo events that go with it
+ * With beats, the tempo changes with every beat's length so that each
+ * beat is exactly one quarter note and the file keeps the audio's timing.
+ * @param {number} bpm - Tempo without beats
+ * @param {number} ppq
+ * @param {number[]|null} beats - Beat times in seconds
+ * @returns {{toTicks: function(number): number, tempos: Array<object>}}
+ */
+function getTiming(bpm, ppq, beats) {
+  if (!beats || beats.length < 2) {
+    return {
+      toTicks: (seconds) => secondsToTicks(seconds, bpm, ppq),
+      tempos: [{ tick: 0, type: "tempo", bpm }],
+    };
+  }
+
+  const grid = getBeatGrid(beats);
+  const { toBeats } = createBeatTimeline(grid);
+
+  // Only tempos that differ once written as microseconds per quarter
+  const tempos = [];
+  let previous = null;
+  grid.slice(1).forEach((beat, i) => {
+    const beatBpm = 60 / (beat - grid[i]);
+    const microseconds = Math.round(60000000 / beatBpm);
+    if (microseconds !== previous) {
+      tempos.push({ tick: i * ppq, type: "tempo", bpm: beatBpm });
+      previous = microseconds;
+    }
+  });
+
+  return {
+    toTicks: (seconds) => Math.max(0, Math.round(toBeats(seconds) * ppq)),
+    tempos,
+  };
+}
+
+/**
+ * Split notes into named parts
+ * "register" puts everything below the split point in the bass part.
+ * "voices" voices chords across parts: the highest note sounding at a
+ * note's start is melody, the lowest is bass and the rest are inner
+ * voices; lone notes fall back to the register split.
+ * @param {Array<object>} notes - Segmented notes
+ * @param {string} split - "none" | "register" | "voices"
+ * @param {number} splitPoint - Lowest MIDI note of the melody register
+ * @returns {Array<{name: string, notes: Array<object>}>} One entry per part, same order as TRACK_SPLITS
+ */
+export function splitNotes(notes, split = "none", splitPoint = 60) {
+  const layout = TRACK_SPLITS.find((option) => option.value === split);
+  if (!layout || split === "none") return [{ name: "Notes", notes }];
+
+  const parts = layout.tracks.map((name) => ({ name, notes: [] }));
+  const bass = parts[0];
+  const melody = parts[parts.length - 1];
+
+  if (split === "register") {
+    notes.forEach((note) => {
+      (note.midi < splitPoint ? bass : melody).notes.push(note);
+    });
+    return parts;
+  }
+
+  // Sweep through start times keeping the notes that are still sounding
+  const sorted = [...notes].sort((a, b) => a.start - b.start);
+  let sounding = [];
+
+  for (let i = 0; i < sorted.length;) {
+    const start = sorted[i].start;
+    const group = [];
+    while (i < sorted.length && sorted[i].start === start) {
+      group.push(sorted[i++]);
+    }
+
+    sounding = sounding.filter((note) => note.end > start).concat(group);
+    const highest = Math.max(...sounding.map((note) => note.midi));
+    const lowest = Math.min(...sounding.map((note) => note.midi));
+
+    group.forEach((note) => {
+      if (sounding.length <= 1) {
+        (note.midi < splitPoint ? bass : melody).notes.push(note);
+      } else if (note.midi === highest) {
+        melody.notes.push(note);
+      } else if (note.midi === lowest) {
+        bass.notes.push(note);
+      } else {
+        parts[1].notes.push(note);
+      }
+    });
+  }
+
+  return parts;
+}
+
+/**
+ * Build the note on/off events of one track
+ * @param {Array<object>} notes - Segmented notes
+ * @param {number} channel - MIDI channel (0-15)
+ * @param {function(number): number} toTicks - Seconds to ticks
+ * @returns {Array<object>} Absolute-tick events
+ */
+function noteEvents(notes, channel, toTicks) {
+  const events = [];
+
+  // Same-pitch notes starting on the same tick are one key press, held
+  // as long and as loud as the longest and loudest of them
+  const pressByKey = new Map();
+  notes.forEach((note) => {
+    const key = `${note.midi}:${toTicks(note.start)}`;
+    const press = pressByKey.get(key);
+    pressByKey.set(
+      key,
+      press
+        ? {
+            ...press,
+            end: Math.max(press.end, note.end),
+            velocity: Math.max(press.velocity, note.velocity),
+          }
+        : note,
+    );
+  });
+
+  // A key can only sound once per channel, so a note that overlaps the
+  // next note of the same pitch is released when that note starts
+  const sorted = [...pressByKey.values()].sort((a, b) => a.start - b.start);
+  const nextStartByIndex = new Map();
+  const lastIndexByMidi = new Map();
+
+  sorted.forEach((note, index) => {
+    if (lastIndexByMidi.has(note.midi)) {
+      nextStartByIndex.set(lastIndexByMidi.get(note.midi), note.start);
+    }
+    lastIndexByMidi.set(note.midi, index);
+  });
+
+  sorted.forEach((note, index) => {
+    const startTick = toTicks(note.start);
+    const end = Math.min(note.end, nextStartByIndex.get(index) ?? Infinity);
+
+    // Every note lasts at least one tick so its on/off pair stays ordered
+    const endTick = Math.max(startTick + 1, toTicks(end));
+    const velocity = Math.max(1, Math.min(127, Math.round(note.velocity)));
+
+    events.push(
+      { tick: startTick, type: "noteOn", midi: note.midi, velocity, channel },
+      { tick: endTick, type: "noteOff", midi: note.midi, channel },
+    );
+  });
+
+  return events;
+}
+
+/**
+ * Build a MIDI file from notes
+ * The first track carries tempo and time signature; every part gets its
+ * own track and channel with a program change to its instrument.
+ * @param {Array<{midi: number, start: number, end: number, velocity: number}>} notes
+ * @param {object} options - { bpm, ppq, split, splitPoint, programs, beats };
+ *   beats (seconds, from getTempoBeats()) replace the fixed bpm
+ * @returns {Uint8Array} File bytes
+ */
+export function notesToMidiFile(notes, options = {}) {
+  const { bpm, ppq, split, splitPoint, programs, beats } = {
+    ...DEFAULT_EXPORT_OPTIONS,
+    ...options,
+  };
+  const { toTicks, tempos } = getTiming(bpm, ppq, beats);
+
+  const conductor = {
+    events: [
+      { tick: 0, type: "trackName", text: "Talking Piano" },
+      ...tempos,
+      {
+        tick: 0,
+        type: "timeSignature",
+        numerator: BEATS_PER_BAR,
+        denominator: 4,
+      },
+    ],
+  };
+
+  const parts = splitNotes(notes, split, splitPoint).map((part, index) => ({
+    ...part,
+    program: programs[index] ?? programs[0] ?? 0,
+  }));
+
+  // Keep parts that ended up empty out of the file, but never export nothing
+  const usedParts = parts.filter((part) => part.notes.length > 0);
+
+  const tracks = (usedParts.length > 0 ? usedParts : parts.slice(0, 1)).map(
+    (part, index) => {
+      // Skip channel 10, which General MIDI reserves for drums
+      const channel = index >= DRUM_CHANNEL ? index + 1 : index;
+
+      return {
+        events: [
+          { tick: 0, type: "trackName", text: part.name },
+          { tick: 0, type: "programChange", program: part.program, channel },
+          ...noteEvents(part.notes, channel, toTicks),
+        ],
+      };
+    },
+  );
+
+  return writeMidiFile({ ppq, tracks: [conductor, ...tracks] });
+}
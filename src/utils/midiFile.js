@@ -0,0 +1,354 @@
+/**
+ * Standard MIDI File (SMF) encoding and decoding
+ * Writes format 1 files from tracks of absolute-tick events, so notes can
+ * overlap freely and every note-on/off lands on its exact tick, and reads
+ * format 0/1 files back into the same event shape
+ */
+
+// Order of simultaneous events: meta first, note-offs before note-ons so a
+// re-struck key is released before it sounds again
+const EVENT_ORDER = {
+  trackName: 0,
+  tempo: 0,
+  timeSignature: 0,
+  keySignature: 0,
+  text: 0,
+  programChange: 1,
+  noteOff: 2,
+  noteOn: 3,
+};
+
+/**
+ * Encode a number as a MIDI variable-length quantity
+ * @param {number} value - Non-negative integer
+ * @returns {number[]} Bytes
+ */
+function variableLength(value) {
+  let buffer = value & 0x7f;
+  const bytes = [];
+
+  while ((value >>= 7)) {
+    buffer <<= 8;
+    buffer |= (value & 0x7f) | 0x80;
+  }
+
+  for (;;) {
+    bytes.push(buffer & 0xff);
+    if (buffer & 0x80) buffer >>= 8;
+    else break;
+  }
+
+  return bytes;
+}
+
+/**
+ * Encode a string as bytes (non-ASCII characters become "?")
+ * @param {string} text
+ * @returns {number[]}
+ */
+function textBytes(text) {
+  return Array.from(text, (char) => {
+    const code = char.charCodeAt(0);
+    return code < 128 ? code : 63;
+  });
+}
+
+/**
+ * Encode a single event without its delta time
+ * @param {object} event
+ * @returns {number[]} Bytes
+ */
+function encodeEvent(event) {
+  const channel = (event.channel ?? 0) & 0x0f;
+
+  switch (event.type) {
+    case "noteOn":
+      return [0x90 | channel, event.midi & 0x7f, event.velocity & 0x7f];
+    case "noteOff":
+      return [0x80 | channel, event.midi & 0x7f, (event.velocity ?? 0) & 0x7f];
+    case "programChange":
+      return [0xc0 | channel, event.program & 0x7f];
+    case "tempo": {
+      const microseconds = Math.round(60000000 / event.bpm);
+      return [
+        0xff,
+        0x51,
+        0x03,
+        (microseconds >> 16) & 0xff,
+        (microseconds >> 8) & 0xff,
+        microseconds & 0xff,
+      ];
+    }
+    case "timeSignature":
+      return [
+        0xff,
+        0x58,
+        0x04,
+        event.numerator,
+        Math.log2(event.denominator),
+        24, // MIDI clocks per metronome click
+        8, // 32nd notes per quarter note
+      ];
+    case "keySignature":
+      // sharps: -7 (7 flats) to 7 (7 sharps); minor: 0 major, 1 minor
+      return [0xff, 0x59, 0x02, event.sharps & 0xff, event.minor ? 1 : 0];
+    case "trackName":
+    case "text": {
+      const bytes = textBytes(event.text);
+      return [
+        0xff,
+        event.type === "trackName" ? 0x03 : 0x01,
+        ...variableLength(bytes.length),
+        ...bytes,
+      ];
+    }
+    default:
+      throw new Error(`Unknown MIDI event type: ${event.type}`);
+  }
+}
+
+/**
+ * Build one MTrk chunk from absolute-tick events
+ * @param {Array<object>} events - Events with a `tick` property
+ * @returns {number[]} Chunk bytes
+ */
+function encodeTrack(events) {
+  const sorted = events
+    .map((event, index) => ({ event, index }))
+    .sort(
+      (a, b) =>
+        a.event.tick - b.event.tick ||
+        EVENT_ORDER[a.event.type] - EVENT_ORDER[b.event.type] ||
+        a.index - b.index,
+    )
+    .map(({ event }) => event);
+
+  const data = [];
+  let lastTick = 0;
+
+  sorted.forEach((event) => {
+    const tick = Math.max(0, Math.round(event.tick));
+    data.push(...variableLength(tick - lastTick), ...encodeEvent(event));
+    lastTick = tick;
+  });
+
+  // End of track
+  data.push(0x00, 0xff, 0x2f, 0x00);
+
+  return [
+    ...textBytes("MTrk"),
+    (data.length >>> 24) & 0xff,
+    (data.length >>> 16) & 0xff,
+    (data.length >>> 8) & 0xff,
+    data.length & 0xff,
+    ...data,
+  ];
+}
+
+/**
+ * Encode a Standard MIDI File
+ * Event types: noteOn/noteOff { midi, velocity, channel }, programChange
+ * { program, channel }, tempo { bpm }, timeSignature { numerator,
+ * denominator }, keySignature { sharps, minor }, trackName/text { text }.
+ * @param {object} file - { ppq, tracks: [{ events: [{ tick, type, ... }] }] }
+ * @returns {Uint8Array} File bytes
+ */
+export function writeMidiFile({ ppq, tracks }) {
+  const header = [
+    ...textBytes("MThd"),
+    0,
+    0,
+    0,
+    6,
+    0,
+    tracks.length > 1 ? 1 : 0, // Format
+    (tracks.length >> 8) & 0xff,
+    tracks.length & 0xff,
+    (ppq >> 8) & 0x7f,
+    ppq & 0xff,
+  ];
+
+  const bytes = [...header];
+  tracks.forEach((track) => {
+    const chunk = encodeTrack(track.events);
+    for (let i = 0; i < chunk.length; i++) bytes.push(chunk[i]);
+  });
+
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Read a big-endian unsigned integer
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} length - Byte count (1-4)
+ * @returns {number}
+ */
+function readUint(bytes, offset, length) {
+  let value = 0;
+  for (let i = 0; i < length; i++) value = value * 256 + bytes[offset + i];
+  return value;
+}
+
+/**
+ * Read a chunk ID as text
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {string}
+ */
+function readChunkId(bytes, offset) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+/**
+ * Decode one MTrk chunk into absolute-tick events
+ * Unsupported messages (controllers, pitch bend, SysEx, other meta events)
+ * are skipped; a note-on with velocity 0 is read as a note-off.
+ * @param {Uint8Array} data - Chunk payload
+ * @returns {Array<object>} Events in file order
+ */
+function decodeTrack(data) {
+  const events = [];
+  let position = 0;
+  let tick = 0;
+  let runningStatus = 0;
+
+  const readVariableLength = () => {
+    let value = 0;
+    let byte;
+    do {
+      if (position >= data.length) throw new Error("Truncated MIDI track");
+      byte = data[position++];
+      value = value * 128 + (byte & 0x7f);
+    } while (byte & 0x80);
+    return value;
+  };
+
+  while (position < data.length) {
+    tick += readVariableLength();
+
+    let status = data[position];
+    if (status & 0x80) {
+      position++;
+    } else if (runningStatus) {
+      // Running status: the data byte belongs to the previous status
+      status = runningStatus;
+    } else {
+      throw new Error("Invalid MIDI event without status byte");
+    }
+
+    if (status === 0xff) {
+      const metaType = data[position++];
+      const length = readVariableLength();
+      const payload = data.subarray(position, position + length);
+      position += length;
+
+      if (metaType === 0x2f) break; // End of track
+
+      if (metaType === 0x51 && length === 3) {
+        events.push({
+          tick,
+          type: "tempo",
+          bpm: 60000000 / readUint(payload, 0, 3),
+        });
+      } else if (metaType === 0x58 && length >= 2) {
+        events.push({
+          tick,
+          type: "timeSignature",
+          numerator: payload[0],
+          denominator: 2 ** payload[1],
+        });
+      } else if (metaType === 0x59 && length === 2) {
+        events.push({
+          tick,
+          type: "keySignature",
+          sharps: payload[0] > 127 ? payload[0] - 256 : payload[0],
+          minor: payload[1] === 1,
+        });
+      } else if (metaType === 0x03 || metaType === 0x01) {
+        events.push({
+          tick,
+          type: metaType === 0x03 ? "trackName" : "text",
+          text: String.fromCharCode(...payload),
+        });
+      }
+      continue;
+    }
+
+    if (status === 0xf0 || status === 0xf7) {
+      // SysEx
+      position += readVariableLength();
+      continue;
+    }
+
+    runningStatus = status;
+    const kind = status & 0xf0;
+    const channel = status & 0x0f;
+    const dataLength = kind === 0xc0 || kind === 0xd0 ? 1 : 2;
+    const first = data[position];
+    const second = data[position + 1];
+    position += dataLength;
+
+    if (kind === 0x90 && second > 0) {
+      events.push({
+        tick,
+        type: "noteOn",
+        midi: first,
+        velocity: second,
+        channel,
+      });
+    } else if (kind === 0x80 || kind === 0x90) {
+      events.push({ tick, type: "noteOff", midi: first, velocity: 0, channel });
+    } else if (kind === 0xc0) {
+      events.push({ tick, type: "programChange", program: first, channel });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Decode a Standard MIDI File (format 0 or 1)
+ * @param {ArrayBuffer|Uint8Array} buffer - File bytes
+ * @returns {{format: number, ppq: number, tracks: Array<{events: Array<object>}>}} Same event shape writeMidiFile takes
+ */
+export function readMidiFile(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+  if (bytes.length < 14 || readChunkId(bytes, 0) !== "MThd") {
+    throw new Error("Not a Standard MIDI File");
+  }
+
+  const headerLength = readUint(bytes, 4, 4);
+  const format = readUint(bytes, 8, 2);
+  const trackCount = readUint(bytes, 10, 2);
+  const division = readUint(bytes, 12, 2);
+
+  if (format > 1) {
+    throw new Error(`MIDI format ${format} is not supported`);
+  }
+  if (division & 0x8000) {
+    throw new Error("SMPTE time division is not supported");
+  }
+
+  const tracks = [];
+  let offset = 8 + headerLength;
+
+  while (tracks.length < trackCount && offset + 8 <= bytes.length) {
+    const id = readChunkId(bytes, offset);
+    const length = readUint(bytes, offset + 4, 4);
+    const start = offset + 8;
+    offset = start + length;
+
+    // Unknown chunk types must be skipped
+    if (id !== "MTrk") continue;
+
+    tracks.push({
+      events: decodeTrack(
+        bytes.subarray(start, Math.min(offset, bytes.length)),
+      ),
+    });
+  }
+
+  return { format, ppq: division, tracks };
+}
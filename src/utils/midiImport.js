@@ -0,0 +1,120 @@
+import { readMidiFile } from "./midiFile";
+
+/**
+ * MIDI import
+ * Turns a Standard MIDI File into the app's notes ({midi, start, end,
+ * velocity} in seconds), so a reference score can be played, compared
+ * against a recording and exported again
+ */
+
+const DEFAULT_BPM = 120; // SMF default when a file has no tempo event
+const DRUM_CHANNEL = 9;
+
+/**
+ * Build a tick to seconds converter from tempo events
+ * @param {Array<{tick: number, bpm: number}>} tempos - Tempo changes
+ * @param {number} ppq - Ticks per quarter note
+ * @returns {function(number): number} Converter
+ */
+export function createTickConverter(tempos, ppq) {
+  // Each segment: starting tick, starting second and seconds per tick
+  const segments = [
+    { tick: 0, seconds: 0, secondsPerTick: 60 / DEFAULT_BPM / ppq },
+  ];
+
+  [...tempos]
+    .sort((a, b) => a.tick - b.tick)
+    .forEach(({ tick, bpm }) => {
+      const last = segments[segments.length - 1];
+      const seconds = last.seconds + (tick - last.tick) * last.secondsPerTick;
+      const segment = { tick, seconds, secondsPerTick: 60 / bpm / ppq };
+
+      if (tick === last.tick) segments[segments.length - 1] = segment;
+      else segments.push(segment);
+    });
+
+  return (tick) => {
+    let segment = segments[0];
+    for (let i = 1; i < segments.length && segments[i].tick <= tick; i++) {
+      segment = segments[i];
+    }
+    return segment.seconds + (tick - segment.tick) * segment.secondsPerTick;
+  };
+}
+
+/**
+ * Convert a Standard MIDI File into notes
+ * Percussion (channel 10) is skipped since its keys are not pitches.
+ * @param {ArrayBuffer|Uint8Array} buffer - File bytes
+ * @returns {{notes: Array<{midi: number, start: number, end: number, velocity: number}>, bpm: number, program: number|null, trackCount: number}}
+ */
+export function midiFileToNotes(buffer) {
+  const { ppq, tracks } = readMidiFile(buffer);
+  const events = tracks.flatMap((track, trackIndex) =>
+    track.events.map((event) => ({ ...event, trackIndex })),
+  );
+
+  const tempos = events.filter((event) => event.type === "tempo");
+  const toSeconds = createTickConverter(tempos, ppq);
+
+  const notes = [];
+  const sounding = new Map(); // Open note-ons per track/channel/key
+
+  events
+    .filter((event) => event.type === "noteOn" || event.type === "noteOff")
+    .filter((event) => event.channel !== DRUM_CHANNEL)
+    .sort(
+      (a, b) =>
+        a.tick - b.tick ||
+        (a.type === "noteOff" ? 0 : 1) - (b.type === "noteOff" ? 0 : 1),
+    )
+    .forEach((event) => {
+      const key = `${event.trackIndex}:${event.channel}:${event.midi}`;
+
+      if (event.type === "noteOn") {
+        if (!sounding.has(key)) sounding.set(key, []);
+        sounding.get(key).push(event);
+        return;
+      }
+
+      // Release the oldest matching note-on
+      const open = sounding.get(key);
+      const noteOn = open?.shift();
+      if (!noteOn) return;
+
+      notes.push({
+        midi: noteOn.midi,
+        start: toSeconds(noteOn.tick),
+        end: toSeconds(Math.max(event.tick, noteOn.tick + 1)),
+        velocity: noteOn.velocity,
+      });
+    });
+
+  // Notes never released run to the end of the file
+  const lastTick = Math.max(0, ...events.map((event) => event.tick));
+  sounding.forEach((open) => {
+    open.forEach((noteOn) => {
+      notes.push({
+        midi: noteOn.midi,
+        start: toSeconds(noteOn.tick),
+        end: toSeconds(Math.max(lastTick, noteOn.tick + 1)),
+        velocity: noteOn.velocity,
+      });
+    });
+  });
+
+  const initialTempo = tempos.find((event) => event.tick === 0);
+  const firstProgram = events
+    .filter(
+      (event) =>
+        event.type === "programChange" && event.channel !== DRUM_CHANNEL,
+    )
+    .sort((a, b) => a.tick - b.tick)[0];
+
+  return {
+    notes: notes.sort((a, b) => a.start - b.start || a.midi - b.midi),
+    bpm: initialTempo ? initialTempo.bpm : DEFAULT_BPM,
+    program: firstProgram ? firstProgram.program : null,
+    trackCount: tracks.length,
+  };
+}
@@ -0,0 +1,183 @@
+import { layoutScore } from "./notation";
+
+/**
+ * MusicXML export
+ * Writes notes as a MusicXML 4.0 (partwise) score for notation software:
+ * one piano part on a treble, bass or grand staff, with key and time
+ * signature, tempo marks, note values, ties and rests. The layout comes
+ * from layoutScore() in notation.js.
+ */
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Write one note, rest or chord member
+ * @param {object} event - From layoutScore()
+ * @param {object|null} pitch - null for a rest
+ * @param {boolean} isChordMember - Every chord note after the first
+ * @param {number} staff - 1-based
+ * @param {boolean} isMeasureRest - A rest filling the whole measure
+ * @returns {string}
+ */
+function noteXml(event, pitch, isChordMember, staff, isMeasureRest) {
+  const lines = ["<note>"];
+  if (isChordMember) lines.push("  <chord/>");
+
+  if (pitch) {
+    lines.push(
+      "  <pitch>",
+      `    <step>${pitch.step}</step>`,
+      ...(pitch.alter ? [`    <alter>${pitch.alter}</alter>`] : []),
+      `    <octave>${pitch.octave}</octave>`,
+      "  </pitch>",
+    );
+  } else {
+    lines.push(isMeasureRest ? '  <rest measure="yes"/>' : "  <rest/>");
+  }
+
+  lines.push(`  <duration>${event.duration}</duration>`);
+  if (pitch?.tieStop) lines.push('  <tie type="stop"/>');
+  if (pitch?.tieStart) lines.push('  <tie type="start"/>');
+  lines.push(`  <voice>${staff}</voice>`, `  <type>${event.type}</type>`);
+  for (let dot = 0; dot < event.dots; dot++) lines.push("  <dot/>");
+  if (pitch?.accidental) {
+    lines.push(`  <accidental>${pitch.accidental}</accidental>`);
+  }
+  if (event.triplet) {
+    lines.push(
+      "  <time-modification>",
+      "    <actual-notes>3</actual-notes>",
+      "    <normal-notes>2</normal-notes>",
+      "  </time-modification>",
+    );
+  }
+  lines.push(`  <staff>${staff}</staff>`);
+
+  if (pitch?.tieStop || pitch?.tieStart) {
+    lines.push(
+      "  <notations>",
+      ...(pitch.tieStop ? ['    <tied type="stop"/>'] : []),
+      ...(pitch.tieStart ? ['    <tied type="start"/>'] : []),
+      "  </notations>",
+    );
+  }
+
+  lines.push("</note>");
+  return lines.join("\n");
+}
+
+/**
+ * Write a score as MusicXML
+ * @param {object} score - From layoutScore()
+ * @param {object} options - { title }
+ * @returns {string} MusicXML document
+ */
+export function scoreToMusicXml(score, { title = "Transcription" } = {}) {
+  const { fifths, mode, beatsPerBar, divisions, clefs, measures } = score;
+  const measureLength = beatsPerBar * divisions;
+  let previousBpm = null;
+
+  const measureXml = measures.map((measure, index) => {
+    const parts = [];
+
+    if (index === 0) {
+      parts.push(
+        [
+          "<attributes>",
+          `  <divisions>${divisions}</divisions>`,
+          `  <key><fifths>${fifths}</fifths><mode>${mode}</mode></key>`,
+          `  <time><beats>${beatsPerBar}</beats><beat-type>4</beat-type></time>`,
+          ...(clefs.length > 1 ? [`  <staves>${clefs.length}</staves>`] : []),
+          ...clefs.map(
+            (clef, staff) =>
+              `  <clef number="${staff + 1}"><sign>${clef.sign}</sign><line>${clef.line}</line></clef>`,
+          ),
+          "</attributes>",
+        ].join("\n"),
+      );
+    }
+
+    // A tempo mark wherever the tempo changes by a whole BPM
+    if (measure.bpm !== previousBpm) {
+      parts.push(
+        [
+          '<direction placement="above">',
+          "  <direction-type>",
+          "    <metronome>",
+          "      <beat-unit>quarter</beat-unit>",
+          `      <per-minute>${measure.bpm}</per-minute>`,
+          "    </metronome>",
+          "  </direction-type>",
+          `  <sound tempo="${measure.bpm}"/>`,
+          "</direction>",
+        ].join("\n"),
+      );
+      previousBpm = measure.bpm;
+    }
+
+    // Staves after the first start over from the measure's beginning
+    measure.staves.forEach((events, staff) => {
+      if (staff > 0) {
+        parts.push(`<backup><duration>${measureLength}</duration></backup>`);
+      }
+      events.forEach((event) => {
+        if (event.pitches.length === 0) {
+          parts.push(
+            noteXml(
+              event,
+              null,
+              false,
+              staff + 1,
+              event.duration === measureLength,
+            ),
+          );
+        } else {
+          event.pitches.forEach((pitch, i) =>
+            parts.push(noteXml(event, pitch, i > 0, staff + 1, false)),
+          );
+        }
+      });
+    });
+
+    const content = parts
+      .join("\n")
+      .split("\n")
+      .map((line) => `      ${line}`)
+      .join("\n");
+    return `    <measure number="${index + 1}">\n${content}\n    </measure>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="4.0">',
+    `  <work><work-title>${escapeXml(title)}</work-title></work>`,
+    "  <identification>",
+    "    <encoding><software>Talking Piano</software></encoding>",
+    "  </identification>",
+    "  <part-list>",
+    '    <score-part id="P1"><part-name>Piano</part-name></score-part>',
+    "  </part-list>",
+    '  <part id="P1">',
+    ...measureXml,
+    "  </part>",
+    "</score-partwise>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Convert notes to a MusicXML document
+ * @param {Array<{midi: number, start: number, end: number}>} notes
+ * @param {number[]} beats - Beat times in seconds (see getTempoBeats())
+ * @param {object} options - layoutScore() options plus title
+ * @returns {string}
+ */
+export function notesToMusicXml(notes, beats, options = {}) {
+  return scoreToMusicXml(layoutScore(notes, beats, options), options);
+}
@@ -0,0 +1,343 @@
+import { BEATS_PER_BAR, createBeatTimeline, getBeatGrid } from "./beatTracking";
+
+/**
+ * Notation layout
+ * Turns notes (in seconds) into a score: measures of the beat grid, one
+ * voice per staff whose chords and rests are written as standard note
+ * values, tied across bar lines and wherever a note outlasts its
+ * neighbours, with pitches spelled for the key signature. MusicXML export
+ * and the staff view both draw from it.
+ */
+
+// Time units per quarter note; divides 1/32 notes and 1/32 triplets
+export const DIVISIONS = 24;
+
+export const STAFF_LAYOUTS = [
+  { value: "treble", label: "Treble clef" },
+  { value: "bass", label: "Bass clef" },
+  { value: "grand", label: "Grand staff" },
+];
+
+export const DEFAULT_NOTATION_OPTIONS = {
+  layout: "grand", // A STAFF_LAYOUTS value
+  step: 0.25, // Beats positions are rounded to (1/16 notes)
+  splitPoint: 60, // Lowest treble note on the grand staff (C4)
+};
+
+// bottomLine: diatonic step (octave * 7 + letter) of the bottom staff line
+const CLEFS = {
+  treble: { sign: "G", line: 2, bottomLine: 30 }, // E4
+  bass: { sign: "F", line: 4, bottomLine: 18 }, // G2
+};
+
+// Written note values, longest first, in DIVISIONS
+const NOTE_VALUES = [
+  { duration: 96, type: "whole", dots: 0 },
+  { duration: 72, type: "half", dots: 1 },
+  { duration: 48, type: "half", dots: 0 },
+  { duration: 36, type: "quarter", dots: 1 },
+  { duration: 32, type: "half", dots: 0, triplet: true },
+  { duration: 24, type: "quarter", dots: 0 },
+  { duration: 18, type: "eighth", dots: 1 },
+  { duration: 16, type: "quarter", dots: 0, triplet: true },
+  { duration: 12, type: "eighth", dots: 0 },
+  { duration: 9, type: "16th", dots: 1 },
+  { duration: 8, type: "eighth", dots: 0, triplet: true },
+  { duration: 6, type: "16th", dots: 0 },
+  { duration: 4, type: "16th", dots: 0, triplet: true },
+  { duration: 3, type: "32nd", dots: 0 },
+  { duration: 2, type: "32nd", dots: 0, triplet: true },
+];
+
+// Semitones above the tonic of each scale's relative major
+const RELATIVE_MAJOR = {
+  major: 0,
+  minor: 3,
+  harmonicMinor: 3,
+  dorian: 10,
+  mixolydian: 5,
+  majorPentatonic: 0,
+  minorPentatonic: 3,
+  blues: 3,
+};
+const MINOR_SCALES = ["minor", "harmonicMinor", "minorPentatonic", "blues"];
+
+const STEPS = ["C", "D", "E", "F", "G", "A", "B"];
+const SHARP_ORDER = ["F", "C", "G", "D", "A", "E", "B"];
+// Staff steps above the bottom line of the treble staff's key signature
+// accidentals; the bass staff's sit two steps lower
+const SHARP_STEPS = [8, 5, 9, 6, 3, 7, 4];
+const FLAT_STEPS = [4, 7, 3, 6, 2, 5, 1];
+// Letter and alteration of every pitch class, with sharps and with flats
+const SHARP_SPELLING = [
+  ["C", 0],
+  ["C", 1],
+  ["D", 0],
+  ["D", 1],
+  ["E", 0],
+  ["F", 0],
+  ["F", 1],
+  ["G", 0],
+  ["G", 1],
+  ["A", 0],
+  ["A", 1],
+  ["B", 0],
+];
+const FLAT_SPELLING = [
+  ["C", 0],
+  ["D", -1],
+  ["D", 0],
+  ["E", -1],
+  ["E", 0],
+  ["F", 0],
+  ["G", -1],
+  ["G", 0],
+  ["A", -1],
+  ["A", 0],
+  ["B", -1],
+  ["B", 0],
+];
+
+/**
+ * Key signature of a key
+ * @param {{tonic: number, scale: string}|null} key - From detectKey(), or a
+ *   scale from the key settings
+ * @returns {{fifths: number, mode: string}} fifths: sharps (positive) or
+ *   flats (negative), from -5 (Db) to 6 (F#)
+ */
+export function getKeySignature(key) {
+  if (!key) return { fifths: 0, mode: "major" };
+
+  const majorTonic = (key.tonic + (RELATIVE_MAJOR[key.scale] ?? 0)) % 12;
+  const fifths = (majorTonic * 7) % 12;
+  return {
+    fifths: fifths > 6 ? fifths - 12 : fifths,
+    mode: MINOR_SCALES.includes(key.scale) ? "minor" : "major",
+  };
+}
+
+/**
+ * Alteration the key signature gives each letter
+ * @param {number} fifths
+ * @returns {object} Letter to -1, 0 or 1
+ */
+function getKeyAlterations(fifths) {
+  const alterations = Object.fromEntries(STEPS.map((step) => [step, 0]));
+  const order = fifths >= 0 ? SHARP_ORDER : [...SHARP_ORDER].reverse();
+  order
+    .slice(0, Math.abs(fifths))
+    .forEach((step) => (alterations[step] = Math.sign(fifths)));
+  return alterations;
+}
+
+/**
+ * Spell a MIDI note for a key signature: sharps in sharp keys, flats in
+ * flat keys
+ * @param {number} midi
+ * @param {number} fifths
+ * @returns {{step: string, alter: number, octave: number}}
+ */
+export function spellPitch(midi, fifths) {
+  const [step, alter] = (fifths < 0 ? FLAT_SPELLING : SHARP_SPELLING)[
+    midi % 12
+  ];
+  return { step, alter, octave: Math.floor(midi / 12) - 1 };
+}
+
+/**
+ * Height of a pitch on a staff
+ * @param {{step: string, octave: number}} pitch
+ * @param {{bottomLine: number}} clef - From layoutScore()'s clefs
+ * @returns {number} Staff steps (lines and spaces) above the bottom line
+ */
+export function getStaffStep(pitch, clef) {
+  return pitch.octave * 7 + STEPS.indexOf(pitch.step) - clef.bottomLine;
+}
+
+/**
+ * Where a key signature's sharps or flats go on a staff
+ * @param {number} fifths
+ * @param {{sign: string}} clef
+ * @returns {number[]} Staff steps above the bottom line, in writing order
+ */
+export function getKeySignatureSteps(fifths, clef) {
+  const offset = clef.sign === "F" ? -2 : 0;
+  return (fifths >= 0 ? SHARP_STEPS : FLAT_STEPS)
+    .slice(0, Math.abs(fifths))
+    .map((step) => step + offset);
+}
+
+/**
+ * Split a duration into written note values
+ * @param {number} duration - DIVISIONS
+ * @param {number} unit - Smallest duration used, so triplet and straight
+ *   values don't mix
+ * @returns {Array<object>} NOTE_VALUES entries
+ */
+function splitDuration(duration, unit) {
+  const values = NOTE_VALUES.filter((value) => value.duration % unit === 0);
+  const parts = [];
+  let remaining = duration;
+
+  while (remaining > 0) {
+    const value =
+      values.find((candidate) => candidate.duration <= remaining) ??
+      NOTE_VALUES[NOTE_VALUES.length - 1];
+    parts.push(value);
+    remaining -= value.duration;
+  }
+  return parts;
+}
+
+/**
+ * Which staff of a layout a note goes on
+ * @param {string} layout
+ * @param {number} midi
+ * @param {number} splitPoint
+ * @returns {number} Staff index
+ */
+function getStaff(layout, midi, splitPoint) {
+  return layout === "grand" && midi < splitPoint ? 1 : 0;
+}
+
+/**
+ * Lay notes out as a score
+ * Event shape: { position (DIVISIONS into the measure), duration, type,
+ * dots, triplet, start, end (seconds), pitches: [{ midi, step, alter,
+ * octave, accidental ("sharp" | "flat" | "natural" | null), tieStart,
+ * tieStop }] }; an event without pitches is a rest.
+ * @param {Array<{midi: number, start: number, end: number}>} notes
+ * @param {number[]} beats - Beat times in seconds, at least two (see
+ *   getTempoBeats() in midiExport.js)
+ * @param {object} options - DEFAULT_NOTATION_OPTIONS overrides, plus key
+ *   ({tonic, scale} or null)
+ * @returns {{fifths: number, mode: string, beatsPerBar: number, divisions: number, clefs: Array<{sign: string, line: number, bottomLine: number}>, measures: Array<{start: number, end: number, bpm: number, staves: Array<Array<object>>}>}}
+ */
+export function layoutScore(notes, beats, options = {}) {
+  const { layout, step, splitPoint, key } = {
+    ...DEFAULT_NOTATION_OPTIONS,
+    ...options,
+  };
+  const { fifths, mode } = getKeySignature(key);
+  const { toBeats, toSeconds } = createBeatTimeline(getBeatGrid(beats));
+  const unit = Math.max(1, Math.round(step * DIVISIONS));
+  const measureLength = BEATS_PER_BAR * DIVISIONS;
+  const clefs =
+    layout === "grand"
+      ? [CLEFS.treble, CLEFS.bass]
+      : [CLEFS[layout] ?? CLEFS.treble];
+
+  const toDivisions = (seconds) =>
+    Math.max(0, Math.round((toBeats(seconds) * DIVISIONS) / unit) * unit);
+  const divisionsToSeconds = (divisions) => toSeconds(divisions / DIVISIONS);
+
+  // Notes on the notation grid, every one at least one unit long
+  const placed = notes.map((note) => {
+    const start = toDivisions(note.start);
+    return {
+      midi: note.midi,
+      start,
+      end: Math.max(start + unit, toDivisions(note.end)),
+      staff: getStaff(layout, note.midi, splitPoint),
+    };
+  });
+
+  const measureCount = Math.max(
+    1,
+    Math.ceil(
+      placed.reduce((end, note) => Math.max(end, note.end), 0) / measureLength,
+    ),
+  );
+  const measures = Array.from({ length: measureCount }, (_, index) => {
+    const start = divisionsToSeconds(index * measureLength);
+    const end = divisionsToSeconds((index + 1) * measureLength);
+    return {
+      start,
+      end,
+      bpm: Math.round((60 * BEATS_PER_BAR) / (end - start)),
+      staves: clefs.map(() => []),
+    };
+  });
+
+  clefs.forEach((_, staff) => {
+    const staffNotes = placed.filter((note) => note.staff === staff);
+
+    // Everything sounding between two boundaries is one chord (or rest)
+    const boundaries = new Set(
+      measures.map((_, index) => index * measureLength),
+    );
+    boundaries.add(measureCount * measureLength);
+    staffNotes.forEach((note) => {
+      boundaries.add(note.start);
+      boundaries.add(note.end);
+    });
+    const sorted = [...boundaries].sort((a, b) => a - b);
+
+    for (let i = 0; i + 1 < sorted.length; i++) {
+      const from = sorted[i];
+      const to = sorted[i + 1];
+      const measureIndex = Math.floor(from / measureLength);
+      const sounding = staffNotes
+        .filter((note) => note.start <= from && note.end > from)
+        .sort((a, b) => a.midi - b.midi);
+
+      // Chords sound once even when a pitch is doubled
+      const pitches = [
+        ...new Map(sounding.map((note) => [note.midi, note])).values(),
+      ];
+
+      let position = from - measureIndex * measureLength;
+      const parts = splitDuration(to - from, unit);
+      parts.forEach((value, part) => {
+        measures[measureIndex].staves[staff].push({
+          position,
+          duration: value.duration,
+          type: value.type,
+          dots: value.dots,
+          triplet: Boolean(value.triplet),
+          start: divisionsToSeconds(measureIndex * measureLength + position),
+          end: divisionsToSeconds(
+            measureIndex * measureLength + position + value.duration,
+          ),
+          pitches: pitches.map((note) => ({
+            midi: note.midi,
+            ...spellPitch(note.midi, fifths),
+            accidental: null,
+            tieStop: part > 0 || note.start < from,
+            tieStart: part < parts.length - 1 || note.end > to,
+          })),
+        });
+        position += value.duration;
+      });
+    }
+  });
+
+  // Accidentals where a pitch differs from the key signature or from an
+  // earlier note on the same line in the measure
+  const keyAlterations = getKeyAlterations(fifths);
+  measures.forEach((measure) =>
+    measure.staves.forEach((events) => {
+      const current = {};
+      events.forEach((event) =>
+        event.pitches.forEach((pitch) => {
+          const line = `${pitch.step}${pitch.octave}`;
+          const expected = current[line] ?? keyAlterations[pitch.step];
+          if (pitch.alter !== expected && !pitch.tieStop) {
+            pitch.accidental =
+              pitch.alter > 0 ? "sharp" : pitch.alter < 0 ? "flat" : "natural";
+          }
+          current[line] = pitch.alter;
+        }),
+      );
+    }),
+  );
+
+  return {
+    fifths,
+    mode,
+    beatsPerBar: BEATS_PER_BAR,
+    divisions: DIVISIONS,
+    clefs,
+    measures,
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Note editing
+ * Pure edits on note lists ({midi, start, end, velocity} in seconds) for
+ * the piano roll. Every edit returns a new array and keeps the order of
+ * the untouched notes, so selections by index stay valid.
+ */
+
+export const MIN_NOTE_LENGTH = 0.02; // Seconds
+export const DEFAULT_NOTE_LENGTH = 0.25; // Seconds, for newly added notes
+export const DEFAULT_NOTE_VELOCITY = 100;
+
+const clampMidi = (midi) => Math.max(0, Math.min(127, midi));
+
+/**
+ * Move notes in time and pitch
+ * The whole selection moves together, so it stops at time 0 and at the
+ * ends of the MIDI range instead of squashing.
+ * @param {Array<object>} notes
+ * @param {Set<number>} indices - Notes to move
+ * @param {number} deltaTime - Seconds
+ * @param {number} deltaMidi - Semitones
+ * @returns {Array<object>}
+ */
+export function moveNotes(notes, indices, deltaTime, deltaMidi) {
+  const selected = notes.filter((_, index) => indices.has(index));
+  if (selected.length === 0) return notes;
+
+  const earliest = Math.min(...selected.map((note) => note.start));
+  const lowest = Math.min(...selected.map((note) => note.midi));
+  const highest = Math.max(...selected.map((note) => note.midi));
+
+  const time = Math.max(-earliest, deltaTime);
+  const pitch = Math.max(-lowest, Math.min(127 - highest, deltaMidi));
+
+  return notes.map((note, index) =>
+    indices.has(index)
+      ? {
+          ...note,
+          midi: note.midi + pitch,
+          start: note.start + time,
+          end: note.end + time,
+        }
+      : note,
+  );
+}
+
+/**
+ * Lengthen or shorten notes by moving their ends
+ * @param {Array<object>} notes
+ * @param {Set<number>} indices - Notes to resize
+ * @param {number} deltaTime - Seconds added to each note's end
+ * @returns {Array<object>}
+ */
+export function resizeNotes(notes, indices, deltaTime) {
+  return notes.map((note, index) =>
+    indices.has(index)
+      ? {
+          ...note,
+          end: Math.max(note.start + MIN_NOTE_LENGTH, note.end + deltaTime),
+        }
+      : note,
+  );
+}
+
+/**
+ * Set the velocity of notes
+ * @param {Array<object>} notes
+ * @param {Set<number>} indices
+ * @param {number} velocity - 1-127
+ * @returns {Array<object>}
+ */
+export function setNotesVelocity(notes, indices, velocity) {
+  const value = Math.max(1, Math.min(127, Math.round(velocity)));
+
+  return notes.map((note, index) =>
+    indices.has(index) ? { ...note, velocity: value } : note,
+  );
+}
+
+/**
+ * Remove notes
+ * @param {Array<object>} notes
+ * @param {Set<number>} indices
+ * @returns {Array<object>}
+ */
+export function deleteNotes(notes, indices) {
+  return notes.filter((_, index) => !indices.has(index));
+}
+
+/**
+ * Add a note at the end of the list
+ * @param {Array<object>} notes
+ * @param {number} midi
+ * @param {number} start - Seconds
+ * @returns {Array<object>} The new note is the last element
+ */
+export function addNote(notes, midi, start) {
+  return [
+    ...notes,
+    {
+      midi: clampMidi(Math.round(midi)),
+      start: Math.max(0, start),
+      end: Math.max(0, start) + DEFAULT_NOTE_LENGTH,
+      velocity: DEFAULT_NOTE_VELOCITY,
+    },
+  ];
+}
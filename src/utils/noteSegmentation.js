@@ -0,0 +1,146 @@
+import { snapToScale } from "./keyDetection";
+import { hzToMidi } from "./pitchDetection";
+
+/**
+ * Note segmentation
+ * Every pitch source emits one record per analysis frame; this merges
+ * consecutive frames of the same pitch into discrete notes with onset,
+ * offset and velocity, which is what playback and export consume
+ */
+
+export const DEFAULT_SEGMENTATION_OPTIONS = {
+  minNoteLength: 0.06, // Seconds; shorter notes are dropped as blips
+  gapTolerance: 0.05, // Seconds of missing frames bridged inside one note
+  splitOnOnsets: true, // Re-attack a held pitch at detected onsets
+  mergeFrames: true, // Off = every frame is its own strike (talking piano)
+};
+
+const DEFAULT_VELOCITY = 100; // For sources without velocity (autocorrelation, microphone)
+
+/**
+ * Estimate the spacing between analysis frames
+ * @param {number[]} times - Sorted unique frame times in seconds
+ * @returns {number} Median frame step in seconds
+ */
+function estimateFrameStep(times) {
+  const steps = [];
+  for (let i = 1; i < times.length; i++) {
+    const step = times[i] - times[i - 1];
+    if (step > 0) steps.push(step);
+  }
+
+  if (steps.length === 0) return 0.01;
+
+  steps.sort((a, b) => a - b);
+  return steps[Math.floor(steps.length / 2)];
+}
+
+/**
+ * Merge frame-level pitch records into notes
+ * @param {Array<{time: string|number, hz: number, midi?: number, velocity?: number}>} pitches
+ * @param {object} options - { minNoteLength, gapTolerance, splitOnOnsets, mergeFrames, onsets, scale }
+ *   scale: pitch classes every frame is snapped to before merging, or null
+ * @returns {Array<{midi: number, start: number, end: number, velocity: number}>} Sorted by start
+ */
+export function segmentNotes(pitches, options = {}) {
+  const {
+    minNoteLength,
+    gapTolerance,
+    splitOnOnsets,
+    mergeFrames,
+    onsets = [],
+    scale = null,
+  } = {
+    ...DEFAULT_SEGMENTATION_OPTIONS,
+    ...options,
+  };
+
+  if (!pitches || pitches.length === 0) return [];
+
+  const frames = pitches
+    .filter((pitch) => pitch.hz > 0 || pitch.midi !== undefined)
+    .map((pitch) => ({
+      time: parseFloat(pitch.time),
+      midi: scale
+        ? snapToScale(
+            pitch.hz > 0 ? 69 + 12 * Math.log2(pitch.hz / 440) : pitch.midi,
+            scale,
+          )
+        : (pitch.midi ?? hzToMidi(pitch.hz)),
+      velocity: pitch.velocity ?? DEFAULT_VELOCITY,
+    }))
+    .filter((frame) => frame.midi >= 0 && frame.midi <= 127);
+
+  const frameStep = estimateFrameStep(
+    [...new Set(frames.map((frame) => frame.time))].sort((a, b) => a - b),
+  );
+
+  if (!mergeFrames) {
+    return frames
+      .map((frame) => ({
+        midi: frame.midi,
+        start: frame.time,
+        end: frame.time + frameStep,
+        velocity: frame.velocity,
+      }))
+      .sort((a, b) => a.start - b.start || a.midi - b.midi);
+  }
+
+  const sortedOnsets = splitOnOnsets ? [...onsets].sort((a, b) => a - b) : [];
+
+  // True when an onset falls in (from, to]
+  const hasOnsetBetween = (from, to) =>
+    sortedOnsets.some((onset) => onset > from && onset <= to);
+
+  // Track each pitch separately so overlapping notes (chords) are kept
+  const framesByMidi = new Map();
+  frames.forEach((frame) => {
+    if (!framesByMidi.has(frame.midi)) framesByMidi.set(frame.midi, []);
+    framesByMidi.get(frame.midi).push(frame);
+  });
+
+  const notes = [];
+
+  framesByMidi.forEach((midiFrames, midi) => {
+    midiFrames.sort((a, b) => a.time - b.time);
+
+    let current = null;
+
+    const finishNote = () => {
+      if (current && current.end - current.start >= minNoteLength) {
+        notes.push(current);
+      }
+      current = null;
+    };
+
+    midiFrames.forEach((frame) => {
+      if (current) {
+        const lastFrameTime = current.end - frameStep;
+        const gap = frame.time - current.end;
+        const reattacked =
+          current.end - current.start >= minNoteLength &&
+          hasOnsetBetween(lastFrameTime, frame.time);
+
+        if (gap > gapTolerance || reattacked) {
+          finishNote();
+        }
+      }
+
+      if (!current) {
+        current = {
+          midi,
+          start: frame.time,
+          end: frame.time + frameStep,
+          velocity: frame.velocity,
+        };
+      } else {
+        current.end = Math.max(current.end, frame.time + frameStep);
+        current.velocity = Math.max(current.velocity, frame.velocity);
+      }
+    });
+
+    finishNote();
+  });
+
+  return notes.sort((a, b) => a.start - b.start || a.midi - b.midi);
+}
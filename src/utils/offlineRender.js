@@ -0,0 +1,84 @@
+import Soundfont from "soundfont-player";
+import {
+  DEFAULT_PEAK_TARGET,
+  applyGain,
+  gainToDb,
+  getPeak,
+} from "./audioEditing";
+
+/**
+ * Offline rendering
+ * Plays notes through a soundfont in an OfflineAudioContext, optionally
+ * mixed with the original recording, as fast as the browser can render,
+ * so the result can be saved instead of only heard
+ */
+
+const RELEASE_TAIL = 1; // Seconds rendered after the last note ends
+
+/**
+ * Render notes through a soundfont instrument
+ * @param {Array<{midi: number, start: number, end: number, velocity: number}>} notes
+ * @param {string} instrumentName - soundfont-player instrument, e.g. "acoustic_grand_piano"
+ * @param {object} options - { sampleRate, channels, audioBuffer, mix: {notes, audio} }
+ *   audioBuffer and a non-zero mix.audio add the recording under the notes
+ * @returns {Promise<AudioBuffer>} Scaled down if the mix would clip
+ */
+export async function renderNotes(
+  notes,
+  instrumentName,
+  {
+    sampleRate = 44100,
+    channels = 2,
+    audioBuffer = null,
+    mix = { notes: 1, audio: 0 },
+  } = {},
+) {
+  const withAudio = Boolean(audioBuffer) && mix.audio > 0;
+  const notesEnd = notes.reduce((end, note) => Math.max(end, note.end), 0);
+  const duration = Math.max(
+    notes.length > 0 ? notesEnd + RELEASE_TAIL : 0,
+    withAudio ? audioBuffer.duration : 0,
+  );
+
+  const context = new OfflineAudioContext(
+    channels,
+    Math.max(1, Math.ceil(duration * sampleRate)),
+    sampleRate,
+  );
+
+  const notesGain = context.createGain();
+  notesGain.gain.value = mix.notes;
+  notesGain.connect(context.destination);
+
+  if (withAudio) {
+    const audioGain = context.createGain();
+    audioGain.gain.value = mix.audio;
+    audioGain.connect(context.destination);
+
+    const source = context.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(audioGain);
+    source.start(0);
+  }
+
+  if (mix.notes > 0 && notes.length > 0) {
+    const instrument = await Soundfont.instrument(context, instrumentName, {
+      destination: notesGain,
+    });
+
+    notes.forEach((note) => {
+      instrument.play(note.midi, note.start, {
+        duration: note.end - note.start,
+        gain: note.velocity / 127,
+      });
+    });
+  }
+
+  const rendered = await context.startRendering();
+
+  // Leave the same headroom as peak normalization rather than clipping
+  const peakDb = gainToDb(getPeak(rendered));
+  return peakDb > DEFAULT_PEAK_TARGET
+    ? applyGain(rendered, DEFAULT_PEAK_TARGET - peakDb)
+    : rendered;
+}
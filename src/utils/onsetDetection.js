@@ -0,0 +1,141 @@
+import { createFFT } from "./fft";
+
+/**
+ * Onset detection
+ * Builds an onset strength envelope from spectral flux (or energy rise)
+ * and picks its peaks as note attack times
+ */
+
+export const DEFAULT_ONSET_OPTIONS = {
+  method: "flux", // "flux" | "energy"
+  fftSize: 1024,
+  hopSize: 512,
+  delta: 0.07, // How far above the local mean a peak must be (0-1 of max)
+  minInterval: 0.05, // Minimum seconds between onsets
+};
+
+/**
+ * Compute the onset strength envelope
+ * Spectral flux sums the increase of log-compressed magnitudes between
+ * frames; the energy method uses the increase of frame log-energy.
+ * @param {Float32Array} channelData - Audio samples
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {object} options - { method, fftSize, hopSize }
+ * @returns {{envelope: Float32Array, frameRate: number}} Envelope normalized to 0-1
+ */
+export function computeOnsetEnvelope(channelData, sampleRate, options = {}) {
+  const { method, fftSize, hopSize } = { ...DEFAULT_ONSET_OPTIONS, ...options };
+  const frameCount = Math.max(
+    0,
+    Math.floor((channelData.length - fftSize) / hopSize) + 1,
+  );
+  const envelope = new Float32Array(frameCount);
+
+  if (method === "energy") {
+    let previous = 0;
+
+    for (let f = 0; f < frameCount; f++) {
+      const offset = f * hopSize;
+      let sum = 0;
+      for (let n = 0; n < fftSize; n++) {
+        const value = channelData[offset + n];
+        sum += value * value;
+      }
+
+      const logEnergy = Math.log10(sum / fftSize + 1e-10);
+      envelope[f] = f > 0 ? Math.max(0, logEnergy - previous) : 0;
+      previous = logEnergy;
+    }
+  } else {
+    const fft = createFFT(fftSize, "hann");
+    let previous = new Float32Array(fft.bins);
+    let current = new Float32Array(fft.bins);
+
+    for (let f = 0; f < frameCount; f++) {
+      fft.magnitude(channelData, f * hopSize, current);
+
+      let flux = 0;
+      for (let k = 0; k < current.length; k++) {
+        // Log compression makes quiet partials count, not just loud ones
+        current[k] = Math.log1p(1000 * current[k]);
+        if (f > 0) flux += Math.max(0, current[k] - previous[k]);
+      }
+
+      envelope[f] = flux;
+      [previous, current] = [current, previous];
+    }
+  }
+
+  let max = 0;
+  for (let f = 0; f < frameCount; f++) {
+    if (envelope[f] > max) max = envelope[f];
+  }
+  if (max > 0) {
+    for (let f = 0; f < frameCount; f++) envelope[f] /= max;
+  }
+
+  return { envelope, frameRate: sampleRate / hopSize };
+}
+
+/**
+ * Pick onset times from a normalized onset envelope
+ * A frame is an onset when it is a local maximum, rises `delta` above the
+ * local mean and comes at least `minInterval` after the previous onset.
+ * @param {Float32Array} envelope - Onset strength, 0-1
+ * @param {number} frameRate - Envelope frames per second
+ * @param {object} options - { delta, minInterval }
+ * @returns {number[]} Onset times in seconds
+ */
+export function pickOnsets(envelope, frameRate, options = {}) {
+  const { delta, minInterval } = { ...DEFAULT_ONSET_OPTIONS, ...options };
+  const peakRadius = 3;
+  const meanRadius = 8;
+  const minFrames = Math.max(1, Math.round(minInterval * frameRate));
+  const onsets = [];
+  let lastOnset = -Infinity;
+
+  for (let f = 0; f < envelope.length; f++) {
+    const value = envelope[f];
+
+    let isPeak = true;
+    for (let j = -peakRadius; j <= peakRadius && isPeak; j++) {
+      const neighbour = envelope[f + j];
+      if (j !== 0 && neighbour !== undefined && neighbour > value) {
+        isPeak = false;
+      }
+    }
+    if (!isPeak) continue;
+
+    let sum = 0;
+    let count = 0;
+    for (let j = -meanRadius; j <= meanRadius; j++) {
+      if (f + j >= 0 && f + j < envelope.length) {
+        sum += envelope[f + j];
+        count++;
+      }
+    }
+
+    if (value >= sum / count + delta && f - lastOnset >= minFrames) {
+      onsets.push(f / frameRate);
+      lastOnset = f;
+    }
+  }
+
+  return onsets;
+}
+
+/**
+ * Detect note onsets in a recording
+ * @param {Float32Array} channelData - Audio samples
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {object} options - { method, fftSize, hopSize, delta, minInterval }
+ * @returns {number[]} Onset times in seconds
+ */
+export function detectOnsets(channelData, sampleRate, options = {}) {
+  const { envelope, frameRate } = computeOnsetEnvelope(
+    channelData,
+    sampleRate,
+    options,
+  );
+  return pickOnsets(envelope, frameRate, options);
+}
@@ -0,0 +1,126 @@
+import { BEATS_PER_BAR, getBeatGrid } from "./beatTracking";
+import { midiToHz } from "./pitchDetection";
+
+/**
+ * Analysis overlays
+ * Draws notes, the f0 curve, spectral peaks, beats and the playhead on top
+ * of a visualization. Each view supplies its own time-to-x and hz-to-y
+ * mapping.
+ */
+
+const MAX_CURVE_GAP = 0.1; // Seconds without pitch that break the f0 line
+
+/**
+ * Draw notes as boxes spanning their semitone
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<{midi: number, start: number, end: number}>} notes
+ * @param {function(number): number} toX - Seconds to x
+ * @param {function(number): number} toY - Hz to y (higher pitch, smaller y)
+ * @param {string} rgb - Color as "r, g, b"
+ */
+export function drawNoteBoxes(ctx, notes, toX, toY, rgb) {
+  const width = ctx.canvas.width;
+
+  ctx.strokeStyle = `rgba(${rgb}, 0.9)`;
+  ctx.fillStyle = `rgba(${rgb}, 0.25)`;
+  ctx.lineWidth = 1;
+
+  notes.forEach((note) => {
+    const x = toX(note.start);
+    const noteWidth = Math.max(1, toX(note.end) - x);
+    if (x > width || x + noteWidth < 0) return;
+
+    const top = toY(midiToHz(note.midi + 0.5));
+    const noteHeight = Math.max(2, toY(midiToHz(note.midi - 0.5)) - top);
+
+    ctx.fillRect(x, top, noteWidth, noteHeight);
+    ctx.strokeRect(x, top, noteWidth, noteHeight);
+  });
+}
+
+/**
+ * Draw a pitch track as a line, broken where the pitch drops out
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<{time: string|number, hz: number}>} pitches - Sorted by time
+ * @param {function(number): number} toX
+ * @param {function(number): number} toY
+ * @param {string} color
+ */
+export function drawPitchCurve(ctx, pitches, toX, toY, color) {
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+
+  let lastTime = -Infinity;
+  pitches.forEach((pitch) => {
+    const time = parseFloat(pitch.time);
+    const x = toX(time);
+    const y = toY(pitch.hz);
+
+    if (time - lastTime > MAX_CURVE_GAP) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+    lastTime = time;
+  });
+
+  ctx.stroke();
+}
+
+/**
+ * Draw the spectral peaks of each frame as dots, brighter when louder
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<{time: number, peaks: Array<{frequency: number, amplitude: number}>}>} frames
+ * @param {function(number): number} toX
+ * @param {function(number): number} toY
+ */
+export function drawSpectralPeaks(ctx, frames, toX, toY) {
+  const width = ctx.canvas.width;
+  const maxAmplitude = frames.reduce(
+    (max, frame) =>
+      frame.peaks.reduce((m, peak) => Math.max(m, peak.amplitude), max),
+    0,
+  );
+  if (maxAmplitude === 0) return;
+
+  frames.forEach((frame) => {
+    const x = toX(frame.time);
+    if (x < 0 || x > width) return;
+
+    frame.peaks.forEach((peak) => {
+      const alpha = 0.3 + 0.7 * Math.sqrt(peak.amplitude / maxAmplitude);
+      ctx.fillStyle = `rgba(255, 64, 129, ${alpha})`;
+      ctx.fillRect(x - 1, toY(peak.frequency) - 1, 3, 3);
+    });
+  });
+}
+
+/**
+ * Draw beats as vertical lines, the first beat of every bar brighter
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number[]} beats - Beat times in seconds
+ * @param {function(number): number} toX
+ */
+export function drawBeatGrid(ctx, beats, toX) {
+  if (beats.length < 2) return;
+
+  const { width, height } = ctx.canvas;
+  getBeatGrid(beats).forEach((beat, index) => {
+    const x = Math.round(toX(beat));
+    if (x < 0 || x > width) return;
+
+    ctx.fillStyle =
+      index % BEATS_PER_BAR === 0
+        ? "rgba(255, 255, 255, 0.45)"
+        : "rgba(255, 255, 255, 0.15)";
+    ctx.fillRect(x, 0, 1, height);
+  });
+}
+
+/**
+ * Draw the playhead line
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x
+ */
+export function drawPlayhead(ctx, x) {
+  ctx.fillStyle = "#ff5252";
+  ctx.fillRect(Math.round(x) - 1, 0, 2, ctx.canvas.height);
+}
@@ -0,0 +1,192 @@
+import { createFFT } from "./fft";
+import { midiToHz } from "./pitchDetection";
+
+/**
+ * Piano resynthesis ("talking piano") analysis
+ * Instead of looking for fundamentals, every frame's magnitude spectrum is
+ * folded onto the 88 piano keys and the loudest keys are kept, so playing
+ * them back reproduces the spectral envelope of speech on a piano
+ */
+
+export const PIANO_LOWEST_MIDI = 21; // A0
+export const PIANO_HIGHEST_MIDI = 108; // C8
+export const PIANO_KEY_COUNT = PIANO_HIGHEST_MIDI - PIANO_LOWEST_MIDI + 1;
+
+export const DEFAULT_RESYNTHESIS_OPTIONS = {
+  frameRate: 20, // Analysis frames (and piano strikes) per second
+  maxKeys: 12, // Max simultaneous keys per frame
+  dynamicRange: 40, // dB below the loudest key that still produces a note
+  fftSize: 4096,
+};
+
+/**
+ * Compute the FFT bin range covered by each piano key
+ * A key's band spans from a quarter tone below to a quarter tone above it.
+ * Low keys are narrower than one bin, so they fall back to the nearest bin.
+ * A bin claimed by several keys belongs to the key closest to its centre;
+ * the others get an empty band (endBin below startBin), so neighbouring
+ * bass keys don't all sound from the same energy.
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {number} fftSize - FFT size in samples
+ * @returns {Array<{midi: number, startBin: number, endBin: number}>}
+ */
+export function getPianoKeyBands(sampleRate, fftSize) {
+  const binWidth = sampleRate / fftSize;
+  const maxBin = fftSize / 2 - 1;
+  const bands = [];
+  const ownerByBin = new Map();
+
+  for (let midi = PIANO_LOWEST_MIDI; midi <= PIANO_HIGHEST_MIDI; midi++) {
+    const low = midiToHz(midi - 0.5) / binWidth;
+    const high = midiToHz(midi + 0.5) / binWidth;
+    let startBin = Math.ceil(low);
+    let endBin = Math.floor(high);
+
+    if (endBin < startBin) {
+      startBin = endBin = Math.round(midiToHz(midi) / binWidth);
+    }
+
+    const band = {
+      midi,
+      startBin: Math.min(startBin, maxBin),
+      endBin: Math.min(endBin, maxBin),
+    };
+    bands.push(band);
+
+    if (band.startBin === band.endBin) {
+      const distance = Math.abs(midiToHz(midi) / binWidth - band.startBin);
+      const owner = ownerByBin.get(band.startBin);
+      if (!owner || distance < owner.distance) {
+        ownerByBin.set(band.startBin, { band, distance });
+      }
+    }
+  }
+
+  // Single-bin bands that lost their bin to a closer key are emptied
+  bands.forEach((band) => {
+    const owner = ownerByBin.get(band.startBin);
+    if (band.startBin === band.endBin && owner.band !== band) {
+      band.endBin = band.startBin - 1;
+    }
+  });
+
+  return bands;
+}
+
+/**
+ * Measure the spectral energy in every piano key band, frame by frame
+ * @param {Float32Array} channelData - Audio samples
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {object} options - { frameRate, fftSize }
+ * @param {function} onProgress - Optional callback receiving 0-100
+ * @returns {{times: number[], energies: Float32Array[]}} One energy per key per frame
+ */
+export function analyzeKeyEnergies(
+  channelData,
+  sampleRate,
+  options = {},
+  onProgress,
+) {
+  const { frameRate, fftSize } = { ...DEFAULT_RESYNTHESIS_OPTIONS, ...options };
+  const hopSize = Math.max(1, Math.round(sampleRate / frameRate));
+  const bands = getPianoKeyBands(sampleRate, fftSize);
+
+  // Hann window keeps leakage from smearing energy into neighbouring keys
+  const fft = createFFT(fftSize, "hann");
+  const power = new Float32Array(fft.bins);
+
+  const times = [];
+  const energies = [];
+
+  for (let i = 0; i + fftSize <= channelData.length; i += hopSize) {
+    fft.power(channelData, i, power);
+
+    const keyEnergy = new Float32Array(PIANO_KEY_COUNT);
+
+    bands.forEach((band, k) => {
+      let sum = 0;
+      for (let bin = band.startBin; bin <= band.endBin; bin++) {
+        sum += power[bin];
+      }
+      keyEnergy[k] = sum;
+    });
+
+    // Time the frame at its centre, where the window has the most weight
+    times.push((i + fftSize / 2) / sampleRate);
+    energies.push(keyEnergy);
+
+    if (onProgress && energies.length % 50 === 0) {
+      onProgress(Math.round((i / channelData.length) * 100));
+    }
+  }
+
+  return { times, energies };
+}
+
+/**
+ * Turn audio into piano key strikes that approximate its spectrum over time
+ * @param {Float32Array} channelData - Audio samples
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {object} options - { frameRate, maxKeys, dynamicRange, fftSize }
+ * @param {function} onProgress - Optional callback receiving 0-100
+ * @returns {Array<{time: string, hz: number, midi: number, velocity: number}>}
+ */
+export function resynthesizeAsPiano(
+  channelData,
+  sampleRate,
+  options = {},
+  onProgress,
+) {
+  const settings = { ...DEFAULT_RESYNTHESIS_OPTIONS, ...options };
+  const { times, energies } = analyzeKeyEnergies(
+    channelData,
+    sampleRate,
+    settings,
+    onProgress,
+  );
+
+  // Velocities are relative to the loudest key anywhere in the recording,
+  // so quiet syllables stay quiet instead of being normalized per frame
+  let maxEnergy = 0;
+  energies.forEach((frame) => {
+    for (let k = 0; k < frame.length; k++) {
+      if (frame[k] > maxEnergy) maxEnergy = frame[k];
+    }
+  });
+
+  if (maxEnergy === 0) return [];
+
+  const pitches = [];
+
+  energies.forEach((frame, f) => {
+    const time = times[f].toFixed(3);
+    const keys = [];
+
+    for (let k = 0; k < frame.length; k++) {
+      if (frame[k] === 0) continue;
+
+      const db = 10 * Math.log10(frame[k] / maxEnergy);
+      if (db < -settings.dynamicRange) continue;
+
+      keys.push({ index: k, db });
+    }
+
+    keys.sort((a, b) => b.db - a.db);
+
+    keys.slice(0, settings.maxKeys).forEach(({ index, db }) => {
+      const midi = PIANO_LOWEST_MIDI + index;
+
+      pitches.push({
+        time,
+        hz: midiToHz(midi),
+        midi,
+        velocity: Math.max(
+          1,
+          Math.round(127 * (1 + db / settings.dynamicRange)),
+        ),
+      });
+    });
+  });
+
+  return pitches;
+}
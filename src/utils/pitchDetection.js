@@ -53,6 +53,54 @@ export function autoCorrelate(buffer, sampleRate) {
   return hz;
 }
 
+/**
+ * Detect the dominant pitch throughout a recording with autocorrelation
+ * @param {Float32Array} channelData - Audio samples
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {object} options - { windowSize, hopSize }
+ * @param {function} onProgress - Optional callback receiving (0-100, pitches found since the last call)
+ * @returns {Array<{time: string, hz: number}>}
+ */
+export function detectAutocorrelationPitches(
+  channelData,
+  sampleRate,
+  options = {},
+  onProgress,
+) {
+  const { windowSize = 2048, hopSize = 512 } = options;
+  const pitches = [];
+  let reported = 0;
+
+  // Process audio in chunks
+  for (let i = 0; i < channelData.length - windowSize; i += hopSize) {
+    const buffer = channelData.subarray(i, i + windowSize);
+    const hz = autoCorrelate(buffer, sampleRate);
+
+    const time = i / sampleRate;
+
+    // Filter to reasonable pitch range (50-1000 Hz)
+    if (hz > 50 && hz < 1000) {
+      pitches.push({
+        time: time.toFixed(3),
+        hz: Math.round(hz * 100) / 100,
+      });
+    }
+
+    // Update progress
+    if (onProgress && i % (hopSize * 100) === 0) {
+      onProgress(
+        Math.round((i / channelData.length) * 100),
+        pitches.slice(reported),
+      );
+      reported = pitches.length;
+    }
+  }
+
+  if (onProgress) onProgress(100, pitches.slice(reported));
+
+  return pitches;
+}
+
 /**
  * Convert frequency (Hz) to MIDI note number
  * @param {number} hz - Frequency in Hz
@@ -70,3 +118,27 @@ export function hzToMidi(hz) {
 export function midiToHz(midiNote) {
   return 440 * Math.pow(2, (midiNote - 69) / 12);
 }
+
+export const NOTE_NAMES = [
+  "C",
+  "C#",
+  "D",
+  "D#",
+  "E",
+  "F",
+  "F#",
+  "G",
+  "G#",
+  "A",
+  "A#",
+  "B",
+];
+
+/**
+ * Convert MIDI note number to scientific pitch notation
+ * @param {number} midiNote - MIDI note number (0-127)
+ * @returns {string} Note name, e.g. "C4" for 60
+ */
+export function midiToNoteName(midiNote) {
+  return `${NOTE_NAMES[midiNote % 12]}${Math.floor(midiNote / 12) - 1}`;
+}
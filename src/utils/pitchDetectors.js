@@ -0,0 +1,191 @@
+import { createFFT } from "./fft";
+import {
+  DEFAULT_SPECTRAL_OPTIONS,
+  FUNDAMENTAL_METHODS,
+  findFundamentals,
+} from "./spectralPitchDetection";
+import {
+  DEFAULT_YIN_OPTIONS,
+  createLivePitchEstimator,
+} from "./yinPitchDetection";
+
+/**
+ * Pitch detector registry
+ * Every pitch detection algorithm the app offers, with the parameters the
+ * settings panel shows for it. The chosen detector drives auto-detection,
+ * manual re-detection and the microphone's live view. A detector runs
+ * offline through the analysis worker analyzer of the same id, and live
+ * through createLiveEstimator().
+ *
+ * Detector shape:
+ *   { id, label, description, polyphonic, defaults,
+ *     params: [{ key, label, min, max, step } or
+ *              { key, label, choices: [{ value, label }] }],
+ *     createLiveEstimator(sampleRate, options) => (frame) => { hz, confidence } }
+ * hz is -1 for frames without a pitch; confidence is null when the
+ * detector doesn't estimate one.
+ */
+
+export const DEFAULT_DETECTOR = "spectral";
+
+const toChoices = (values) =>
+  values.map((value) => ({ value, label: String(value) }));
+
+const FRAME_SIZES = toChoices([1024, 2048, 4096, 8192]);
+const HOP_SIZES = toChoices([256, 512, 1024]);
+
+const detectors = new Map();
+
+/**
+ * Add a detector, or replace one with the same id
+ * @param {object} detector - See the module comment
+ */
+export function registerPitchDetector(detector) {
+  detectors.set(detector.id, detector);
+}
+
+/**
+ * @returns {Array<object>} Detectors in registration order
+ */
+export function getPitchDetectors() {
+  return [...detectors.values()];
+}
+
+/**
+ * @param {string} id
+ * @returns {object} The detector, or the default one for unknown ids
+ */
+export function getPitchDetector(id) {
+  return detectors.get(id) ?? detectors.get(DEFAULT_DETECTOR);
+}
+
+/**
+ * Settings for the settings panel: the chosen detector and the parameters
+ * set for each detector, so switching back and forth keeps them
+ * @returns {{method: string, options: object}}
+ */
+export function getDefaultDetectorSettings() {
+  return { method: DEFAULT_DETECTOR, options: {} };
+}
+
+/**
+ * Options to run the chosen detector with
+ * @param {{method: string, options: object}} settings
+ * @returns {object}
+ */
+export function getDetectorOptions(settings) {
+  const detector = getPitchDetector(settings.method);
+  return { ...detector.defaults, ...settings.options[detector.id] };
+}
+
+/**
+ * Frame-by-frame estimator for live input with the chosen detector
+ * Pitches outside minHz - maxHz are the ones offline detection with the
+ * same settings leaves out; detectors without a range keep to their own.
+ * @param {{method: string, options: object}} settings
+ * @param {number} sampleRate
+ * @param {number} hopSize - Expected number of new samples between frames
+ * @returns {{frameSize: number, minHz: number, maxHz: number, estimate: function(Float32Array): {hz: number, confidence: number|null}}}
+ */
+export function createLiveDetector(settings, sampleRate, hopSize) {
+  const detector = getPitchDetector(settings.method);
+  const options = { ...getDetectorOptions(settings), hopSize };
+
+  return {
+    frameSize: options.windowSize ?? options.fftSize,
+    minHz: options.minHz ?? 0,
+    maxHz: options.maxHz ?? Infinity,
+    estimate: detector.createLiveEstimator(sampleRate, options),
+  };
+}
+
+const frameSizeParam = (key) => ({
+  key,
+  label: "Frame size",
+  choices: FRAME_SIZES,
+});
+const hopSizeParam = { key: "hopSize", label: "Hop size", choices: HOP_SIZES };
+const rangeParams = [
+  { key: "minHz", label: "Lowest pitch (Hz)", min: 30, max: 200, step: 5 },
+  { key: "maxHz", label: "Highest pitch (Hz)", min: 400, max: 2000, step: 50 },
+];
+
+registerPitchDetector({
+  id: "autocorrelation",
+  label: "Autocorrelation",
+  description: "Fast, monophonic (single note at a time), good for melodies",
+  polyphonic: false,
+  // The range detectAutocorrelationPitches() keeps
+  defaults: { windowSize: 2048, hopSize: 512, minHz: 50, maxHz: 1000 },
+  params: [frameSizeParam("windowSize"), hopSizeParam],
+  createLiveEstimator: (sampleRate, options) =>
+    createLivePitchEstimator("autocorrelation", sampleRate, options),
+});
+
+registerPitchDetector({
+  id: "yin",
+  label: "YIN",
+  description: "Monophonic with a confidence per frame, fewer octave errors",
+  polyphonic: false,
+  defaults: DEFAULT_YIN_OPTIONS,
+  params: [
+    frameSizeParam("windowSize"),
+    hopSizeParam,
+    ...rangeParams,
+    { key: "threshold", label: "Threshold", min: 0.05, max: 0.5, step: 0.01 },
+  ],
+  createLiveEstimator: (sampleRate, options) =>
+    createLivePitchEstimator("yin", sampleRate, options),
+});
+
+registerPitchDetector({
+  id: "pyin",
+  label: "pYIN",
+  description: "YIN with a smoothed pitch track, best for voice",
+  polyphonic: false,
+  defaults: DEFAULT_YIN_OPTIONS,
+  params: [frameSizeParam("windowSize"), hopSizeParam, ...rangeParams],
+  createLiveEstimator: (sampleRate, options) =>
+    createLivePitchEstimator("pyin", sampleRate, options),
+});
+
+registerPitchDetector({
+  id: "spectral",
+  label: "Spectral",
+  description: "Polyphonic (chords), velocity-sensitive, harmonic filtering",
+  polyphonic: true,
+  defaults: DEFAULT_SPECTRAL_OPTIONS,
+  params: [
+    frameSizeParam("fftSize"),
+    hopSizeParam,
+    {
+      key: "sensitivity",
+      label: "Sensitivity",
+      min: 0.01,
+      max: 0.2,
+      step: 0.01,
+    },
+    {
+      key: "fundamentals",
+      label: "Fundamentals",
+      choices: FUNDAMENTAL_METHODS,
+    },
+  ],
+  // Live input shows one pitch: the loudest fundamental
+  createLiveEstimator: (sampleRate, options) => {
+    const fft = createFFT(options.fftSize, "hann");
+    const spectrum = new Float32Array(fft.bins);
+
+    return (frame) => {
+      fft.magnitude(frame, 0, spectrum);
+      const [loudest] = findFundamentals(
+        spectrum,
+        sampleRate,
+        options.fftSize,
+        options,
+      ).sort((a, b) => b.amplitude - a.amplitude);
+
+      return { hz: loudest ? loudest.frequency : -1, confidence: null };
+    };
+  },
+});
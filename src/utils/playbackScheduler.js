@@ -0,0 +1,335 @@
+/**
+ * Playback scheduling
+ * A look-ahead scheduler: a short timer keeps queuing the notes that start
+ * within the next fraction of a second at exact AudioContext times, so
+ * playback doesn't drift with timer jitter and can be paused, sought,
+ * looped and silenced at any moment. The original recording can run on
+ * the same clock, so both are heard in sync through their own gains.
+ */
+
+const LOOK_AHEAD = 0.1; // Seconds of notes queued ahead of the playhead
+const TIMER_INTERVAL = 25; // Milliseconds between scheduler runs
+const START_LATENCY = 0.05; // Seconds between pressing play and the first note
+const FADE_TIME = 0.01; // Seconds of fade-out when silencing, avoids clicks
+const MIN_LOOP_LENGTH = 0.05; // Seconds
+
+/**
+ * Equal-power crossfade between the recording and the notes
+ * @param {number} position - 0 = original only, 1 = MIDI only
+ * @returns {{audio: number, notes: number}} Linear gains
+ */
+export function crossfadeGains(position) {
+  return {
+    audio: Math.cos((position * Math.PI) / 2),
+    notes: Math.sin((position * Math.PI) / 2),
+  };
+}
+
+/**
+ * Create a playback scheduler
+ * Instruments must play into `scheduler.output` (e.g. soundfont-player's
+ * `destination` option) so they can be mixed and faded out instantly.
+ * @param {AudioContext} audioContext - Usually the shared context
+ * @param {object} callbacks - { onEnded } called when playback reaches the end
+ * @returns {object} Scheduler with play/pause/stop/seek/setLoop/setNotes/setAudioBuffer/setInstrument/setMix/getPosition
+ */
+export function createPlaybackScheduler(audioContext, { onEnded } = {}) {
+  // Notes play into output and the recording into audioOutput; both feed
+  // master, which is what silencing fades
+  const master = audioContext.createGain();
+  const output = audioContext.createGain();
+  const audioOutput = audioContext.createGain();
+  output.connect(master);
+  audioOutput.connect(master);
+  master.connect(audioContext.destination);
+
+  let notes = [];
+  let audioBuffer = null;
+  let duration = 0;
+  let instrument = null;
+  let loop = null;
+
+  let playing = false;
+  let position = 0; // Song time while stopped or paused
+  let timer = null;
+  let endTime = null; // Context time at which everything has finished
+
+  // Song time scheduled so far, and the context time it maps to
+  let cursor = 0;
+  let cursorTime = 0;
+  let nextIndex = 0;
+
+  // Points where song time jumps (start, seek, loop wrap)
+  let anchors = [];
+  let voices = [];
+
+  const firstNoteFrom = (time) => {
+    let low = 0;
+    let high = notes.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (notes[mid].start < time) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  const segmentEnd = () => (loop ? loop.end : duration);
+
+  const playNote = (note, when, length) => {
+    if (!instrument || length <= 0) return;
+
+    const node = instrument.play(note.midi, when, {
+      duration: length,
+      gain: note.velocity / 127,
+    });
+    if (node) voices.push({ source: node.source, end: when + length });
+  };
+
+  const playRecording = (songTime, when) => {
+    if (!audioBuffer || songTime >= audioBuffer.duration) return;
+
+    const source = audioContext.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(audioOutput);
+
+    // Runs to the loop end, where the next pass starts a fresh source
+    const length = Math.min(segmentEnd(), audioBuffer.duration) - songTime;
+    source.start(when, songTime);
+    source.stop(when + length);
+    voices.push({ source, end: when + length });
+  };
+
+  const updateDuration = () => {
+    duration = notes.reduce(
+      (max, note) => Math.max(max, note.end),
+      audioBuffer ? audioBuffer.duration : 0,
+    );
+    position = Math.min(position, duration);
+  };
+
+  // Continue playback from songTime at contextTime, including the notes
+  // that are already sounding there
+  const jump = (songTime, contextTime) => {
+    cursor = songTime;
+    cursorTime = contextTime;
+    nextIndex = firstNoteFrom(songTime);
+    anchors.push({ contextTime, songTime });
+    playRecording(songTime, contextTime);
+
+    const end = segmentEnd();
+    for (let i = 0; i < nextIndex; i++) {
+      const note = notes[i];
+      if (note.end > songTime) {
+        playNote(note, contextTime, Math.min(note.end, end) - songTime);
+      }
+    }
+  };
+
+  const schedule = () => {
+    const now = audioContext.currentTime;
+
+    if (endTime !== null) {
+      if (now >= endTime) {
+        halt(false);
+        position = 0;
+        onEnded?.();
+      }
+      return;
+    }
+
+    voices = voices.filter((voice) => voice.end > now);
+
+    const horizon = now + LOOK_AHEAD;
+    while (cursorTime < horizon) {
+      const end = segmentEnd();
+      const windowEnd = Math.min(end, cursor + (horizon - cursorTime));
+
+      while (nextIndex < notes.length && notes[nextIndex].start < windowEnd) {
+        const note = notes[nextIndex++];
+        playNote(
+          note,
+          cursorTime + (note.start - cursor),
+          Math.min(note.end, end) - note.start,
+        );
+      }
+
+      cursorTime += windowEnd - cursor;
+      cursor = windowEnd;
+
+      if (cursor >= end) {
+        if (!loop) {
+          endTime = cursorTime;
+          break;
+        }
+        jump(loop.start, cursorTime);
+      }
+    }
+  };
+
+  // Fade out and cut every queued or sounding note right now
+  const silence = () => {
+    const now = audioContext.currentTime;
+
+    master.gain.cancelScheduledValues(now);
+    master.gain.setValueAtTime(master.gain.value, now);
+    master.gain.linearRampToValueAtTime(0, now + FADE_TIME);
+    // Notes of a restart begin after START_LATENCY, once this is back up
+    master.gain.setValueAtTime(1, now + FADE_TIME * 2);
+
+    // Stop the sample sources themselves; the instrument's own stop() would
+    // let every note ring through its release
+    voices.forEach(({ source }) => source.stop(now + FADE_TIME));
+    voices = [];
+  };
+
+  const halt = (fade = true) => {
+    if (timer) clearInterval(timer);
+    timer = null;
+    playing = false;
+    endTime = null;
+    if (fade) silence();
+  };
+
+  const getPosition = () => {
+    if (!playing) return position;
+
+    const now = audioContext.currentTime;
+    while (anchors.length > 1 && anchors[1].contextTime <= now) {
+      anchors.shift();
+    }
+
+    const [anchor] = anchors;
+    const time = anchor.songTime + Math.max(0, now - anchor.contextTime);
+    return Math.min(time, loop ? loop.end : duration);
+  };
+
+  const start = (from) => {
+    let songTime = Math.max(0, from);
+    if (songTime >= duration) songTime = 0;
+    if (loop && (songTime < loop.start || songTime >= loop.end)) {
+      songTime = loop.start;
+    }
+
+    anchors = [];
+    endTime = null;
+    jump(songTime, audioContext.currentTime + START_LATENCY);
+    schedule();
+
+    if (!timer) timer = setInterval(schedule, TIMER_INTERVAL);
+  };
+
+  // Re-plan from the current position after notes or the loop changed
+  const restart = () => {
+    if (!playing) return;
+
+    const from = getPosition();
+    silence();
+    start(from);
+  };
+
+  return {
+    output,
+
+    get isPlaying() {
+      return playing;
+    },
+
+    getPosition,
+
+    /**
+     * Start or resume playback
+     * @param {number} from - Song time in seconds (default: paused position)
+     */
+    play(from = position) {
+      if (playing) silence();
+      playing = true;
+      start(from);
+    },
+
+    pause() {
+      if (!playing) return;
+      position = getPosition();
+      halt();
+    },
+
+    stop() {
+      halt();
+      position = 0;
+    },
+
+    /**
+     * Move the playhead
+     * @param {number} time - Song time in seconds
+     */
+    seek(time) {
+      const clamped = Math.max(0, Math.min(time, duration));
+
+      if (playing) {
+        silence();
+        start(clamped);
+      } else {
+        position = clamped;
+      }
+    },
+
+    /**
+     * Repeat a region of the song
+     * @param {{start: number, end: number}|null} region - Seconds, null to clear
+     */
+    setLoop(region) {
+      const end = region ? Math.min(region.end, duration) : 0;
+      loop =
+        region && end - region.start >= MIN_LOOP_LENGTH
+          ? { start: region.start, end }
+          : null;
+      restart();
+    },
+
+    /**
+     * Replace the notes being played
+     * @param {Array<{midi: number, start: number, end: number, velocity: number}>} newNotes
+     */
+    setNotes(newNotes) {
+      notes = [...(newNotes || [])].sort((a, b) => a.start - b.start);
+      updateDuration();
+      restart();
+    },
+
+    /**
+     * Play a recording alongside the notes, from the same song time
+     * @param {AudioBuffer|null} buffer - null plays the notes alone
+     */
+    setAudioBuffer(buffer) {
+      audioBuffer = buffer;
+      updateDuration();
+      restart();
+    },
+
+    /**
+     * Set the level of the notes and of the recording
+     * @param {{notes: number, audio: number}} levels - Linear gains
+     */
+    setMix(levels) {
+      ["notes", "audio"].forEach((track) => {
+        if (!Number.isFinite(levels[track])) {
+          throw new Error(`Invalid ${track} level: ${levels[track]}`);
+        }
+      });
+
+      const now = audioContext.currentTime;
+
+      // A short ramp keeps fader moves free of zipper noise
+      output.gain.setTargetAtTime(levels.notes, now, 0.01);
+      audioOutput.gain.setTargetAtTime(levels.audio, now, 0.01);
+    },
+
+    /**
+     * Switch the instrument used for notes scheduled from now on
+     * @param {object} newInstrument - Anything with play(midi, when, options)
+     */
+    setInstrument(newInstrument) {
+      instrument = newInstrument;
+    },
+  };
+}
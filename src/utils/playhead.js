@@ -0,0 +1,70 @@
+/**
+ * Shared playhead
+ * Whatever is playing (MIDI player, waveform preview) registers a function
+ * returning its position in seconds; visualizations subscribe and draw it
+ * every animation frame while a source is registered
+ */
+
+let source = null;
+const listeners = new Set();
+
+function notify() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Register the current playback position source
+ * @param {function(): number} getPosition - Returns seconds into the audio
+ */
+export function setPlayheadSource(getPosition) {
+  source = getPosition;
+  notify();
+}
+
+/**
+ * Unregister a position source, if it is still the current one
+ * @param {function(): number} getPosition - The function passed to setPlayheadSource
+ */
+export function clearPlayheadSource(getPosition) {
+  if (source !== getPosition) return;
+
+  source = null;
+  notify();
+}
+
+/**
+ * Get the playhead position
+ * @returns {number|null} Seconds, or null when nothing is playing
+ */
+export function getPlayheadPosition() {
+  return source ? source() : null;
+}
+
+/**
+ * Follow the playhead
+ * The callback receives the position (or null) on every animation frame
+ * while a source is registered, and once with null when it goes away.
+ * @param {function(number|null): void} onFrame
+ * @returns {function} Unsubscribe
+ */
+export function followPlayhead(onFrame) {
+  let frame = null;
+
+  const tick = () => {
+    onFrame(getPlayheadPosition());
+    frame = source ? requestAnimationFrame(tick) : null;
+  };
+
+  const listener = () => {
+    if (frame !== null) cancelAnimationFrame(frame);
+    tick();
+  };
+
+  listeners.add(listener);
+  listener();
+
+  return () => {
+    listeners.delete(listener);
+    if (frame !== null) cancelAnimationFrame(frame);
+  };
+}
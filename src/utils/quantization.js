@@ -0,0 +1,113 @@
+import { createBeatTimeline, getBeatGrid } from "./beatTracking";
+
+/**
+ * Rhythm quantization
+ * Moves note starts and ends towards a grid of beat subdivisions, so
+ * playback, MIDI and notation read as regular rhythms. Positions are
+ * measured in beats along the tempo's beats, so the grid follows a
+ * detected tempo map as well as a fixed tempo.
+ */
+
+// Grid steps per beat (quarter note)
+export const GRID_OPTIONS = [
+  { value: 1, label: "1/4" },
+  { value: 2, label: "1/8" },
+  { value: 4, label: "1/16" },
+  { value: 8, label: "1/32" },
+];
+
+// Notes shorter than this, in beats, are left out
+export const MIN_LENGTH_OPTIONS = [
+  { value: 0, label: "Off" },
+  { value: 0.125, label: "1/32" },
+  { value: 0.25, label: "1/16" },
+  { value: 0.5, label: "1/8" },
+  { value: 1, label: "1/4" },
+];
+
+export const DEFAULT_QUANTIZE_OPTIONS = {
+  enabled: false,
+  grid: 4, // A GRID_OPTIONS value
+  triplets: false, // Three steps in the time of two
+  strength: 100, // Percent of the way to the grid
+  swing: 0, // Percent; 100 delays every second step to the triplet position
+  minLength: 0, // A MIN_LENGTH_OPTIONS value
+};
+
+/**
+ * Length of one grid step
+ * @param {object} options - { grid, triplets }
+ * @returns {number} Beats
+ */
+export function getGridStep({ grid, triplets }) {
+  return triplets ? 2 / (3 * grid) : 1 / grid;
+}
+
+/**
+ * Nearest grid position to a beat position
+ * @param {number} beat
+ * @param {number} step - From getGridStep()
+ * @param {number} swingShift - Beats every odd step is delayed by
+ * @returns {number} Beats
+ */
+function nearestGridPosition(beat, step, swingShift) {
+  const positionOf = (index) => index * step + (index % 2 ? swingShift : 0);
+  const index = Math.floor(beat / step);
+
+  let best = positionOf(index);
+  for (const candidate of [index - 1, index + 1, index + 2]) {
+    const position = positionOf(candidate);
+    if (Math.abs(position - beat) < Math.abs(best - beat)) best = position;
+  }
+  return best;
+}
+
+/**
+ * Quantize notes to a beat grid
+ * @param {Array<{midi: number, start: number, end: number, velocity: number}>} notes
+ * @param {number[]} beats - Beat times in seconds, at least two (see
+ *   getTempoBeats() in midiExport.js)
+ * @param {object} options - DEFAULT_QUANTIZE_OPTIONS overrides
+ * @returns {Array<object>} New notes, sorted by start; every note lasts at
+ *   least one grid step at full strength
+ */
+export function quantizeNotes(notes, beats, options = {}) {
+  const { grid, triplets, strength, swing, minLength } = {
+    ...DEFAULT_QUANTIZE_OPTIONS,
+    ...options,
+  };
+  if (!beats || beats.length < 2) return notes;
+
+  const { toBeats, toSeconds } = createBeatTimeline(getBeatGrid(beats));
+  const step = getGridStep({ grid, triplets });
+  const swingShift = triplets ? 0 : (swing / 100) * (step / 3);
+  const amount = strength / 100;
+
+  return notes
+    .map((note) => ({
+      note,
+      start: toBeats(note.start),
+      end: toBeats(note.end),
+    }))
+    .filter(({ start, end }) => end - start >= minLength)
+    .map(({ note, start, end }) => {
+      const gridStart = nearestGridPosition(start, step, swingShift);
+      const gridEnd = Math.max(
+        gridStart + step,
+        nearestGridPosition(end, step, swingShift),
+      );
+      const newStart = start + amount * (gridStart - start);
+      const newEnd = Math.max(
+        newStart + step * amount,
+        end + amount * (gridEnd - end),
+      );
+
+      return {
+        ...note,
+        start: Math.max(0, toSeconds(newStart)),
+        end: toSeconds(newEnd),
+      };
+    })
+    .filter((note) => note.end > note.start)
+    .sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,529 @@
+import { createFFT } from "./fft";
+import { hzToMidi } from "./pitchDetection";
+
+/**
+ * Spectral (polyphonic) pitch detection
+ * Finds the spectral peaks of each frame and decides which of them are
+ * note fundamentals, either by dropping peaks that look like harmonics of
+ * a lower peak or by scoring candidate fundamentals on all their harmonics
+ * (harmonic sum or harmonic product spectrum), and reports the fundamentals
+ * as simultaneous notes
+ */
+
+export const DEFAULT_SPECTRAL_OPTIONS = {
+  fftSize: 4096, // Larger FFT for better frequency resolution
+  hopSize: 512,
+  sensitivity: 0.05, // Minimum normalized magnitude for a peak
+  fundamentals: "ratio", // A FUNDAMENTAL_METHODS value
+};
+
+/**
+ * Ways of telling fundamentals from harmonics
+ */
+export const FUNDAMENTAL_METHODS = [
+  { value: "ratio", label: "Harmonic ratio" },
+  { value: "harmonicSum", label: "Harmonic sum" },
+  { value: "hps", label: "Harmonic product" },
+];
+
+const PEAK_NEIGHBOURHOOD = 2; // Bins a peak must beat on each side (the Hann main lobe)
+const MASKING_BINS = 4; // Bins within which a louder main lobe can hide a peak
+const HARMONICS = 8; // Partials scored per candidate fundamental
+const HPS_HARMONICS = 4; // Partials multiplied by the product spectrum
+const MAX_SUBHARMONIC = 4; // Peaks can be up to this harmonic of a missing fundamental
+const MISSING_FUNDAMENTAL_PARTIALS = 5; // Partials a missing fundamental needs, from the second
+const MISSING_PARTIAL = 1e-4; // Level a partial without any peak counts as in the product
+const PARTIAL_TOLERANCE = 0.03; // Relative distance of a partial from h * f0
+const BEATING_TOLERANCE = 0.01; // Relative distance of two partials that beat
+const MIN_FUNDAMENTAL = 50; // Hz
+const MAX_FUNDAMENTAL = 2000; // Hz
+const MAX_PARTIAL = 4000; // Hz, top of the peak search
+const HARMONIC_DECAY = 0.84; // Weight of each partial relative to the one below
+const MAX_POLYPHONY = 6;
+const MIN_RELATIVE_SALIENCE = 0.2; // Of the strongest note in the frame
+const SALIENCE_PEAKS = 30; // Quieter peaks still count as partials
+const PARTIAL_FLOOR = 0.25; // Quietest partial counted, relative to the sensitivity
+
+/**
+ * Check if a frequency is likely a harmonic of another
+ * @param {number} freq - Candidate harmonic in Hz
+ * @param {number} fundamental - Candidate fundamental in Hz
+ * @param {number} tolerance - Allowed deviation from an integer ratio
+ * @returns {boolean}
+ */
+export function isHarmonic(freq, fundamental, tolerance = 0.1) {
+  const ratio = freq / fundamental;
+  const nearestInteger = Math.round(ratio);
+  return Math.abs(ratio - nearestInteger) < tolerance && nearestInteger > 1;
+}
+
+/**
+ * Find local maxima in a magnitude spectrum within the musical range
+ * @param {Float32Array} spectrum - Magnitude spectrum
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {number} fftSize - FFT size in samples
+ * @param {number} threshold - Minimum magnitude for a peak
+ * @param {number} maxPeaks - How many of the loudest peaks to keep
+ * @returns {Array<{frequency: number, amplitude: number, bin: number}>} Loudest first, with sub-bin frequency and amplitude
+ */
+export function findSpectralPeaks(
+  spectrum,
+  sampleRate,
+  fftSize,
+  threshold = 0.01,
+  maxPeaks = 10,
+) {
+  const peaks = [];
+  const binWidth = sampleRate / fftSize;
+
+  // Find local maxima
+  for (
+    let i = PEAK_NEIGHBOURHOOD;
+    i < spectrum.length - PEAK_NEIGHBOURHOOD;
+    i++
+  ) {
+    const value = spectrum[i];
+
+    // Must be above threshold
+    if (value < threshold) continue;
+
+    // Must be local maximum
+    let isMax = true;
+
+    for (let j = -PEAK_NEIGHBOURHOOD; j <= PEAK_NEIGHBOURHOOD; j++) {
+      if (j !== 0 && spectrum[i + j] >= value) {
+        isMax = false;
+        break;
+      }
+    }
+
+    if (isMax) {
+      const { offset, amplitude } = interpolatePeak(spectrum, i);
+      const frequency = (i + offset) * binWidth;
+
+      // Filter to musical range (50Hz - 4000Hz)
+      if (frequency >= MIN_FUNDAMENTAL && frequency <= MAX_PARTIAL) {
+        peaks.push({
+          frequency: frequency,
+          amplitude: amplitude,
+          bin: i,
+        });
+      }
+    }
+  }
+
+  // Sort by amplitude (loudest first)
+  peaks.sort((a, b) => b.amplitude - a.amplitude);
+
+  // Keep the loudest peaks
+  return peaks.slice(0, maxPeaks);
+}
+
+/**
+ * Refine a spectral peak between bins by fitting a parabola through the
+ * log magnitudes of the peak bin and its neighbours
+ * @param {Float32Array} spectrum - Magnitude spectrum
+ * @param {number} bin - Local maximum
+ * @returns {{offset: number, amplitude: number}} Offset in bins (-0.5 to 0.5) and the amplitude at the vertex
+ */
+export function interpolatePeak(spectrum, bin) {
+  const left = Math.log(spectrum[bin - 1] + 1e-12);
+  const centre = Math.log(spectrum[bin] + 1e-12);
+  const right = Math.log(spectrum[bin + 1] + 1e-12);
+  const curvature = left - 2 * centre + right;
+
+  if (curvature >= 0) return { offset: 0, amplitude: spectrum[bin] };
+
+  const offset = Math.max(
+    -0.5,
+    Math.min(0.5, (0.5 * (left - right)) / curvature),
+  );
+  return {
+    offset,
+    amplitude: Math.exp(centre - 0.25 * (left - right) * offset),
+  };
+}
+
+/**
+ * Keep only peaks that are not harmonics of a lower peak
+ * @param {Array<{frequency: number, amplitude: number}>} peaks
+ * @returns {Array<{frequency: number, amplitude: number}>} Fundamentals, lowest first
+ */
+export function filterHarmonics(peaks) {
+  if (peaks.length === 0) return [];
+
+  const fundamentals = [];
+  const used = new Set();
+
+  // Sort by frequency (lowest first)
+  const sorted = [...peaks].sort((a, b) => a.frequency - b.frequency);
+
+  for (let i = 0; i < sorted.length; i++) {
+    if (used.has(i)) continue;
+
+    const candidate = sorted[i];
+    let isFundamental = true;
+
+    // Check if this is a harmonic of any lower frequency
+    for (let j = 0; j < i; j++) {
+      if (used.has(j)) continue;
+
+      if (isHarmonic(candidate.frequency, sorted[j].frequency)) {
+        isFundamental = false;
+        break;
+      }
+    }
+
+    if (isFundamental) {
+      fundamentals.push(candidate);
+      used.add(i);
+
+      // Mark harmonics as used
+      for (let j = i + 1; j < sorted.length; j++) {
+        if (isHarmonic(sorted[j].frequency, candidate.frequency)) {
+          used.add(j);
+        }
+      }
+    }
+  }
+
+  return fundamentals;
+}
+
+/**
+ * Detect simultaneous pitches across a whole recording
+ * @param {Float32Array} channelData - Audio samples
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {object} options - { fftSize, hopSize, sensitivity, fundamentals }
+ * @param {function} onProgress - Optional callback receiving (0-100, pitches found since the last call)
+ * @returns {Array<{time: string, hz: number, midi: number, velocity: number}>}
+ */
+export function detectSpectralPitches(
+  channelData,
+  sampleRate,
+  options = {},
+  onProgress,
+) {
+  const settings = { ...DEFAULT_SPECTRAL_OPTIONS, ...options };
+  const { fftSize, hopSize } = settings;
+  const fft = createFFT(fftSize, "hann");
+  const spectrum = new Float32Array(fft.bins);
+  const pitches = [];
+  let reported = 0;
+
+  // Process audio in chunks
+  for (let i = 0; i < channelData.length - fftSize; i += hopSize) {
+    const time = (i / sampleRate).toFixed(3);
+
+    // Perform FFT and keep the fundamentals, with velocity from amplitude
+    fft.magnitude(channelData, i, spectrum);
+    findFundamentals(spectrum, sampleRate, fftSize, settings).forEach(
+      (peak) => {
+        pitches.push({
+          time,
+          hz: peak.frequency,
+          midi: hzToMidi(peak.frequency),
+          velocity: Math.min(127, Math.round(peak.amplitude * 127)),
+        });
+      },
+    );
+
+    // Update progress
+    if (onProgress && i % (hopSize * 50) === 0) {
+      onProgress(
+        Math.round((i / channelData.length) * 100),
+        pitches.slice(reported),
+      );
+      reported = pitches.length;
+    }
+  }
+
+  if (onProgress) onProgress(100, pitches.slice(reported));
+
+  return pitches;
+}
+
+/**
+ * Collect the spectral peaks of every frame, before harmonic filtering
+ * @param {Float32Array} channelData - Audio samples
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {object} options - { fftSize, hopSize, sensitivity }
+ * @param {function} onProgress - Optional callback receiving (0-100)
+ * @returns {Array<{time: number, peaks: Array<{frequency: number, amplitude: number}>}>} Frames with at least one peak
+ */
+export function detectSpectralPeaks(
+  channelData,
+  sampleRate,
+  options = {},
+  onProgress,
+) {
+  const { fftSize, hopSize, sensitivity } = {
+    ...DEFAULT_SPECTRAL_OPTIONS,
+    ...options,
+  };
+  const fft = createFFT(fftSize, "hann");
+  const spectrum = new Float32Array(fft.bins);
+  const frames = [];
+
+  for (let i = 0; i < channelData.length - fftSize; i += hopSize) {
+    fft.magnitude(channelData, i, spectrum);
+    const peaks = findSpectralPeaks(spectrum, sampleRate, fftSize, sensitivity);
+
+    if (peaks.length > 0) {
+      frames.push({
+        time: i / sampleRate,
+        peaks: peaks.map(({ frequency, amplitude }) => ({
+          frequency,
+          amplitude,
+        })),
+      });
+    }
+
+    if (onProgress && i % (hopSize * 50) === 0) {
+      onProgress(Math.round((i / channelData.length) * 100));
+    }
+  }
+
+  if (onProgress) onProgress(100);
+
+  return frames;
+}
+
+// Loudest remaining partial near a frequency
+function findPartial(peaks, frequency) {
+  let best = null;
+  peaks.forEach((peak) => {
+    if (
+      Math.abs(peak.frequency - frequency) <= frequency * PARTIAL_TOLERANCE &&
+      peak.residual > 0 &&
+      (!best || peak.residual > best.residual)
+    ) {
+      best = peak;
+    }
+  });
+  return best;
+}
+
+// Whether there is a peak near a frequency, whichever note it belongs to
+const hasPeakNear = (peaks, frequency) =>
+  peaks.some(
+    (peak) =>
+      Math.abs(peak.frequency - frequency) <= frequency * PARTIAL_TOLERANCE,
+  );
+
+// Whether a frequency is within a tolerance of one of f0's partials
+function isPartialOf(frequency, f0, tolerance) {
+  const harmonic = Math.round(frequency / f0);
+  return (
+    harmonic >= 1 &&
+    harmonic <= HARMONICS &&
+    Math.abs(frequency - harmonic * f0) <= frequency * tolerance
+  );
+}
+
+// Whether another note may hide a partial without a peak: a louder peak's
+// main lobe masks it, or it beats against a nearly equal partial of a peak
+// that isn't one of the candidate's own and cancels
+const mayBeHidden = (peaks, candidate, frequency) =>
+  peaks.some(
+    (peak) =>
+      Math.abs(peak.frequency - frequency) <=
+        (MASKING_BINS * peak.frequency) / peak.bin ||
+      (!isPartialOf(peak.frequency, candidate.frequency, PARTIAL_TOLERANCE) &&
+        isPartialOf(frequency, peak.frequency, BEATING_TOLERANCE)),
+  );
+
+// Partials of a candidate from its first counted harmonic on, null where
+// there is none
+const getPartials = (peaks, candidate, count) =>
+  Array.from({ length: count }, (_, i) =>
+    findPartial(peaks, candidate.frequency * (candidate.firstPartial + i)),
+  );
+
+// Partial levels limited to the mean of their neighbours: what a smooth
+// harmonic envelope accounts for, leaving the rest to other notes
+function smoothLevels(partials) {
+  const levels = partials.map((partial) => (partial ? partial.residual : 0));
+  return levels.map((level, h) => {
+    const neighbours = levels.slice(Math.max(0, h - 1), h + 2);
+    const mean =
+      neighbours.reduce((sum, value) => sum + value, 0) / neighbours.length;
+    return Math.min(level, mean);
+  });
+}
+
+// Weighted sum of the partial levels; the first counts in full, so a lone
+// peak needs the sensitivity as in the ratio filter
+function harmonicSumSalience(peaks, candidate) {
+  return getPartials(peaks, candidate, HARMONICS).reduce(
+    (sum, partial, i) =>
+      sum + (partial ? partial.residual : 0) * Math.pow(HARMONIC_DECAY, i),
+    0,
+  );
+}
+
+// Geometric mean of the first partials below the top of the peak search:
+// only high when all of them are present, which rules out octave errors
+// (and tones with only odd partials, like a clarinet's). A partial another
+// note took or may hide counts at the floor. Scaled so that a tone whose
+// loudest partial just reaches the sensitivity, with the others at the
+// floor, scores the sensitivity like a single peak.
+function harmonicProductSalience(peaks, candidate, floor) {
+  const { frequency, firstPartial } = candidate;
+  const count = Math.max(
+    1,
+    Math.min(
+      HPS_HARMONICS,
+      Math.floor(MAX_PARTIAL / frequency) - firstPartial + 1,
+    ),
+  );
+  const logSum = getPartials(peaks, candidate, count).reduce(
+    (sum, partial, i) => {
+      if (partial) return sum + Math.log(Math.max(floor, partial.residual));
+
+      const partialFrequency = frequency * (firstPartial + i);
+      const taken =
+        hasPeakNear(peaks, partialFrequency) ||
+        mayBeHidden(peaks, candidate, partialFrequency);
+      return sum + Math.log(taken ? floor : MISSING_PARTIAL);
+    },
+    0,
+  );
+  return (
+    Math.exp(logSum / count) / Math.pow(PARTIAL_FLOOR, (count - 1) / count)
+  );
+}
+
+// Whether a frequency without a peak is the missing fundamental of the
+// peaks above it: its next partials are all there, and every peak up to
+// them is one of its harmonics. A chord (whose notes fall between) or a
+// fifth (which lacks the fifth partial) doesn't qualify.
+function isMissingFundamental(peaks, f0) {
+  if (f0 < MIN_FUNDAMENTAL || hasPeakNear(peaks, f0)) return false;
+
+  for (let h = 2; h <= MISSING_FUNDAMENTAL_PARTIALS; h++) {
+    if (!hasPeakNear(peaks, f0 * h)) return false;
+  }
+  return peaks.every((peak) => {
+    const harmonic = Math.round(peak.frequency / f0);
+    return (
+      peak.frequency < f0 ||
+      harmonic > MISSING_FUNDAMENTAL_PARTIALS ||
+      Math.abs(peak.frequency - harmonic * f0) <=
+        harmonic * f0 * PARTIAL_TOLERANCE
+    );
+  });
+}
+
+// Take a note's partials out of the spectrum down to what its smooth
+// envelope can't explain; returns its loudest partial
+function removePartials(residualPeaks, candidate) {
+  const partials = getPartials(residualPeaks, candidate, HARMONICS);
+  const levels = smoothLevels(partials);
+  let amplitude = 0;
+  partials.forEach((partial, h) => {
+    if (!partial) return;
+    amplitude = Math.max(amplitude, partial.residual);
+    partial.residual -= levels[h];
+  });
+  return amplitude;
+}
+
+/**
+ * Estimate note fundamentals by salience, lowest first
+ * Candidates are the spectral peaks and any missing fundamentals below
+ * them. Going up from the lowest, a candidate salient enough in what lower
+ * notes left of the spectrum becomes a note and its partials are taken out
+ * (keeping what a smooth harmonic envelope can't explain, since a higher
+ * note may share them), the way the ratio filter drops the harmonics of
+ * lower peaks.
+ * @param {Array<{frequency: number, amplitude: number}>} peaks
+ * @param {function} salience - (peaks, candidate) => score, where candidate
+ *   is { frequency, firstPartial } (2 for a missing fundamental)
+ * @param {number} threshold - Lowest salience for a note
+ * @returns {Array<{frequency: number, amplitude: number}>} Fundamentals, lowest first
+ */
+function estimateBySalience(peaks, salience, threshold) {
+  const residualPeaks = peaks.map((peak) => ({
+    ...peak,
+    residual: peak.amplitude,
+  }));
+
+  const candidates = peaks
+    .filter((peak) => peak.frequency <= MAX_FUNDAMENTAL)
+    .map((peak) => ({ frequency: peak.frequency, firstPartial: 1 }));
+  peaks.forEach((peak) => {
+    for (let k = 2; k <= MAX_SUBHARMONIC; k++) {
+      const f0 = peak.frequency / k;
+      const isNew = !candidates.some(
+        (candidate) =>
+          Math.abs(candidate.frequency - f0) <= f0 * PARTIAL_TOLERANCE,
+      );
+      if (isNew && isMissingFundamental(peaks, f0)) {
+        candidates.push({ frequency: f0, firstPartial: 2 });
+      }
+    }
+  });
+  candidates.sort((a, b) => a.frequency - b.frequency);
+
+  const notes = [];
+  candidates.forEach((candidate) => {
+    const score = salience(residualPeaks, candidate);
+    if (score < threshold) return;
+
+    notes.push({
+      frequency: candidate.frequency,
+      amplitude: removePartials(residualPeaks, candidate),
+      score,
+    });
+  });
+
+  // What is left of loud notes' partials stays well below the strongest
+  const strongest = Math.max(0, ...notes.map((note) => note.score));
+  return notes
+    .filter((note) => note.score >= strongest * MIN_RELATIVE_SALIENCE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_POLYPHONY)
+    .sort((a, b) => a.frequency - b.frequency)
+    .map(({ frequency, amplitude }) => ({ frequency, amplitude }));
+}
+
+/**
+ * Find the note fundamentals in one magnitude spectrum
+ * @param {Float32Array} spectrum - Magnitude spectrum
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {number} fftSize - FFT size in samples
+ * @param {object} options - { sensitivity, fundamentals }
+ * @returns {Array<{frequency: number, amplitude: number}>} Lowest first
+ */
+export function findFundamentals(spectrum, sampleRate, fftSize, options = {}) {
+  const { sensitivity, fundamentals } = {
+    ...DEFAULT_SPECTRAL_OPTIONS,
+    ...options,
+  };
+
+  if (fundamentals === "ratio") {
+    return filterHarmonics(
+      findSpectralPeaks(spectrum, sampleRate, fftSize, sensitivity),
+    );
+  }
+
+  // Quieter peaks help as partials, but a note needs the same total
+  // strength a single peak needs
+  const floor = sensitivity * PARTIAL_FLOOR;
+  const peaks = findSpectralPeaks(
+    spectrum,
+    sampleRate,
+    fftSize,
+    floor,
+    SALIENCE_PEAKS,
+  );
+  return estimateBySalience(
+    peaks,
+    fundamentals === "hps"
+      ? (residualPeaks, candidate) =>
+          harmonicProductSalience(residualPeaks, candidate, floor)
+      : harmonicSumSalience,
+    sensitivity,
+  );
+}
@@ -0,0 +1,155 @@
+import { createFFT } from "./fft";
+import { midiToHz } from "./pitchDetection";
+
+/**
+ * Short-time Fourier transform and frequency axis helpers for the
+ * spectrogram view (and anything drawn on top of it)
+ */
+
+export const DEFAULT_SPECTROGRAM_OPTIONS = {
+  fftSize: 2048,
+  hopSize: 512,
+  windowType: "hann",
+};
+
+export const FREQUENCY_SCALES = [
+  { value: "linear", label: "Linear (Hz)" },
+  { value: "log", label: "Logarithmic (Hz)" },
+  { value: "piano", label: "Piano keys" },
+];
+
+// Lowest frequency shown on the log axis and the piano key range (A0-C8)
+const LOG_MIN_HZ = 20;
+const PIANO_MIN_HZ = midiToHz(20.5);
+const PIANO_MAX_HZ = midiToHz(108.5);
+
+/**
+ * Compute a magnitude spectrogram in decibels
+ * @param {Float32Array} channelData - Audio samples
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {object} options - { fftSize, hopSize, windowType }
+ * @param {function} onProgress - Optional callback receiving 0-100
+ * @returns {{frames: Float32Array[], hopSize: number, fftSize: number, sampleRate: number, maxDb: number}}
+ */
+export function computeSpectrogram(
+  channelData,
+  sampleRate,
+  options = {},
+  onProgress,
+) {
+  const { fftSize, hopSize, windowType } = {
+    ...DEFAULT_SPECTROGRAM_OPTIONS,
+    ...options,
+  };
+  const fft = createFFT(fftSize, windowType);
+  const frames = [];
+  let maxDb = -Infinity;
+
+  for (let i = 0; i + fftSize <= channelData.length; i += hopSize) {
+    const frame = fft.magnitude(channelData, i);
+
+    for (let k = 0; k < frame.length; k++) {
+      // Floor at -160 dB so silence doesn't produce -Infinity
+      frame[k] = 20 * Math.log10(frame[k] + 1e-8);
+      if (frame[k] > maxDb) maxDb = frame[k];
+    }
+
+    frames.push(frame);
+
+    if (onProgress && frames.length % 100 === 0) {
+      onProgress(Math.round((i / channelData.length) * 100));
+    }
+  }
+
+  return { frames, hopSize, fftSize, sampleRate, maxDb };
+}
+
+/**
+ * Get the frequency range shown for an axis scale
+ * @param {string} scale - "linear" | "log" | "piano"
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @returns {{minHz: number, maxHz: number}}
+ */
+export function getFrequencyRange(scale, sampleRate) {
+  const nyquist = sampleRate / 2;
+
+  if (scale === "piano") {
+    return { minHz: PIANO_MIN_HZ, maxHz: Math.min(PIANO_MAX_HZ, nyquist) };
+  }
+
+  if (scale === "log") {
+    return { minHz: LOG_MIN_HZ, maxHz: nyquist };
+  }
+
+  return { minHz: 0, maxHz: nyquist };
+}
+
+/**
+ * Map a frequency to a canvas Y coordinate (low frequencies at the bottom)
+ * @param {number} hz - Frequency in Hz
+ * @param {string} scale - "linear" | "log" | "piano"
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {number} height - Canvas height in pixels
+ * @returns {number}
+ */
+export function frequencyToY(hz, scale, sampleRate, height) {
+  const { minHz, maxHz } = getFrequencyRange(scale, sampleRate);
+
+  const position =
+    scale === "linear"
+      ? (hz - minHz) / (maxHz - minHz)
+      : Math.log(Math.max(hz, 1e-6) / minHz) / Math.log(maxHz / minHz);
+
+  return height - position * height;
+}
+
+/**
+ * Map a canvas Y coordinate back to a frequency
+ * @param {number} y - Canvas Y coordinate
+ * @param {string} scale - "linear" | "log" | "piano"
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {number} height - Canvas height in pixels
+ * @returns {number} Frequency in Hz
+ */
+export function yToFrequency(y, scale, sampleRate, height) {
+  const { minHz, maxHz } = getFrequencyRange(scale, sampleRate);
+  const position = (height - y) / height;
+
+  if (scale === "linear") {
+    return minHz + position * (maxHz - minHz);
+  }
+
+  return minHz * Math.pow(maxHz / minHz, position);
+}
+
+/**
+ * Frequency gridlines to label for an axis scale
+ * @param {string} scale - "linear" | "log" | "piano"
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @returns {Array<{hz: number, label: string}>}
+ */
+export function getFrequencyLabels(scale, sampleRate) {
+  const { minHz, maxHz } = getFrequencyRange(scale, sampleRate);
+
+  if (scale === "piano") {
+    // Every C from C1 to C8
+    const labels = [];
+    for (let octave = 1; octave <= 8; octave++) {
+      const hz = midiToHz(12 * (octave + 1));
+      if (hz <= maxHz) labels.push({ hz, label: `C${octave}` });
+    }
+    return labels;
+  }
+
+  const candidates =
+    scale === "log"
+      ? [50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000]
+      : [1000, 2000, 5000, 10000, 15000, 20000];
+
+  return candidates
+    .filter((hz) => hz > minHz && hz < maxHz)
+    .map((hz) => ({
+      hz,
+      label: hz >= 1000 ? `${hz / 1000}kHz` : `${hz}Hz`,
+    }));
+}
@@ -0,0 +1,171 @@
+import { getChannelSignals } from "./audioChannels";
+
+/**
+ * Time view and selection
+ * The waveform and spectrogram show the same window of the recording
+ * ({start, end} in seconds) and share one selected range. These helpers
+ * zoom and scroll that window, map it to pixels and cut the selected
+ * audio out for analysis.
+ */
+
+export const MIN_VIEW_LENGTH = 0.05; // Seconds visible at the deepest zoom
+const RULER_STEPS = [
+  0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60,
+  120, 300,
+];
+
+/**
+ * Keep a view inside the recording and no shorter than the minimum
+ * @param {{start: number, end: number}} view
+ * @param {number} duration - Recording length in seconds
+ * @returns {{start: number, end: number}}
+ */
+export function clampView(view, duration) {
+  const length = Math.max(
+    Math.min(MIN_VIEW_LENGTH, duration),
+    Math.min(duration, view.end - view.start),
+  );
+  const start = Math.max(0, Math.min(duration - length, view.start));
+  return { start, end: start + length };
+}
+
+/**
+ * Zoom around a fixed time
+ * @param {{start: number, end: number}} view
+ * @param {number} anchor - Time that stays under the cursor
+ * @param {number} factor - Below 1 zooms in, above 1 zooms out
+ * @param {number} duration
+ * @returns {{start: number, end: number}}
+ */
+export function zoomView(view, anchor, factor, duration) {
+  return clampView(
+    {
+      start: anchor - (anchor - view.start) * factor,
+      end: anchor + (view.end - anchor) * factor,
+    },
+    duration,
+  );
+}
+
+/**
+ * Move the view sideways without changing its length
+ * @param {{start: number, end: number}} view
+ * @param {number} delta - Seconds, positive moves later
+ * @param {number} duration
+ * @returns {{start: number, end: number}}
+ */
+export function scrollView(view, delta, duration) {
+  return clampView(
+    { start: view.start + delta, end: view.end + delta },
+    duration,
+  );
+}
+
+/**
+ * Map a time to an x coordinate
+ * @param {number} time - Seconds
+ * @param {{start: number, end: number}} view
+ * @param {number} width - Pixels
+ * @returns {number}
+ */
+export function timeToX(time, view, width) {
+  return ((time - view.start) / (view.end - view.start)) * width;
+}
+
+/**
+ * Map an x coordinate to a time
+ * @param {number} x - Pixels
+ * @param {{start: number, end: number}} view
+ * @param {number} width - Pixels
+ * @returns {number} Seconds
+ */
+export function xToTime(x, view, width) {
+  return view.start + (x / width) * (view.end - view.start);
+}
+
+/**
+ * Ruler tick times for a view, spaced at least minSpacing pixels apart
+ * @param {{start: number, end: number}} view
+ * @param {number} width - Pixels
+ * @param {number} minSpacing - Pixels
+ * @returns {{ticks: number[], step: number}}
+ */
+export function getRulerTicks(view, width, minSpacing = 70) {
+  const secondsPerPixel = (view.end - view.start) / width;
+  const step =
+    RULER_STEPS.find(
+      (candidate) => candidate / secondsPerPixel >= minSpacing,
+    ) ?? RULER_STEPS[RULER_STEPS.length - 1];
+
+  const ticks = [];
+  for (let i = Math.ceil(view.start / step); i * step <= view.end; i++) {
+    ticks.push(i * step);
+  }
+
+  return { ticks, step };
+}
+
+/**
+ * Format a ruler time with as many decimals as the tick step needs
+ * @param {number} time - Seconds
+ * @param {number} step - Tick step in seconds
+ * @returns {string}
+ */
+export function formatRulerTime(time, step) {
+  const decimals = step >= 1 ? 0 : step >= 0.1 ? 1 : step >= 0.01 ? 2 : 3;
+  return `${time.toFixed(decimals)}s`;
+}
+
+/**
+ * Get the samples of a selected range, or of the whole recording
+ * @param {AudioBuffer} audioBuffer
+ * @param {{start: number, end: number}|null} selection - Seconds
+ * @param {string} channel - Channel choice (see audioChannels.js)
+ * @returns {{signals: Float32Array[], offset: number}} Samples of each signal and the time they start at
+ */
+export function getSelectionAudio(audioBuffer, selection, channel) {
+  const signals = getChannelSignals(audioBuffer, channel).map(
+    (signal) => signal.data,
+  );
+  if (!selection) return { signals, offset: 0 };
+
+  const from = Math.floor(selection.start * audioBuffer.sampleRate);
+  const to = Math.ceil(selection.end * audioBuffer.sampleRate);
+  return {
+    signals: signals.map((data) => data.subarray(from, to)),
+    offset: from / audioBuffer.sampleRate,
+  };
+}
+
+/**
+ * Shift pitch records found in a slice back to recording time
+ * @param {Array<{time: string}>} pitches
+ * @param {number} offset - Seconds
+ * @returns {Array<object>}
+ */
+export function shiftPitchTimes(pitches, offset) {
+  if (offset === 0) return pitches;
+
+  return pitches.map((pitch) => ({
+    ...pitch,
+    time: (parseFloat(pitch.time) + offset).toFixed(3),
+  }));
+}
+
+/**
+ * Replace the pitch records inside a range with new ones
+ * @param {Array<{time: string}>} pitches - Current records
+ * @param {Array<{time: string}>} replacement - Records detected in the range
+ * @param {{start: number, end: number}} range - Seconds
+ * @returns {Array<object>} Sorted by time
+ */
+export function replacePitchesInRange(pitches, replacement, range) {
+  const outside = pitches.filter((pitch) => {
+    const time = parseFloat(pitch.time);
+    return time < range.start || time >= range.end;
+  });
+
+  return [...outside, ...replacement].sort(
+    (a, b) => parseFloat(a.time) - parseFloat(b.time),
+  );
+}
@@ -0,0 +1,86 @@
+/**
+ * WAV encoding
+ * Writes AudioBuffers as uncompressed PCM WAV files (16 or 24 bit, mono or
+ * stereo) that any audio editor or DAW can open
+ */
+
+export const WAV_BIT_DEPTHS = [16, 24];
+
+// Samples for each output channel: mono is the average of every input
+// channel, stereo repeats a mono input on both sides
+function getOutputChannels(audioBuffer, channelCount) {
+  const inputs = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    inputs.push(audioBuffer.getChannelData(c));
+  }
+
+  if (channelCount === 1 && inputs.length > 1) {
+    const mono = new Float32Array(audioBuffer.length);
+    inputs.forEach((data) => {
+      for (let i = 0; i < data.length; i++) mono[i] += data[i] / inputs.length;
+    });
+    return [mono];
+  }
+
+  return Array.from(
+    { length: channelCount },
+    (_, c) => inputs[Math.min(c, inputs.length - 1)],
+  );
+}
+
+/**
+ * Encode audio as a PCM WAV file
+ * @param {AudioBuffer} audioBuffer
+ * @param {object} options - { bitDepth: 16|24, channels: 1|2 }
+ * @returns {ArrayBuffer} WAV file bytes
+ */
+export function encodeWav(audioBuffer, { bitDepth = 16, channels = 2 } = {}) {
+  const data = getOutputChannels(audioBuffer, channels);
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channels * bytesPerSample;
+  const dataSize = audioBuffer.length * blockAlign;
+  const maxValue = Math.pow(2, bitDepth - 1) - 1;
+
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  // RIFF header and format chunk
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true); // Chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, audioBuffer.sampleRate, true);
+  view.setUint32(28, audioBuffer.sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeString(36, "data");
+  view.setUint32(40, dataSize, true);
+
+  // Interleaved little-endian samples, clipped to full scale
+  let offset = 44;
+  for (let i = 0; i < audioBuffer.length; i++) {
+    for (let c = 0; c < channels; c++) {
+      const sample = Math.max(-1, Math.min(1, data[c][i]));
+      const value = Math.round(sample * maxValue);
+
+      if (bitDepth === 16) {
+        view.setInt16(offset, value, true);
+      } else {
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return buffer;
+}
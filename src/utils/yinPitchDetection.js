@@ -0,0 +1,516 @@
+import { complexFFT } from "./fft";
+import { autoCorrelate } from "./pitchDetection";
+
+/**
+ * YIN and pYIN pitch estimation
+ * Monophonic f0 with a confidence per frame. YIN picks the first dip of the
+ * cumulative mean normalized difference function below a threshold; pYIN
+ * keeps every dip as a weighted candidate over a distribution of thresholds
+ * and lets a Viterbi-decoded pitch/voicing HMM choose between them, which
+ * removes most octave jumps.
+ */
+
+export const DEFAULT_YIN_OPTIONS = {
+  windowSize: 2048,
+  hopSize: 512,
+  minHz: 50,
+  maxHz: 1000,
+  threshold: 0.15, // YIN only: largest normalized difference still voiced
+};
+
+const MIN_RMS = 0.0005; // Frames quieter than this are unvoiced
+const PYIN_THRESHOLDS = 100; // Thresholds 0.01-1.00 weighted by a beta prior
+const NO_DIP_PROBABILITY = 0.01; // Weight of the global minimum when no dip is below a threshold
+const CENTS_PER_BIN = 20; // Pitch resolution of the HMM
+const MAX_OCTAVES_PER_SECOND = 35.92; // Fastest pitch change the HMM allows
+const VOICING_SWITCH_PROBABILITY = 0.01;
+const LOG_FLOOR = -1e6; // Stands in for log(0) so sums stay finite
+
+const nextPowerOfTwo = (n) => Math.pow(2, Math.ceil(Math.log2(n)));
+
+// Lag range for a frequency range, kept inside the window
+function getLagRange(sampleRate, windowSize, minHz, maxHz) {
+  const maxLag = Math.min(
+    Math.ceil(sampleRate / minHz),
+    Math.floor(windowSize / 2),
+  );
+  const minLag = Math.max(2, Math.floor(sampleRate / maxHz));
+  return { minLag, maxLag };
+}
+
+/**
+ * Cumulative mean normalized difference function of one frame
+ * The difference function comes from the energy terms and an FFT
+ * cross-correlation, so a frame costs O(N log N) instead of O(N * maxLag).
+ * @param {Float32Array} frame - windowSize samples
+ * @param {number} maxLag
+ * @returns {Float64Array} d'(tau) for tau = 0..maxLag
+ */
+export function normalizedDifference(frame, maxLag) {
+  const size = frame.length;
+  const span = size - maxLag; // Integration window
+  const fftSize = nextPowerOfTwo(size);
+
+  // Pack the integration window (real) and the whole frame (imaginary)
+  // into one complex FFT
+  const real = new Float64Array(fftSize);
+  const imag = new Float64Array(fftSize);
+  for (let i = 0; i < size; i++) {
+    if (i < span) real[i] = frame[i];
+    imag[i] = frame[i];
+  }
+  complexFFT(real, imag);
+
+  // Unpack both spectra and multiply conj(A) * X
+  const crossReal = new Float64Array(fftSize);
+  const crossImag = new Float64Array(fftSize);
+  for (let k = 0; k < fftSize; k++) {
+    const m = (fftSize - k) % fftSize;
+    const aReal = (real[k] + real[m]) / 2;
+    const aImag = (imag[k] - imag[m]) / 2;
+    const xReal = (imag[k] + imag[m]) / 2;
+    const xImag = (real[m] - real[k]) / 2;
+    crossReal[k] = aReal * xReal + aImag * xImag;
+    crossImag[k] = aReal * xImag - aImag * xReal;
+  }
+  complexFFT(crossReal, crossImag, true);
+
+  // Energy of each shifted window from prefix sums
+  const energy = new Float64Array(size + 1);
+  for (let i = 0; i < size; i++)
+    energy[i + 1] = energy[i] + frame[i] * frame[i];
+  const windowEnergy = energy[span];
+
+  const result = new Float64Array(maxLag + 1);
+  result[0] = 1;
+  let runningSum = 0;
+
+  for (let tau = 1; tau <= maxLag; tau++) {
+    const shiftedEnergy = energy[tau + span] - energy[tau];
+    const difference = Math.max(
+      0,
+      windowEnergy + shiftedEnergy - 2 * crossReal[tau],
+    );
+    runningSum += difference;
+    result[tau] = runningSum > 0 ? (difference * tau) / runningSum : 1;
+  }
+
+  return result;
+}
+
+// Sub-sample position of a minimum from its neighbours
+function parabolicMinimum(values, index) {
+  if (index <= 0 || index >= values.length - 1) return index;
+
+  const left = values[index - 1];
+  const centre = values[index];
+  const right = values[index + 1];
+  const denominator = left - 2 * centre + right;
+  return denominator > 0 ? index + (left - right) / (2 * denominator) : index;
+}
+
+// Local minima (dips) of d' in the lag range
+function findDips(difference, minLag, maxLag) {
+  const dips = [];
+  for (let tau = minLag; tau < maxLag; tau++) {
+    if (
+      difference[tau] < difference[tau - 1] &&
+      difference[tau] <= difference[tau + 1]
+    ) {
+      dips.push(tau);
+    }
+  }
+  return dips;
+}
+
+function frameRms(frame) {
+  let sum = 0;
+  for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+  return Math.sqrt(sum / frame.length);
+}
+
+/**
+ * YIN estimate for one frame
+ * @param {Float32Array} frame - Audio samples
+ * @param {number} sampleRate
+ * @param {object} options - { minHz, maxHz, threshold }
+ * @returns {{hz: number, confidence: number}} hz is -1 when unvoiced
+ */
+export function yin(frame, sampleRate, options = {}) {
+  const { minHz, maxHz, threshold } = { ...DEFAULT_YIN_OPTIONS, ...options };
+  if (frameRms(frame) < MIN_RMS) return { hz: -1, confidence: 0 };
+
+  const { minLag, maxLag } = getLagRange(
+    sampleRate,
+    frame.length,
+    minHz,
+    maxHz,
+  );
+  const difference = normalizedDifference(frame, maxLag);
+
+  // First dip under the threshold, followed down to its minimum
+  for (let tau = minLag; tau < maxLag; tau++) {
+    if (difference[tau] < threshold) {
+      while (tau + 1 < maxLag && difference[tau + 1] < difference[tau]) tau++;
+
+      const lag = parabolicMinimum(difference, tau);
+      return {
+        hz: sampleRate / lag,
+        confidence: Math.max(0, 1 - difference[tau]),
+      };
+    }
+  }
+
+  return { hz: -1, confidence: 0 };
+}
+
+// Beta(2, 18) CDF, the pYIN prior over thresholds (mean 0.1)
+function betaCdf(x) {
+  return 1 - Math.pow(1 - x, 19) - 19 * x * Math.pow(1 - x, 18);
+}
+
+const THRESHOLD_WEIGHTS = Array.from(
+  { length: PYIN_THRESHOLDS },
+  (_, i) => betaCdf((i + 1) / PYIN_THRESHOLDS) - betaCdf(i / PYIN_THRESHOLDS),
+);
+
+/**
+ * pYIN pitch candidates for one frame
+ * @param {Float32Array} frame - Audio samples
+ * @param {number} sampleRate
+ * @param {object} options - { minHz, maxHz }
+ * @returns {Array<{hz: number, probability: number}>} Probabilities sum to the voicing probability
+ */
+export function pyinCandidates(frame, sampleRate, options = {}) {
+  const { minHz, maxHz } = { ...DEFAULT_YIN_OPTIONS, ...options };
+  if (frameRms(frame) < MIN_RMS) return [];
+
+  const { minLag, maxLag } = getLagRange(
+    sampleRate,
+    frame.length,
+    minHz,
+    maxHz,
+  );
+  const difference = normalizedDifference(frame, maxLag);
+  const dips = findDips(difference, minLag, maxLag);
+  if (dips.length === 0) return [];
+
+  const globalDip = dips.reduce((best, tau) =>
+    difference[tau] < difference[best] ? tau : best,
+  );
+
+  // Each threshold votes for the first dip below it
+  const weights = new Map();
+  THRESHOLD_WEIGHTS.forEach((weight, i) => {
+    const threshold = (i + 1) / PYIN_THRESHOLDS;
+    const dip = dips.find((tau) => difference[tau] < threshold);
+    const [tau, share] =
+      dip !== undefined
+        ? [dip, weight]
+        : [globalDip, weight * NO_DIP_PROBABILITY];
+    weights.set(tau, (weights.get(tau) ?? 0) + share);
+  });
+
+  return [...weights].map(([tau, probability]) => ({
+    hz: sampleRate / parabolicMinimum(difference, tau),
+    probability,
+  }));
+}
+
+/**
+ * Pitch/voicing hidden Markov model for pYIN
+ * States 0..binCount-1 are voiced at a pitch bin, binCount.. are unvoiced
+ * (remembering the last pitch). Pitch moves at most maxStep bins a frame.
+ * @param {number} sampleRate
+ * @param {number} hopSize
+ * @param {number} minHz
+ * @param {number} maxHz
+ * @returns {object} { binCount, binToHz, observe, step }
+ */
+function createPitchHmm(sampleRate, hopSize, minHz, maxHz) {
+  const binsPerOctave = 1200 / CENTS_PER_BIN;
+  const binCount = Math.ceil(Math.log2(maxHz / minHz) * binsPerOctave) + 1;
+  const maxStep = Math.max(
+    1,
+    Math.round(
+      ((MAX_OCTAVES_PER_SECOND * hopSize) / sampleRate) * binsPerOctave,
+    ),
+  );
+
+  // Triangular transition weights by pitch distance, in log
+  const total = (maxStep + 1) * (maxStep + 1);
+  const logStep = Array.from({ length: maxStep + 1 }, (_, d) =>
+    Math.log((maxStep + 1 - d) / total),
+  );
+  const logStay = Math.log(1 - VOICING_SWITCH_PROBABILITY);
+  const logSwitch = Math.log(VOICING_SWITCH_PROBABILITY);
+
+  const hzToBin = (hz) => Math.round(Math.log2(hz / minHz) * binsPerOctave);
+  const binToHz = (bin) => minHz * Math.pow(2, bin / binsPerOctave);
+
+  /**
+   * Log observation probabilities of every state for a frame
+   * @param {Array<{hz: number, probability: number}>} candidates
+   * @returns {Float64Array}
+   */
+  const observe = (candidates) => {
+    const probabilities = new Float64Array(binCount * 2);
+    let voiced = 0;
+
+    candidates.forEach(({ hz, probability }) => {
+      const bin = hzToBin(hz);
+      if (bin < 0 || bin >= binCount) return;
+      probabilities[bin] += probability;
+      voiced += probability;
+    });
+
+    const unvoiced = Math.max(0, 1 - voiced) / binCount;
+    for (let bin = 0; bin < binCount; bin++) {
+      probabilities[binCount + bin] = unvoiced;
+    }
+
+    return probabilities.map((p) => (p > 0 ? Math.log(p) : LOG_FLOOR));
+  };
+
+  /**
+   * One max-product step
+   * @param {Float64Array} previous - Best log probability of each state so far
+   * @param {Float64Array} observation - From observe()
+   * @returns {{scores: Float64Array, from: Int32Array}} Best scores and the state each came from
+   */
+  const step = (previous, observation) => {
+    const scores = new Float64Array(binCount * 2);
+    const from = new Int32Array(binCount * 2);
+
+    for (let bin = 0; bin < binCount; bin++) {
+      let bestVoiced = -Infinity;
+      let bestVoicedFrom = bin;
+      let bestUnvoiced = -Infinity;
+      let bestUnvoicedFrom = binCount + bin;
+
+      const low = Math.max(0, bin - maxStep);
+      const high = Math.min(binCount - 1, bin + maxStep);
+      for (let source = low; source <= high; source++) {
+        const move = logStep[Math.abs(bin - source)];
+        const fromVoiced = previous[source] + move;
+        const fromUnvoiced = previous[binCount + source] + move;
+
+        // Into voiced: stay voiced or start voicing
+        if (fromVoiced + logStay > bestVoiced) {
+          bestVoiced = fromVoiced + logStay;
+          bestVoicedFrom = source;
+        }
+        if (fromUnvoiced + logSwitch > bestVoiced) {
+          bestVoiced = fromUnvoiced + logSwitch;
+          bestVoicedFrom = binCount + source;
+        }
+
+        // Into unvoiced: stop voicing or stay unvoiced
+        if (fromVoiced + logSwitch > bestUnvoiced) {
+          bestUnvoiced = fromVoiced + logSwitch;
+          bestUnvoicedFrom = source;
+        }
+        if (fromUnvoiced + logStay > bestUnvoiced) {
+          bestUnvoiced = fromUnvoiced + logStay;
+          bestUnvoicedFrom = binCount + source;
+        }
+      }
+
+      scores[bin] = bestVoiced + observation[bin];
+      from[bin] = bestVoicedFrom;
+      scores[binCount + bin] = bestUnvoiced + observation[binCount + bin];
+      from[binCount + bin] = bestUnvoicedFrom;
+    }
+
+    // Keep the numbers small; only differences matter
+    let max = -Infinity;
+    for (let s = 0; s < scores.length; s++) max = Math.max(max, scores[s]);
+    for (let s = 0; s < scores.length; s++) scores[s] -= max;
+
+    return { scores, from };
+  };
+
+  return { binCount, hzToBin, binToHz, observe, step };
+}
+
+// Pitch of a decoded voiced state: the candidate in that bin, else its centre
+function stateToPitch(hmm, state, candidates) {
+  const match = candidates
+    .filter((candidate) => hmm.hzToBin(candidate.hz) === state)
+    .sort((a, b) => b.probability - a.probability)[0];
+  return match ? match.hz : hmm.binToHz(state);
+}
+
+const voicingProbability = (candidates) =>
+  Math.min(
+    1,
+    candidates.reduce((sum, candidate) => sum + candidate.probability, 0),
+  );
+
+const toPitchRecord = (time, hz, confidence) => ({
+  time: time.toFixed(3),
+  hz: Math.round(hz * 100) / 100,
+  confidence: Math.round(confidence * 100) / 100,
+});
+
+/**
+ * Detect the pitch throughout a recording with YIN
+ * @param {Float32Array} channelData - Audio samples
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {object} options - DEFAULT_YIN_OPTIONS overrides
+ * @param {function} onProgress - Optional callback receiving (0-100, pitches found since the last call)
+ * @returns {Array<{time: string, hz: number, confidence: number}>} Voiced frames only
+ */
+export function detectYinPitches(
+  channelData,
+  sampleRate,
+  options = {},
+  onProgress,
+) {
+  const settings = { ...DEFAULT_YIN_OPTIONS, ...options };
+  const { windowSize, hopSize } = settings;
+  const pitches = [];
+  let reported = 0;
+
+  for (let i = 0; i + windowSize <= channelData.length; i += hopSize) {
+    const { hz, confidence } = yin(
+      channelData.subarray(i, i + windowSize),
+      sampleRate,
+      settings,
+    );
+    if (hz > 0) pitches.push(toPitchRecord(i / sampleRate, hz, confidence));
+
+    if (onProgress && i % (hopSize * 100) === 0) {
+      onProgress(
+        Math.round((i / channelData.length) * 100),
+        pitches.slice(reported),
+      );
+      reported = pitches.length;
+    }
+  }
+
+  if (onProgress) onProgress(100, pitches.slice(reported));
+
+  return pitches;
+}
+
+/**
+ * Detect the pitch throughout a recording with pYIN and Viterbi decoding
+ * Results arrive at the end, since decoding needs the whole recording.
+ * @param {Float32Array} channelData - Audio samples
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {object} options - DEFAULT_YIN_OPTIONS overrides (threshold unused)
+ * @param {function} onProgress - Optional callback receiving (0-100)
+ * @returns {Array<{time: string, hz: number, confidence: number}>} Voiced frames; confidence is the voicing probability
+ */
+export function detectPyinPitches(
+  channelData,
+  sampleRate,
+  options = {},
+  onProgress,
+) {
+  const settings = { ...DEFAULT_YIN_OPTIONS, ...options };
+  const { windowSize, hopSize, minHz, maxHz } = settings;
+  const hmm = createPitchHmm(sampleRate, hopSize, minHz, maxHz);
+
+  const frames = []; // { time, candidates }
+  const backPointers = [];
+  let scores = null;
+
+  for (let i = 0; i + windowSize <= channelData.length; i += hopSize) {
+    const candidates = pyinCandidates(
+      channelData.subarray(i, i + windowSize),
+      sampleRate,
+      settings,
+    );
+    const observation = hmm.observe(candidates);
+
+    if (scores) {
+      const result = hmm.step(scores, observation);
+      scores = result.scores;
+      backPointers.push(result.from);
+    } else {
+      scores = observation;
+    }
+    frames.push({ time: i / sampleRate, candidates });
+
+    if (onProgress && i % (hopSize * 100) === 0) {
+      onProgress(Math.round((i / channelData.length) * 95));
+    }
+  }
+
+  if (frames.length === 0) {
+    if (onProgress) onProgress(100, []);
+    return [];
+  }
+
+  // Trace the most likely state path back from the best final state
+  const path = new Int32Array(frames.length);
+  path[frames.length - 1] = scores.indexOf(Math.max(...scores));
+  for (let t = frames.length - 1; t > 0; t--) {
+    path[t - 1] = backPointers[t - 1][path[t]];
+  }
+
+  const pitches = [];
+  frames.forEach(({ time, candidates }, t) => {
+    if (path[t] >= hmm.binCount) return;
+    pitches.push(
+      toPitchRecord(
+        time,
+        stateToPitch(hmm, path[t], candidates),
+        voicingProbability(candidates),
+      ),
+    );
+  });
+
+  if (onProgress) onProgress(100, pitches);
+
+  return pitches;
+}
+
+/**
+ * Frame-by-frame estimator for live input
+ * pYIN runs the same HMM causally: each frame takes the most likely state
+ * given everything heard so far.
+ * @param {string} method - "autocorrelation", "yin" or "pyin"
+ * @param {number} sampleRate
+ * @param {object} options - DEFAULT_YIN_OPTIONS overrides; hopSize is the
+ *   expected number of new samples between calls
+ * @returns {function(Float32Array): {hz: number, confidence: number|null}} hz is -1 when unvoiced
+ */
+export function createLivePitchEstimator(method, sampleRate, options = {}) {
+  const settings = { ...DEFAULT_YIN_OPTIONS, ...options };
+
+  if (method === "yin") {
+    return (frame) => yin(frame, sampleRate, settings);
+  }
+
+  if (method === "pyin") {
+    const hmm = createPitchHmm(
+      sampleRate,
+      settings.hopSize,
+      settings.minHz,
+      settings.maxHz,
+    );
+    let scores = null;
+
+    return (frame) => {
+      const candidates = pyinCandidates(frame, sampleRate, settings);
+      const observation = hmm.observe(candidates);
+      scores = scores ? hmm.step(scores, observation).scores : observation;
+
+      const state = scores.indexOf(Math.max(...scores));
+      return state < hmm.binCount
+        ? {
+            hz: stateToPitch(hmm, state, candidates),
+            confidence: voicingProbability(candidates),
+          }
+        : { hz: -1, confidence: voicingProbability(candidates) };
+    };
+  }
+
+  return (frame) => ({
+    hz: autoCorrelate(frame, sampleRate),
+    confidence: null,
+  });
+}
@@ -0,0 +1,60 @@
+/**
+ * Offline analysis worker
+ * Runs pitch detection and other offline analysis off the main thread.
+ * Receives channel data as a transferable buffer and streams progress and
+ * partial results back.
+ * Use it through runAnalysis() in utils/backgroundAnalysis.js.
+ */
+import { detectAutocorrelationPitches } from "../utils/pitchDetection";
+import {
+  detectSpectralPeaks,
+  detectSpectralPitches,
+} from "../utils/spectralPitchDetection";
+import {
+  detectPyinPitches,
+  detectYinPitches,
+} from "../utils/yinPitchDetection";
+import { resynthesizeAsPiano } from "../utils/pianoResynthesis";
+import { computeSpectrogram } from "../utils/spectrogram";
+import { detectOnsets } from "../utils/onsetDetection";
+import { detectBeats } from "../utils/beatTracking";
+
+const analyzers = {
+  autocorrelation: detectAutocorrelationPitches,
+  yin: detectYinPitches,
+  pyin: detectPyinPitches,
+  spectral: detectSpectralPitches,
+  peaks: detectSpectralPeaks,
+  resynthesis: resynthesizeAsPiano,
+  spectrogram: computeSpectrogram,
+  onsets: detectOnsets,
+  beats: detectBeats,
+};
+
+self.onmessage = (event) => {
+  const { method, channelData, sampleRate, options } = event.data;
+  const analyze = analyzers[method];
+
+  if (!analyze) {
+    self.postMessage({
+      type: "error",
+      message: `Unknown analysis method: ${method}`,
+    });
+    return;
+  }
+
+  try {
+    const result = analyze(
+      channelData,
+      sampleRate,
+      options,
+      (progress, partial) => {
+        self.postMessage({ type: "progress", progress, partial });
+      },
+    );
+
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};